@@ -1,9 +1,9 @@
 // App.jsx
-import React, { Suspense, useMemo, useRef, useEffect } from "react";
+import React, { Suspense, startTransition, useCallback, useDeferredValue, useId, useMemo, useRef, useEffect, useState } from "react";
 import * as THREE from "three";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
-import { OrbitControls,  Icosahedron, useTexture } from "@react-three/drei";
-import { Leva, useControls } from "leva";
+import { OrbitControls, PerformanceMonitor, Stats, useTexture } from "@react-three/drei";
+import { Leva, button, useControls } from "leva";
 
 import LoadingOverlay from "./components/loadingOverlay";
 
@@ -11,71 +11,229 @@ import earthVertexShader from "./shaders/earth/vertex.glsl";
 import earthFragmentShader from "./shaders/earth/fragment.glsl";
 import atmosphereVertexShader from "./shaders/atmosphere/vertex.glsl";
 import atmosphereFragmentShader from "./shaders/atmosphere/fragment.glsl";
+import cloudsVertexShader from "./shaders/clouds/vertex.glsl";
+import cloudsFragmentShader from "./shaders/clouds/fragment.glsl";
 
-import WonderLabel from "./components/wonderLabel";
-
-// Wonders
-const WONDERS = [
-  { name: 'Chichén Itzá',        lat: 20.6843,  lon: -88.5678 },
-  { name: 'Christ the Redeemer', lat: -22.9519, lon: -43.2105 },
-  { name: 'Colosseum',           lat: 41.8902,  lon: 12.4922  },
-  { name: 'Great Wall',          lat: 40.4319,  lon: 116.5704 },
-  { name: 'Machu Picchu',        lat: -13.1631, lon: -72.5450 },
-  { name: 'Petra',               lat: 30.3285,  lon: 35.4444  },
-  { name: 'Taj Mahal',           lat: 27.1751,  lon: 78.0421  },
-];
-
-const WONDER_IMAGES = {
-  'Chichén Itzá': '/images/itza.jpg',
-  'Christ the Redeemer': '/images/redeemer.jpg',
-  'Colosseum': '/images/colosseum.jpg',
-  'Great Wall': '/images/greatwall.jpg',
-  'Machu Picchu': '/images/machupicchu.jpg',
-  'Petra': '/images/petra.jpg',
-  'Taj Mahal': '/images/tajmahal.jpg',
+import MarkerLayer from "./components/markerLayer";
+import InstancedMarkers from "./components/instancedMarkers";
+import LabelLayout from "./components/labelLayout";
+import ArcLayer from "./components/arcLayer";
+import CameraRig from "./components/cameraRig";
+import CoordinateReadout from "./components/coordinateReadout";
+import ErrorBoundary from "./components/errorBoundary";
+import FlatMapFallback from "./components/flatMapFallback";
+import TourControls from "./components/tourControls";
+import FrameExporter from "./components/frameExporter";
+import DataLegend from "./components/dataLegend";
+import AccessibleMarkers from "./components/accessibleMarkers";
+import MarkerPanel from "./components/markerPanel";
+import PlaceSearch from "./components/placeSearch";
+import SearchPin from "./components/searchPin";
+import SkyLayer from "./components/skyLayer";
+import MeasureLayer from "./components/measureLayer";
+import MeasurePanel from "./components/measurePanel";
+
+import { PROTOCOL_VERSION } from "./embed/protocol";
+import { useEmbedBridge } from "./embed/bridge";
+
+import { DEG2RAD, latLonToVec3, vec3ToLatLon } from "./utils/geo";
+import { useMarkerCatalog } from "./utils/markerCatalog";
+import { solarPosition } from "./utils/solar";
+import { createTransition } from "./utils/transition";
+import {
+  FLAT_ROTATION,
+  PROJECTIONS,
+  PROJECTION_IDS,
+  ProjectionContext,
+  createMorphRaycast,
+  createProjectionController,
+  isFlatProjection,
+  useProjection,
+} from "./utils/projection";
+import createTimeController from "./utils/timeController";
+import { DECLUTTER_MODES } from "./utils/labelLayout";
+import {
+  DEFAULT_THEME_NAME,
+  THEMES,
+  THEME_FIELDS,
+  exportPresets,
+  findThemeName,
+  parsePresets,
+  resolveThemeName,
+  sanitizeTheme,
+  useSavedPresets,
+} from "./utils/theme";
+import { createUrlWriter, parsePanelHash, parseUrlState, writePanelHash } from "./utils/urlState";
+import { detectWebGL, watchContextLoss } from "./utils/webgl";
+import { createBenchmarkMarkers } from "./utils/benchmark";
+import { CAPTURE_FORMATS, captureName, downloadBlob } from "./utils/capture";
+import createTourEngine, { parseTourSteps, tourFromMarkers } from "./utils/tourEngine";
+import { QUALITY_MODES, QUALITY_TIERS, stepQuality, useRenderVisibility } from "./utils/quality";
+import { SR_ONLY, orbitKeyTarget, usePrefersReducedMotion } from "./utils/accessibility";
+import { COLOR_RAMPS, findRegion, parseDataOverlay, rasterizeOverlay, useDataOverlay } from "./utils/dataOverlay";
+import { DEFAULT_GAZETTEER } from "./utils/placeSearch";
+import { MEASURE_UNITS } from "./utils/measure";
+import { usePlaceSearch } from "./utils/searchClient";
+import { I18nContext, LOCALES, detectLocale, localizeMarkers, matchLocale, useLocaleBundle } from "./utils/i18n";
+
+// The sun stays put in world space (azimuth around +Y); the planet is rotated
+// underneath it so the subsolar point always faces the sun.
+const SUN_THETA = 0.5;
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+// R3F default camera sits at z = 5; URL `zoom` is relative to that
+const DEFAULT_CAMERA_DISTANCE = 5;
+// camera distance when focusing a marker (labels sit ~2.9 from the centre)
+const FOCUS_DISTANCE = 4;
+// and for gazetteer search results
+const SEARCH_DISTANCE = { city: 3.2, country: 4.8 };
+// embed globeHover events go out at most this often (ms)
+const GLOBE_HOVER_INTERVAL = 100;
+// how long to wait for a lost WebGL context to come back before going 2D
+const CONTEXT_RESTORE_TIMEOUT = 5000;
+
+// 4k textures, and 1k copies used when those take longer than TEXTURE_TIMEOUT seconds
+const EARTH_TEXTURES = {
+  high: ["/earth/day.jpg", "/earth/night.jpg", "/earth/specularClouds.jpg"],
+  low: ["/earth/low/day.jpg", "/earth/low/night.jpg", "/earth/low/specularClouds.jpg"],
+};
+const TEXTURE_TIMEOUT = 12;
+// anything but the earth textures (marker photos…) may fail without blocking the load;
+// once the low-res set has taken over, so may the abandoned high-res requests
+const isOptionalAsset = (url, lowRes) =>
+  !EARTH_TEXTURES.low.includes(url) && (lowRes || !EARTH_TEXTURES.high.includes(url));
+
+// frameloop="demand": how often the sun and clouds still get a frame (ms)
+const DEMAND_TICK = 1000;
+
+// OrbitControls input: orbiting the globe, panning a flat map
+const ORBIT_MOUSE_BUTTONS = { LEFT: THREE.MOUSE.ROTATE, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN };
+const FLAT_MOUSE_BUTTONS = { LEFT: THREE.MOUSE.PAN, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN };
+const ORBIT_TOUCHES = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+const FLAT_TOUCHES = { ONE: THREE.TOUCH.PAN, TWO: THREE.TOUCH.DOLLY_PAN };
+// CameraRig's default flight time, used to lay out recorded tours (s)
+const TOUR_FLIGHT = 1.6;
+// crossfade between themes (s)
+const THEME_FADE = 0.8;
+
+// bound to the earth shader while there is no data overlay (opacity stays 0)
+const EMPTY_OVERLAY = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+EMPTY_OVERLAY.needsUpdate = true;
+
+// Leva select: native name → locale code
+const LANGUAGE_OPTIONS = Object.fromEntries(Object.entries(LOCALES).map(([code, { name }]) => [name, code]));
+
+const NOTICE_STYLE = {
+  position: "absolute", top: 60, left: "50%", transform: "translateX(-50%)",
+  color: "rgba(255,255,255,0.8)", fontSize: 12,
 };
 
 /** Earth + Atmosphere */
-function EarthSystem() {
+function EarthSystem({
+  planetRef,
+  textures,
+  onTexturesReady,
+  quality,
+  overlayCanvas,
+  overlayOpacity,
+  searchPin,
+  measure,
+  reducedMotion,
+  timeController,
+  theme,
+  markers,
+  arcs,
+  activeMarkerId,
+  onMarkerHover,
+  onMarkerClick,
+  onClusterClick,
+  onGlobeHover,
+  onGlobeClick,
+}) {
+  const { declutter, markerMode } = useControls("Labels", {
+    declutter: { value: "priority", options: DECLUTTER_MODES },
+    markerMode: { value: "auto", options: ["auto", "cards", "instanced"] },
+  });
+  const instanced = markerMode === "instanced" || (markerMode === "auto" && markers.length > quality.instancedAbove);
+
+  const arcControls = useControls("Arcs", {
+    tourRoute: false,
+    width: { value: 2, min: 0.5, max: 8, step: 0.5 },
+    heightScale: { value: 0.5, min: 0, max: 1.5 },
+    flowSpeed: { value: 0.2, min: 0, max: 2 },
+  });
+  const allArcs = useMemo(() => {
+    if (!arcControls.tourRoute) return arcs;
+    // "tour of the wonders": each marker to the next in catalog order
+    const route = markers.slice(1).map((m, i) => ({
+      from: markers[i],
+      to: m,
+      label: `${markers[i].name} → ${m.name}`,
+    }));
+    return [...arcs, ...route];
+  }, [arcs, markers, arcControls.tourRoute]);
+
+  const sky = useControls("Sky", {
+    stars: true,
+    magLimit: { value: 6, min: 2, max: 6, step: 0.5, label: "faintest star" },
+    milkyWay: true,
+    sun: true,
+    moon: true,
+  });
+
+  const clouds = useControls("Clouds", {
+    opacity: { value: 0.9, min: 0, max: 1 },
+    speed: { value: 0.01, min: -0.1, max: 0.1, step: 0.001 }, // rad/s relative to the ground
+    altitude: { value: 0.01, min: 0.002, max: 0.03, step: 0.001 }, // fraction of the radius
+    shadow: { value: 0.5, min: 0, max: 1 },
+  });
+
   const earthMaterialRef = useRef();
   const atmosphereMaterialRef = useRef();
+  const cloudsMaterialRef = useRef();
+  const cloudsRef = useRef();
+  const atmosphereRef = useRef();
   const earthRef = useRef();
-  const planetRef = useRef();
 
-  const { gl } = useThree();
+  const { gl, invalidate } = useThree();
 
-  const { atmosphereDayColor, atmosphereTwilightColor, phi, theta } = useControls({
-    atmosphereDayColor: "#00aaff",
-    atmosphereTwilightColor: "#ff6600",
-    phi: { value: Math.PI * 0.5, min: 0, max: Math.PI },
-    theta: { value: 0.5, min: -Math.PI, max: Math.PI },
-  });
+  const { atmosphereDayColor, atmosphereTwilightColor, exposure } = theme;
 
   // Textures (tracked by Suspense/useProgress)
-  const [dayTex, nightTex, specularCloudsTex] = useTexture([
-    "/earth/day.jpg",
-    "/earth/night.jpg",
-    "/earth/specularClouds.jpg",
-  ]);
+  const [dayTex, nightTex, specularCloudsTex] = useTexture(textures);
 
   useEffect(() => {
     dayTex.colorSpace = THREE.SRGBColorSpace;
     nightTex.colorSpace = THREE.SRGBColorSpace;
 
     const maxAniso = gl.capabilities?.getMaxAnisotropy?.() ?? 8;
-    dayTex.anisotropy = Math.min(8, maxAniso);
-    nightTex.anisotropy = Math.min(8, maxAniso);
-    specularCloudsTex.anisotropy = Math.min(8, maxAniso);
+    dayTex.anisotropy = Math.min(quality.anisotropy, maxAniso);
+    nightTex.anisotropy = Math.min(quality.anisotropy, maxAniso);
+    specularCloudsTex.anisotropy = Math.min(quality.anisotropy, maxAniso);
 
     dayTex.needsUpdate = true;
     nightTex.needsUpdate = true;
     specularCloudsTex.needsUpdate = true;
-  }, [dayTex, nightTex, specularCloudsTex, gl]);
+
+    // quality changes can swap the texture set under existing materials
+    const earth = earthMaterialRef.current?.uniforms;
+    if (earth) {
+      earth.uDayTexture.value = dayTex;
+      earth.uNightTexture.value = nightTex;
+      earth.uSpecularCloudsTexture.value = specularCloudsTex;
+    }
+    if (cloudsMaterialRef.current) cloudsMaterialRef.current.uniforms.uSpecularCloudsTexture.value = specularCloudsTex;
+
+    onTexturesReady?.();
+  }, [dayTex, nightTex, specularCloudsTex, gl, quality.anisotropy, onTexturesReady]);
 
   // Sun direction uniforms
-  const sunSpherical = useMemo(() => new THREE.Spherical(1, phi, theta), []);
   const sunDir = useMemo(() => new THREE.Vector3(), []);
 
+  // globe ↔ flat map morph (stepped here, read by everything on the surface)
+  const projection = useProjection();
+  const morphRaycast = useMemo(() => createMorphRaycast(projection, 2), [projection]);
+
   const earthUniforms = useMemo(
     () => ({
       uDayTexture: new THREE.Uniform(dayTex),
@@ -84,111 +242,1301 @@ function EarthSystem() {
       uSunDirection: new THREE.Uniform(new THREE.Vector3(0, 0, 1)),
       uAtmosphereDayColor: new THREE.Uniform(new THREE.Color(atmosphereDayColor)),
       uAtmosphereTwilightColor: new THREE.Uniform(new THREE.Color(atmosphereTwilightColor)),
+      uCloudRotation: new THREE.Uniform(0),
+      uCloudAltitude: new THREE.Uniform(0.01),
+      uCloudShadow: new THREE.Uniform(0.5),
+      uOverlayTexture: new THREE.Uniform(EMPTY_OVERLAY),
+      uOverlayOpacity: new THREE.Uniform(0),
+      uProjectionFrom: new THREE.Uniform(0),
+      uProjectionTo: new THREE.Uniform(0),
+      uProjectionMix: new THREE.Uniform(1),
+      uFlatness: new THREE.Uniform(0),
     }),
     [] // textures are available post-suspense; uniforms hold refs
   );
 
+  const cloudsUniforms = useMemo(
+    () => ({
+      uSpecularCloudsTexture: new THREE.Uniform(specularCloudsTex),
+      uSunDirection: new THREE.Uniform(new THREE.Vector3(0, 0, 1)),
+      uAtmosphereTwilightColor: new THREE.Uniform(new THREE.Color(atmosphereTwilightColor)),
+      uOpacity: new THREE.Uniform(0.9),
+    }),
+    []
+  );
+
   const atmosphereUniforms = useMemo(
     () => ({
       uSunDirection: new THREE.Uniform(new THREE.Vector3(0, 0, 1)),
       uAtmosphereDayColor: new THREE.Uniform(new THREE.Color(atmosphereDayColor)),
       uAtmosphereTwilightColor: new THREE.Uniform(new THREE.Color(atmosphereTwilightColor)),
+      uOpacity: new THREE.Uniform(1),
     }),
     []
   );
 
-  // keep color uniforms in sync
+  // theme changes crossfade the colour uniforms and the exposure (the first
+  // theme applies as is; LoadingOverlay ramps the exposure in)
+  const themeFade = useRef(null);
+  const themeApplied = useRef(false);
+  useEffect(() => {
+    const earth = earthMaterialRef.current?.uniforms;
+    const atmosphere = atmosphereMaterialRef.current?.uniforms;
+    const cloudsTwilight = cloudsMaterialRef.current?.uniforms.uAtmosphereTwilightColor.value;
+    if (!earth || !atmosphere) return;
+
+    const from = {
+      day: earth.uAtmosphereDayColor.value.clone(),
+      twilight: earth.uAtmosphereTwilightColor.value.clone(),
+      exposure: gl.toneMappingExposure,
+    };
+    const to = { day: new THREE.Color(atmosphereDayColor), twilight: new THREE.Color(atmosphereTwilightColor), exposure };
+    const first = !themeApplied.current;
+    themeApplied.current = true;
+
+    themeFade.current?.cancel();
+    themeFade.current = createTransition({
+      duration: first || reducedMotion ? 0 : THEME_FADE,
+      easing: "easeInOutSine",
+      onUpdate: (t) => {
+        earth.uAtmosphereDayColor.value.lerpColors(from.day, to.day, t);
+        earth.uAtmosphereTwilightColor.value.lerpColors(from.twilight, to.twilight, t);
+        atmosphere.uAtmosphereDayColor.value.copy(earth.uAtmosphereDayColor.value);
+        atmosphere.uAtmosphereTwilightColor.value.copy(earth.uAtmosphereTwilightColor.value);
+        cloudsTwilight?.copy(earth.uAtmosphereTwilightColor.value);
+        if (!first) gl.toneMappingExposure = THREE.MathUtils.lerp(from.exposure, to.exposure, t);
+      },
+    });
+    invalidate();
+  }, [atmosphereDayColor, atmosphereTwilightColor, exposure, reducedMotion, gl, invalidate]);
+
+  // cloud controls → uniforms (opacity and shadow are set per frame, they
+  // also fade out on the flat map)
+  useEffect(() => {
+    const earth = earthMaterialRef.current?.uniforms;
+    if (earth) earth.uCloudAltitude.value = clouds.altitude;
+  }, [clouds.altitude]);
+
+  // data overlay: rasterised canvas → texture blended by the earth shader
+  const overlayTexture = useMemo(() => {
+    if (!overlayCanvas) return null;
+    const texture = new THREE.CanvasTexture(overlayCanvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = Math.min(quality.anisotropy, gl.capabilities?.getMaxAnisotropy?.() ?? 8);
+    return texture;
+  }, [overlayCanvas, quality.anisotropy, gl]);
+  useEffect(() => () => overlayTexture?.dispose(), [overlayTexture]);
+
   useEffect(() => {
-    earthMaterialRef.current?.uniforms.uAtmosphereDayColor.value.set(atmosphereDayColor);
-    earthMaterialRef.current?.uniforms.uAtmosphereTwilightColor.value.set(atmosphereTwilightColor);
-    atmosphereMaterialRef.current?.uniforms.uAtmosphereDayColor.value.set(atmosphereDayColor);
-    atmosphereMaterialRef.current?.uniforms.uAtmosphereTwilightColor.value.set(atmosphereTwilightColor);
-  }, [atmosphereDayColor, atmosphereTwilightColor]);
+    const earth = earthMaterialRef.current?.uniforms;
+    if (!earth) return;
+    earth.uOverlayTexture.value = overlayTexture ?? EMPTY_OVERLAY;
+    earth.uOverlayOpacity.value = overlayTexture ? overlayOpacity : 0;
+    invalidate();
+  }, [overlayTexture, overlayOpacity, invalidate]);
 
   useFrame((_, delta) => {
-    if (planetRef.current) planetRef.current.rotation.y += delta * 0.1;
+    if (themeFade.current?.step(delta)) invalidate();
+    if (projection.step(delta)) invalidate();
+    const flatness = projection.flatness;
 
-    sunSpherical.phi = phi;
-    sunSpherical.theta = theta;
-    sunDir.setFromSpherical(sunSpherical);
+    const { subsolarLat, subsolarLon } = solarPosition(timeController.now());
+
+    // On the globe the planet spins so the subsolar longitude faces a sun
+    // fixed at SUN_THETA (spherical theta = world longitude + 90°). A flat map
+    // holds still at FLAT_ROTATION instead and the sun moves over it.
+    let spin = SUN_THETA - Math.PI * 0.5 - subsolarLon * DEG2RAD;
+    spin += (THREE.MathUtils.euclideanModulo(FLAT_ROTATION - spin + Math.PI, Math.PI * 2) - Math.PI) * flatness;
+    if (planetRef.current) planetRef.current.rotation.y = spin;
+    latLonToVec3(subsolarLat, subsolarLon, 1, 0, sunDir).applyAxisAngle(Y_AXIS, spin);
+
+    const { from, to, t } = projection.state;
+    const earth = earthMaterialRef.current?.uniforms;
+    if (earth) {
+      earth.uProjectionFrom.value = PROJECTION_IDS[from];
+      earth.uProjectionTo.value = PROJECTION_IDS[to];
+      earth.uProjectionMix.value = t;
+      earth.uFlatness.value = flatness;
+      earth.uCloudShadow.value = clouds.shadow * clouds.opacity * (1 - flatness);
+    }
+    // the map is atmosphere- and cloud-free
+    if (cloudsMaterialRef.current) cloudsMaterialRef.current.uniforms.uOpacity.value = clouds.opacity * (1 - flatness);
+    if (atmosphereMaterialRef.current) atmosphereMaterialRef.current.uniforms.uOpacity.value = 1 - flatness;
+    if (cloudsRef.current) cloudsRef.current.visible = flatness < 1;
+    if (atmosphereRef.current) atmosphereRef.current.visible = flatness < 1;
+
+    // clouds drift around the planet on their own
+    if (cloudsRef.current) {
+      cloudsRef.current.rotation.y += delta * clouds.speed;
+      const earth = earthMaterialRef.current?.uniforms;
+      if (earth) earth.uCloudRotation.value = cloudsRef.current.rotation.y;
+    }
 
     earthMaterialRef.current?.uniforms.uSunDirection.value.copy(sunDir);
     atmosphereMaterialRef.current?.uniforms.uSunDirection.value.copy(sunDir);
+    cloudsMaterialRef.current?.uniforms.uSunDirection.value.copy(sunDir);
   });
 
+  // Picking: world hit → planet frame (undoes the sun-clock rotation) → lat/lon
+  // (on the sphere, or on the map plane once flat; see createMorphRaycast)
+  const toPick = (e) => {
+    const local = planetRef.current.worldToLocal(e.point.clone());
+    return {
+      ...(projection.toLatLon(local, 2) ?? vec3ToLatLon(local)),
+      point: e.point.clone(),
+      screen: { x: e.nativeEvent.offsetX, y: e.nativeEvent.offsetY },
+    };
+  };
+  const handleGlobeMove = (e) => onGlobeHover?.(toPick(e));
+  const handleGlobeOut = () => onGlobeHover?.(null);
+  const handleGlobeClick = (e) => {
+    if (!onGlobeClick || e.delta > 4) return; // ignore orbit drags
+    onGlobeClick(toPick(e));
+  };
+
   return (
-    <group ref={planetRef}>
-      {/* Earth */}
-      <mesh ref={earthRef}>
-        <sphereGeometry args={[2, 64, 64]} />
-        <shaderMaterial
-          ref={earthMaterialRef}
-          vertexShader={earthVertexShader}
-          fragmentShader={earthFragmentShader}
-          uniforms={earthUniforms}
-        />
-      </mesh>
-
-      {/* Atmosphere */}
-      <mesh scale={[1.04, 1.04, 1.04]}>
-        <sphereGeometry args={[2, 64, 64]} />
-        <shaderMaterial
-          ref={atmosphereMaterialRef}
-          side={THREE.BackSide}
-          transparent
-          vertexShader={atmosphereVertexShader}
-          fragmentShader={atmosphereFragmentShader}
-          uniforms={atmosphereUniforms}
-        />
-      </mesh>
-
-      {WONDERS.map((w) => (
-        <WonderLabel
-          key={w.name}
-          name={w.name}
-          lat={w.lat}
-          lon={w.lon}
-          imageSrc={WONDER_IMAGES[w.name]}
+    <>
+      <group ref={planetRef}>
+        {/* Earth (never culled: the flat map outgrows the sphere's bounds) */}
+        <mesh
+          ref={earthRef}
+          raycast={morphRaycast}
+          frustumCulled={false}
+          onClick={handleGlobeClick}
+          onPointerMove={onGlobeHover && handleGlobeMove}
+          onPointerOut={onGlobeHover && handleGlobeOut}
+        >
+          <sphereGeometry args={[2, quality.segments, quality.segments]} />
+          <shaderMaterial
+            ref={earthMaterialRef}
+            vertexShader={earthVertexShader}
+            fragmentShader={earthFragmentShader}
+            uniforms={earthUniforms}
+          />
+        </mesh>
+
+        {/* Clouds (between the ground and the atmosphere) */}
+        <mesh ref={cloudsRef} scale={1 + clouds.altitude} renderOrder={1}>
+          <sphereGeometry args={[2, quality.segments, quality.segments]} />
+          <shaderMaterial
+            ref={cloudsMaterialRef}
+            transparent
+            depthWrite={false}
+            vertexShader={cloudsVertexShader}
+            fragmentShader={cloudsFragmentShader}
+            uniforms={cloudsUniforms}
+          />
+        </mesh>
+
+        {/* Atmosphere */}
+        <mesh ref={atmosphereRef} scale={[1.04, 1.04, 1.04]}>
+          <sphereGeometry args={[2, quality.segments, quality.segments]} />
+          <shaderMaterial
+            ref={atmosphereMaterialRef}
+            side={THREE.BackSide}
+            transparent
+            vertexShader={atmosphereVertexShader}
+            fragmentShader={atmosphereFragmentShader}
+            uniforms={atmosphereUniforms}
+          />
+        </mesh>
+
+        {/* own boundary so swapping catalogs doesn't blank the globe */}
+        <Suspense fallback={null}>
+          <LabelLayout mode={declutter}>
+            {instanced ? (
+              <InstancedMarkers
+                markers={markers}
+                radius={2}
+                labelDistance={0.9}
+                color={theme.labelColor}
+                lineColor={theme.lineColor}
+                boxOpacity={theme.boxOpacity}
+                pinColor={theme.lineColor}
+                maxCards={quality.maxCards}
+                reducedMotion={reducedMotion}
+                activeId={activeMarkerId}
+                onMarkerHover={onMarkerHover}
+                onMarkerClick={onMarkerClick}
+                onClusterClick={onClusterClick}
+              />
+            ) : (
+              <MarkerLayer
+                markers={markers}
+                radius={2}
+                labelDistance={0.9}
+                color={theme.labelColor}
+                lineColor={theme.lineColor}
+                boxOpacity={theme.boxOpacity}
+                reducedMotion={reducedMotion}
+                activeId={activeMarkerId}
+                onMarkerHover={onMarkerHover}
+                onMarkerClick={onMarkerClick}
+              />
+            )}
+          </LabelLayout>
+        </Suspense>
+
+        <ArcLayer
+          arcs={allArcs}
           radius={2}
-          labelDistance={0.9}
+          width={arcControls.width}
+          heightScale={arcControls.heightScale}
+          flowSpeed={reducedMotion ? 0 : arcControls.flowSpeed}
+          revealDuration={reducedMotion ? 0 : undefined}
+        />
+
+        <SkyLayer
+          timeController={timeController}
+          sunDirection={sunDir}
+          stars={sky.stars}
+          milkyWay={sky.milkyWay && quality.milkyWay}
+          sun={sky.sun}
+          moon={sky.moon}
+          magLimit={Math.min(sky.magLimit, quality.starLimit)}
+          segments={quality.segments / 2}
         />
-      ))}
 
-      {/* Debug sun */}
-      <Icosahedron args={[0.1, 2]} position={sunDir.clone().multiplyScalar(5)}>
-        <meshBasicMaterial />
-      </Icosahedron>
-    </group>
+        {searchPin && <SearchPin key={searchPin.id} place={searchPin} radius={2} reducedMotion={reducedMotion} />}
+        {measure && (
+          <MeasureLayer
+            points={measure.points}
+            cursor={measure.cursor}
+            unit={measure.unit}
+            radius={2}
+            color={theme.lineColor}
+          />
+        )}
+      </group>
+    </>
   );
 }
 
-export default function App() {
+/** frameloop="demand": a slow tick so the sun and clouds still move */
+function DemandTicker({ interval }) {
+  const invalidate = useThree((s) => s.invalidate);
+  useEffect(() => {
+    const id = setInterval(() => invalidate(), interval);
+    return () => clearInterval(id);
+  }, [invalidate, interval]);
+  return null;
+}
+
+/** Leva time controls → time controller */
+function useTimeControls(timeController, initialDate) {
+  const [{ mode, date, speed }, set] = useControls("Time", () => ({
+    mode: { value: initialDate ? "fixed" : "now", options: ["now", "fixed"] },
+    date: {
+      value: initialDate ?? new Date().toISOString().slice(0, 16) + "Z",
+      render: (get) => get("Time.mode") === "fixed",
+    },
+    speed: { value: 1, min: 0, max: 3600, step: 1 },
+  }));
+
+  useEffect(() => {
+    if (mode === "fixed") timeController.setDate(date);
+    else timeController.setNow();
+  }, [mode, date, timeController]);
+
+  useEffect(() => {
+    timeController.setSpeed(speed);
+  }, [speed, timeController]);
+
+  return [{ mode, date, speed }, set];
+}
+
+// select value while the theme matches no preset
+const CUSTOM_PRESET = "custom";
+
+const themeSchema = (theme) =>
+  Object.fromEntries(
+    Object.entries(THEME_FIELDS).map(([key, { type, ...range }]) => [
+      key,
+      type === "number" ? { value: theme[key], ...range } : theme[key],
+    ])
+  );
+
+/**
+ * Leva Theme / Presets folders. `builtIns` can't be changed or deleted;
+ * presets saved here live in localStorage and round-trip through JSON files.
+ * Returns `[theme, setTheme, presets]` (presets = built-in + saved).
+ * `alertMessage(key, params, details)` shows a translated alert.
+ */
+function useThemePresets(initialTheme, builtIns, alertMessage) {
+  const [saved, setSaved] = useSavedPresets();
+  const presets = useMemo(() => ({ ...builtIns, ...saved }), [builtIns, saved]);
+  const [theme, setTheme] = useControls("Theme", () => themeSchema(initialTheme));
+
+  const matching = findThemeName(theme, presets) ?? CUSTOM_PRESET;
+  const names = Object.keys(presets);
+  const namesKey = names.join("\n");
+
+  // Leva keeps the first button callbacks; they read everything through here
+  const latest = useRef();
+  latest.current = { theme, presets, saved, matching };
+  const actions = useRef();
+  actions.current = {
+    save: (name) => {
+      name = name.trim();
+      if (!name) return alertMessage("presets.nameRequired");
+      if (Object.hasOwn(builtIns, name)) return alertMessage("presets.builtIn", { name });
+      setSaved((s) => ({ ...s, [name]: { ...latest.current.theme } }));
+    },
+    remove: (name) => {
+      if (!Object.hasOwn(latest.current.saved, name)) return alertMessage("presets.deleteSaved");
+      setSaved((s) => {
+        const rest = { ...s };
+        delete rest[name];
+        return rest;
+      });
+    },
+    export: () => {
+      const blob = new Blob([exportPresets(latest.current.saved)], { type: "application/json" });
+      downloadBlob(blob, "earth-presets.json");
+    },
+    import: () => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = "application/json,.json";
+      input.onchange = async () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        try {
+          const { presets: loaded, errors } = parsePresets(JSON.parse(await file.text()));
+          const first = Object.keys(loaded)[0];
+          if (first) {
+            setSaved((s) => ({ ...s, ...loaded }));
+            setTheme(loaded[first]);
+          }
+          if (errors.length || !first) {
+            const lines = errors.map((e) => (e.name ? `${e.name}: ${e.message}` : e.message));
+            if (first) alertMessage("presets.skipped", { count: errors.length }, lines);
+            else alertMessage("presets.skippedAll", null, lines);
+          }
+        } catch (err) {
+          alertMessage("presets.importFailed", { message: err.message });
+        }
+      };
+      input.click();
+    },
+  };
+
+  const [{ preset, name }, setPresetControls] = useControls(
+    "Presets",
+    () => ({
+      preset: { value: latest.current.matching, options: [...names, CUSTOM_PRESET] },
+      name: { value: "", label: "save as" },
+      save: button((get) => actions.current.save(get("Presets.name"))),
+      delete: button((get) => actions.current.remove(get("Presets.preset"))),
+      "export saved": button(() => actions.current.export()),
+      import: button(() => actions.current.import()),
+    }),
+    [namesKey]
+  );
+
+  // picking a preset applies it...
+  useEffect(() => {
+    const { presets: all, matching: current } = latest.current;
+    if (preset !== current && all[preset]) setTheme(all[preset]);
+  }, [preset, setTheme]);
+
+  // ...and the select follows the theme however it changed
+  useEffect(() => {
+    setPresetControls({ preset: matching });
+  }, [matching, namesKey, setPresetControls]);
+
+  // a freshly saved preset is what the select now shows
+  useEffect(() => {
+    if (Object.hasOwn(saved, name.trim()) && matching === name.trim()) setPresetControls({ name: "" });
+  }, [saved, matching, name, setPresetControls]);
+
+  return [theme, setTheme, presets];
+}
+
+const markerPayload = (m) => ({ id: m.id, name: m.name, lat: m.lat, lon: m.lon });
+
+const NO_ARCS = [];
+
+export default function App({
+  markersSrc = "/data/wonders.geojson",
+  gazetteerSrc = DEFAULT_GAZETTEER,
+  arcs = NO_ARCS,
+  tour = null,
+  overlay = null,
+  presets: clientPresets = null,
+  // where troika fetches fallback fonts for scripts the label font lacks
+  // (default: jsDelivr); point it at a self-hosted copy for offline use
+  unicodeFontsUrl,
+}) {
+  // ?lat=..&lon=..&marker=.. etc. Controls start from these values; the
+  // camera and selection are applied once loading has finished.
+  const initialUrl = useMemo(() => ({ ...parseUrlState(), panel: parsePanelHash() }), []);
+
+  const timeController = useMemo(() => createTimeController(), []);
+  const [timeControls, setTimeControls] = useTimeControls(timeController, initialUrl.time);
+
+  // client presets sit next to the built-in ones (and can be linked with ?theme=)
+  const builtInPresets = useMemo(() => {
+    if (!clientPresets) return THEMES;
+    const { presets, errors } = parsePresets(clientPresets);
+    if (errors.length) console.warn("[theme] ignored presets", errors);
+    return { ...THEMES, ...presets };
+  }, [clientPresets]);
+  // alerts are raised from Leva buttons and async handlers, so they read the
+  // current language through a ref (i18n itself is set up with the View folder)
+  const i18nRef = useRef(null);
+  const alertMessage = useCallback(
+    (key, params, details = []) => window.alert([i18nRef.current.t(key, params), ...details].join("\n")),
+    []
+  );
+  const [theme, setTheme, themePresets] = useThemePresets(
+    builtInPresets[resolveThemeName(initialUrl.theme)] ?? builtInPresets[DEFAULT_THEME_NAME],
+    builtInPresets,
+    alertMessage
+  );
+  // globe or flat map; the controller drives the morph inside the canvas
+  const projectionController = useMemo(
+    () => createProjectionController(PROJECTIONS.includes(initialUrl.projection) ? initialUrl.projection : "globe"),
+    [initialUrl]
+  );
+  // ?lang= or the browser's language; bundles load on demand, so switching
+  // swaps strings without touching the scene
+  const browserLocale = useMemo(() => detectLocale(""), []);
+  const [{ autoRotate, projection, language }, setView] = useControls("View", () => ({
+    autoRotate: initialUrl.autoRotate ?? true,
+    projection: { value: projectionController.name, options: PROJECTIONS },
+    language: { value: matchLocale(initialUrl.lang) ?? browserLocale, options: LANGUAGE_OPTIONS },
+    resetView: button(() => resetView()),
+  }));
+  const flatProjection = isFlatProjection(projection);
+  const showUi = initialUrl.ui ?? true;
+  const i18n = useLocaleBundle(language, { unicodeFontsUrl });
+  i18nRef.current = i18n;
+  const { t } = i18n;
+
+  // reduced motion (OS setting, or toggled here): no auto-rotation, camera
+  // cuts instead of flights, no easing on cards, static arcs
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const [{ reducedMotion }, setAccessibility] = useControls("Accessibility", () => ({
+    reducedMotion: prefersReducedMotion,
+  }));
+  const lastPrefersReducedMotion = useRef(prefersReducedMotion);
+  useEffect(() => {
+    if (lastPrefersReducedMotion.current === prefersReducedMotion) return;
+    lastPrefersReducedMotion.current = prefersReducedMotion;
+    setAccessibility({ reducedMotion: prefersReducedMotion });
+  }, [prefersReducedMotion, setAccessibility]);
+
+  const { coordinates } = useControls("Picking", { coordinates: false });
+  const [hoverPick, setHoverPick] = useState(null);
+  const [pinnedPick, setPinnedPick] = useState(null);
+
+  // measure mode: globe and marker clicks add points to a great-circle path
+  const [{ measure, units: measureUnit }, setMeasureControls] = useControls("Measure", () => ({
+    measure: false,
+    units: { value: "km", options: Object.keys(MEASURE_UNITS) },
+  }));
+  const [measurePoints, setMeasurePoints] = useState([]);
+  const [measureCursor, setMeasureCursor] = useState(null);
+  useEffect(() => {
+    if (measure) return;
+    setMeasurePoints([]);
+    setMeasureCursor(null);
+  }, [measure]);
+  const addMeasurePoint = (point) => setMeasurePoints((points) => [...points, point]);
+
+  // ?bench=N swaps the catalog for N synthetic points and shows frame stats
+  const bench = initialUrl.bench;
+  const { markers: catalogMarkers, status: markersStatus, setMarkers } = useMarkerCatalog(bench ? null : markersSrc);
+  // same ids and order as the catalog, text from the locale bundle
+  const markers = useMemo(() => localizeMarkers(catalogMarkers, i18n.bundle), [catalogMarkers, i18n.bundle]);
+  useEffect(() => {
+    if (bench) setMarkers(createBenchmarkMarkers(bench));
+  }, [bench, setMarkers]);
+  const [selectedId, setSelectedId] = useState(null);
+  // marker detail panel (#place=<id>); stays closed for ids the catalog doesn't have
+  const [panelId, setPanelId] = useState(initialUrl.panel ?? null);
+  const panelIndex = markers.findIndex((m) => m.id === panelId);
+  const panelMarker = markers[panelIndex] ?? null;
+
+  // place search over the markers and the bundled gazetteer; results that
+  // aren't markers get a temporary pin
+  const placeSearch = usePlaceSearch(markers, { gazetteerSrc });
+  const [searchPin, setSearchPin] = useState(null);
+
+  // Data overlay: `overlay` (URL or data, see utils/dataOverlay) or a heatmap of the markers
+  const { overlay: dataOverlay, setOverlay } = useDataOverlay(overlay);
+  const overlayControls = useControls("Overlay", {
+    opacity: { value: 0.75, min: 0, max: 1 },
+    ramp: { value: "data", options: ["data", ...Object.keys(COLOR_RAMPS)] },
+    markerHeat: false,
+  });
+  const markerHeat = useMemo(
+    () =>
+      overlayControls.markerHeat
+        ? parseDataOverlay({ type: "heatmap", points: markers, label: "Marker density" }).overlay
+        : null,
+    [overlayControls.markerHeat, markers]
+  );
+  const activeOverlay = dataOverlay ?? markerHeat;
+  const overlayRamp = overlayControls.ramp === "data" ? activeOverlay?.ramp : COLOR_RAMPS[overlayControls.ramp];
+  const [hoveredRegion, setHoveredRegion] = useState(null);
+
+  const planetRef = useRef();
+  const rigRef = useRef();
+  const [loaded, setLoaded] = useState(false);
+
+  // "webgl" or the flat map; sceneKey remounts the scene after a context restore
+  // so materials, geometries and textures are uploaded again
+  const [renderer, setRenderer] = useState(() => {
+    const webgl = detectWebGL();
+    return webgl.supported ? { mode: "webgl" } : { mode: "2d", reason: webgl.reason };
+  });
+  const [glCanvas, setGlCanvas] = useState(null);
+  const [contextLost, setContextLost] = useState(false);
+  const [sceneKey, setSceneKey] = useState(0);
+
+  // quality tier: fixed, or stepped by the frame-time monitor in "auto"
+  const { quality: qualityMode, powerSaver } = useControls("Performance", {
+    quality: { value: QUALITY_MODES.includes(initialUrl.quality) ? initialUrl.quality : "auto", options: QUALITY_MODES },
+    powerSaver: initialUrl.powerSave ?? false,
+  });
+  const [autoTier, setAutoTier] = useState("high");
+  const tierName = qualityMode === "auto" ? autoTier : qualityMode;
+  const quality = QUALITY_TIERS[tierName];
+  const changeAutoTier = (step) => startTransition(() => setAutoTier((t) => stepQuality(t, step)));
+
+  // nothing to draw while hidden or scrolled away (frameloop is set further down)
+  const rootRef = useRef();
+  const renderVisible = useRenderVisibility(rootRef);
+  // recordings step the scene themselves (see FrameExporter)
+  const [capturing, setCapturing] = useState(false);
+
+  // slow network: swap to the low-res earth textures if they aren't in yet
+  const [lowRes, setLowRes] = useState(false);
+  const [texturesReady, setTexturesReady] = useState(false);
+  // deferred so a tier change keeps the old textures up until the new ones load
+  const textures = useDeferredValue(lowRes || quality.textures === "low" ? EARTH_TEXTURES.low : EARTH_TEXTURES.high);
+  const handleTexturesReady = useCallback(() => setTexturesReady(true), []);
+  const isOptional = useCallback((url) => isOptionalAsset(url, lowRes), [lowRes]);
+  const overlayCanvas = useMemo(
+    () =>
+      activeOverlay &&
+      rasterizeOverlay(activeOverlay, { width: quality.textures === "low" ? 1024 : 2048, ramp: overlayRamp }),
+    [activeOverlay, overlayRamp, quality.textures]
+  );
+  const retryLoading = () => {
+    useTexture.clear(textures);
+    setSceneKey((k) => k + 1);
+  };
+
+  useEffect(() => {
+    if (!glCanvas) return;
+    let timer;
+    const unwatch = watchContextLoss(glCanvas, {
+      onLost: () => {
+        setContextLost(true);
+        timer = setTimeout(() => setRenderer({ mode: "2d", reason: "fallback.contextLost" }), CONTEXT_RESTORE_TIMEOUT);
+      },
+      onRestored: () => {
+        clearTimeout(timer);
+        setContextLost(false);
+        setSceneKey((k) => k + 1);
+      },
+    });
+    return () => {
+      clearTimeout(timer);
+      unwatch();
+    };
+  }, [glCanvas]);
+  // auto-rotation pauses while the camera flies to / stays locked on a target
+  const [cameraFocused, setCameraFocused] = useState(false);
+
+  const focusMarker = (m, options) =>
+    rigRef.current?.flyTo(m.lat, m.lon, { distance: FOCUS_DISTANCE, lock: true, ...options });
+
+  // the morph and the camera move together: onto a map the whole map is
+  // framed, back to the globe the camera returns over the same place
+  useEffect(() => {
+    if (projectionController.name === projection) return;
+    const rig = rigRef.current;
+    const view = rig?.getView();
+    projectionController.set(projection, { duration: reducedMotion ? 0 : 1.2 });
+    if (!rig) return;
+    if (isFlatProjection(projection)) rig.reset();
+    else rig.flyTo(view.lat, view.lon, { distance: DEFAULT_CAMERA_DISTANCE });
+  }, [projection, projectionController, reducedMotion]);
+
+  function resetView() {
+    tourEngine.stop();
+    setSelectedId(null);
+    setPanelId(null);
+    setSearchPin(null);
+    return rigRef.current?.reset();
+  }
+
+  // Guided tour: `tour` steps ({ marker, distance, dwell, caption, time }) or
+  // every marker in catalog order. Built from the catalog so a language switch
+  // doesn't restart it; the caption panel shows the localized marker.
+  const tourSteps = useMemo(() => {
+    if (!tour) return tourFromMarkers(catalogMarkers);
+    const { steps, errors } = parseTourSteps(tour, catalogMarkers);
+    if (errors.length && catalogMarkers.length) console.warn("[tour] skipped steps", errors);
+    return steps;
+  }, [tour, catalogMarkers]);
+
+  const [tourState, setTourState] = useState({ status: "idle", index: 0, step: null, loop: false, length: 0 });
+  const tourGoTo = useRef(null);
+  tourGoTo.current = (step) => {
+    if (step.time) setTimeControls({ mode: "fixed", date: new Date(step.time).toISOString() });
+    setSelectedId(step.marker.id); // an active card opens as if hovered
+    return focusMarker(step.marker, { distance: step.distance ?? FOCUS_DISTANCE });
+  };
+  const tourEngine = useMemo(
+    () => createTourEngine({ goTo: (step, i) => tourGoTo.current(step, i), onChange: setTourState }),
+    []
+  );
+  useEffect(() => tourEngine.setSteps(tourSteps), [tourEngine, tourSteps]);
+  const tourMarker = tourState.step && (markers.find((m) => m.id === tourState.step.marker.id) ?? tourState.step.marker);
+  const tourView = tourMarker ? { ...tourState, step: { ...tourState.step, marker: tourMarker } } : tourState;
+  useEffect(() => () => tourEngine.dispose(), [tourEngine]);
+  useControls("Tour", { start: button(() => tourEngine.play()) });
+
+  // Render continuously only while something moves on its own: auto-rotation,
+  // a playing tour, a fast-forwarded clock. Otherwise frames come on demand;
+  // flights, fades, card easing and flowing arcs ask for their own frames.
+  // powerSaver forces demand (and stops auto-rotation) regardless.
+  const rotating = autoRotate && !flatProjection && !reducedMotion && !cameraFocused && !capturing && !powerSaver;
+  const animating = rotating || tourState.status === "playing" || Math.abs(timeControls.speed) > 1;
+  const frameloop = capturing || !renderVisible ? "never" : animating && !powerSaver ? "always" : "demand";
+
+  // Export: stills and frame sequences of the WebGL canvas only (no Leva, no HUDs)
+  // (Leva keeps the first button callbacks, so only refs and stable values below)
+  const exporterRef = useRef();
+  const exporting = useRef(false);
+  const [exportStatus, setExportStatus] = useState(null); // { key, ...params }, translated when shown
+
+  const runExport = async (statusKey, fn) => {
+    if (!exporterRef.current || exporting.current) return;
+    exporting.current = true;
+    setExportStatus({ key: statusKey });
+    try {
+      await fn(exporterRef.current);
+    } catch (err) {
+      console.error("[export]", err);
+      alertMessage("export.failed", { message: err.message });
+    } finally {
+      exporting.current = false;
+      setCapturing(false);
+      setExportStatus(null);
+    }
+  };
+
+  const exportScreenshot = (get) =>
+    runExport("export.screenshot", async (exporter) => {
+      const blob = await exporter.screenshot({
+        width: get("Export.width"),
+        height: get("Export.height"),
+        transparent: get("Export.transparent"),
+      });
+      downloadBlob(blob, `${captureName()}.png`);
+    });
+
+  const exportSequence = (get) =>
+    runExport("export.recording", async (exporter) => {
+      const format = get("Export.format");
+      const fps = get("Export.fps");
+      const motion = get("Export.motion");
+      let duration = get("Export.duration");
+      let onStep;
+
+      tourEngine.stop();
+      rigRef.current?.release();
+
+      // The sun clock is frozen and stepped by the recording's fixed dt, so
+      // frames don't depend on how long each one took to encode
+      const clockMode = timeController.mode;
+      const clockSpeed = timeController.speed;
+      const clockStart = timeController.now().getTime();
+      let clock = { t: 0, ms: clockStart };
+      timeController.setSpeed(0);
+
+      if (motion === "tour") {
+        // every stop gets a flight plus its dwell, on the recording's own clock
+        let start = 0;
+        const schedule = tourEngine.steps.map((step) => {
+          const at = start;
+          start += TOUR_FLIGHT + step.dwell;
+          return { step, at };
+        });
+        duration = start;
+        let next = 0;
+        onStep = (t) => {
+          while (next < schedule.length && t >= schedule[next].at) {
+            const { step } = schedule[next++];
+            if (step.time) clock = { t, ms: new Date(step.time).getTime() };
+            setSelectedId(step.marker.id);
+            focusMarker(step.marker, { distance: step.distance ?? FOCUS_DISTANCE, duration: TOUR_FLIGHT });
+          }
+        };
+      }
+
+      setCapturing(true);
+      let blob;
+      try {
+        blob = await exporter.record({
+          width: get("Export.width"),
+          height: get("Export.height"),
+          transparent: get("Export.transparent"),
+          fps,
+          duration,
+          format,
+          orbit: motion === "rotate" ? 1 : 0,
+          onFrame: (t) => {
+            onStep?.(t);
+            timeController.setDate(clock.ms + (t - clock.t) * 1000 * clockSpeed);
+          },
+          onProgress: (p) => setExportStatus({ key: "export.progress", percent: Math.round(p * 100) }),
+        });
+      } finally {
+        if (clockMode === "now") timeController.setNow();
+        else timeController.setDate(clockStart);
+        timeController.setSpeed(clockSpeed);
+      }
+      downloadBlob(blob, `${captureName()}.${format === "png" ? "zip" : "webm"}`);
+    });
+
+  useControls(
+    "Export",
+    {
+      width: { value: 3840, min: 256, max: 8192, step: 1 },
+      height: { value: 2160, min: 256, max: 8192, step: 1 },
+      transparent: false,
+      screenshot: button((get) => exportScreenshot(get)),
+      motion: { value: "rotate", options: ["rotate", "tour"] },
+      duration: { value: 6, min: 1, max: 60, step: 1, render: (get) => get("Export.motion") === "rotate" },
+      fps: { value: 30, options: [24, 30, 60] },
+      format: { value: "png", options: CAPTURE_FORMATS },
+      record: button((get) => exportSequence(get)),
+    },
+    { collapsed: true }
+  );
+
+  const closeTour = () => {
+    tourEngine.stop();
+    setSelectedId(null);
+    rigRef.current?.release();
+  };
+
+  // URL state: apply once after load, then keep the URL in sync
+  const urlWriter = useMemo(() => createUrlWriter({ wait: 400, maxWait: 2000 }), []);
+  useEffect(() => () => urlWriter.cancel(), [urlWriter]);
+  const [urlReady, setUrlReady] = useState(false);
+
+  useEffect(() => {
+    if (!loaded || urlReady || markersStatus === "loading") return;
+    const { lat, lon, zoom, marker, panel } = initialUrl;
+    const distance = zoom ? DEFAULT_CAMERA_DISTANCE / zoom : undefined;
+    // a #place= deep link selects its marker too
+    const id = marker ?? panel;
+    const m = id ? markers.find((x) => x.id === id) : null;
+    const rig = rigRef.current;
+
+    if (m) setSelectedId(m.id);
+    if (lat != null && lon != null) rig?.flyTo(lat, lon, { distance, duration: 0 });
+    else if (m) rig?.flyTo(m.lat, m.lon, { distance, duration: 0, lock: true });
+    else if (distance && rig) {
+      const view = rig.getView();
+      rig.flyTo(view.lat, view.lon, { distance, duration: 0 });
+    } else if (projectionController.flatName) rig?.reset({ duration: 0 });
+    setUrlReady(true);
+  }, [loaded, urlReady, markersStatus, markers, initialUrl, projectionController]);
+
+  // ?tour=1 (lobby screens): start looping once everything is in place
+  useEffect(() => {
+    if (!urlReady || !initialUrl.tour || !tourSteps.length) return;
+    tourEngine.setLoop(true);
+    tourEngine.play();
+  }, [urlReady, initialUrl.tour, tourSteps, tourEngine]);
+
+  const themeName = findThemeName(theme, builtInPresets);
+  useEffect(() => {
+    if (!urlReady) return;
+    // defaults are left out to keep links short
+    urlWriter.update({
+      marker: selectedId,
+      time: timeControls.mode === "fixed" ? timeControls.date : null,
+      autorotate: autoRotate ? null : false,
+      ui: showUi ? null : false,
+      theme: themeName === DEFAULT_THEME_NAME ? null : themeName,
+      projection: flatProjection ? projection : null,
+      lang: language === browserLocale ? null : language,
+    });
+  }, [
+    urlReady, urlWriter, selectedId, timeControls.mode, timeControls.date, autoRotate, showUi, themeName, projection,
+    flatProjection, language, browserLocale,
+  ]);
+
+  const handleViewChange = useCallback(
+    ({ lat, lon, distance }) => {
+      if (!urlReady) return;
+      urlWriter.update({ lat, lon, zoom: DEFAULT_CAMERA_DISTANCE / distance });
+    },
+    [urlReady, urlWriter]
+  );
+
+  // postMessage API for embed.html (no-op when not iframed)
+  const emit = useEmbedBridge({
+    ping: () => ({ ready: loaded, version: PROTOCOL_VERSION, renderer: renderer.mode }),
+    flyTo: ({ lat, lon, distance }) => {
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new Error("flyTo needs numeric lat/lon");
+      return rigRef.current?.flyTo(lat, lon, { distance });
+    },
+    selectMarker: ({ id }) => {
+      if (id == null) {
+        setSelectedId(null);
+        return;
+      }
+      const m = markers.find((x) => x.id === id);
+      if (!m) throw new Error(`unknown marker "${id}"`);
+      setSelectedId(m.id);
+      return focusMarker(m);
+    },
+    resetView: () => resetView(),
+    setMarkers: ({ markers: data }) => {
+      const { markers: next, errors } = setMarkers(data);
+      return { count: next.length, errors };
+    },
+    setTime: ({ time }) => {
+      if (time === "now") {
+        setTimeControls({ mode: "now" });
+        return;
+      }
+      const d = new Date(time);
+      if (Number.isNaN(d.getTime())) throw new Error(`invalid time "${time}"`);
+      setTimeControls({ mode: "fixed", date: d.toISOString() });
+    },
+    setAutoRotate: ({ enabled }) => setView({ autoRotate: Boolean(enabled) }),
+    setProjection: ({ projection: next }) => {
+      if (!PROJECTIONS.includes(next)) throw new Error(`unknown projection "${next}"`);
+      setView({ projection: next });
+    },
+    setLocale: ({ locale }) => {
+      if (!Object.hasOwn(LOCALES, locale)) throw new Error(`unknown locale "${locale}"`);
+      setView({ language: locale });
+    },
+    setTheme: ({ theme: next }) => {
+      if (typeof next !== "string") return setTheme(sanitizeTheme(next));
+      const preset = themePresets[resolveThemeName(next)];
+      if (!preset) throw new Error(`unknown theme "${next}"`);
+      setTheme(preset);
+    },
+    openPanel: ({ id }) => {
+      const m = markers.find((x) => x.id === id);
+      if (!m) throw new Error(`unknown marker "${id}"`);
+      openPanel(m);
+    },
+    closePanel: () => clearSelection(),
+    setOverlay: ({ overlay: data }) => {
+      const { overlay: next, errors } = setOverlay(data);
+      return { type: next?.type ?? null, errors };
+    },
+  });
+
+  // the hash and panelOpen / panelClose follow the panel (after the catalog is in,
+  // so a deep link survives loading)
+  const lastPanelId = useRef(null);
+  useEffect(() => {
+    if (markersStatus === "loading") return;
+    const id = panelMarker?.id ?? null;
+    writePanelHash(id);
+    if (lastPanelId.current === id) return;
+    if (lastPanelId.current) emit("panelClose", { id: lastPanelId.current });
+    if (panelMarker) emit("panelOpen", markerPayload(panelMarker));
+    lastPanelId.current = id;
+  }, [markersStatus, panelMarker, emit]);
+
+  // editing the hash (or following a #place= link on the page) opens that panel
+  const openFromHash = useRef(null);
+  openFromHash.current = () => {
+    const id = parsePanelHash();
+    const m = id && markers.find((x) => x.id === id);
+    if (m) openPanel(m);
+    else clearSelection();
+  };
+  useEffect(() => {
+    const onHashChange = () => openFromHash.current();
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const handleMarkerHover = (m, hovered) => emit("markerHover", { ...markerPayload(m), hovered });
+  // select + fly to a marker and show its details
+  const openPanel = (m) => {
+    tourEngine.pause();
+    setSelectedId(m.id);
+    setPanelId(m.id);
+    focusMarker(m);
+  };
+  const clearSelection = () => {
+    setSelectedId(null);
+    setPanelId(null);
+    rigRef.current?.release();
+  };
+  const stepPanel = (step) => openPanel(markers[(panelIndex + step + markers.length) % markers.length]);
+
+  const handleMarkerClick = (m) => {
+    if (measure) {
+      addMeasurePoint({ lat: m.lat, lon: m.lon, name: m.name });
+      emit("markerClick", markerPayload(m));
+      return;
+    }
+    if (selectedId === m.id) {
+      tourEngine.pause();
+      clearSelection();
+    } else {
+      openPanel(m);
+    }
+    emit("markerClick", markerPayload(m));
+  };
+  // zoom into a cluster until it splits up
+  const handleClusterClick = (cluster) => {
+    const rig = rigRef.current;
+    if (!rig) return;
+    rig.flyTo(cluster.lat, cluster.lon, { distance: Math.max(2.3, rig.getView().distance * 0.6) });
+  };
+  // picks carry the overlay region under them: { id, name, value } or null;
+  // `point` is the world-space hit (null on the flat-map fallback)
+  const pickPayload = (pick, region) => ({
+    lat: pick.lat,
+    lon: pick.lon,
+    screen: pick.screen,
+    point: pick.point?.toArray() ?? null,
+    region,
+  });
+  // throttled, but the latest pick (or the pointer leaving) always goes out
+  const globeHoverEmit = useRef({ last: 0, timer: null, payload: null });
+  useEffect(() => () => clearTimeout(globeHoverEmit.current.timer), []);
+  const emitGlobeHover = (payload) => {
+    const h = globeHoverEmit.current;
+    h.payload = payload;
+    if (h.timer) return;
+    const send = () => {
+      h.timer = null;
+      h.last = performance.now();
+      emit("globeHover", h.payload);
+    };
+    const wait = h.last + GLOBE_HOVER_INTERVAL - performance.now();
+    if (wait <= 0) send();
+    else h.timer = setTimeout(send, wait);
+  };
+  const handleGlobeHover = (pick) => {
+    if (measure) setMeasureCursor(pick && measurePoints.length ? { lat: pick.lat, lon: pick.lon } : null);
+    const region = pick && findRegion(activeOverlay, pick.lat, pick.lon);
+    emitGlobeHover(pick ? { ...pickPayload(pick, region), hovered: true } : { hovered: false });
+    if (coordinates) setHoverPick(pick && { ...pick, region });
+    if ((region?.id ?? null) === (hoveredRegion?.id ?? null)) return;
+    if (hoveredRegion) emit("regionHover", { ...hoveredRegion, hovered: false });
+    if (region) emit("regionHover", { ...region, hovered: true });
+    setHoveredRegion(region);
+  };
+  const handleGlobeClick = (pick) => {
+    const region = findRegion(activeOverlay, pick.lat, pick.lon);
+    if (measure) addMeasurePoint({ lat: pick.lat, lon: pick.lon });
+    else setPinnedPick({ ...pick, region });
+    emit("globeClick", pickPayload(pick, region));
+  };
+  const handleSearchPick = (place) => {
+    emit("searchSelect", { id: place.id, name: place.name, kind: place.kind, lat: place.lat, lon: place.lon });
+    const marker = place.kind === "marker" && markers.find((m) => m.id === place.id);
+    if (marker) {
+      setSearchPin(null);
+      openPanel(marker);
+      return;
+    }
+    tourEngine.pause();
+    setSelectedId(null);
+    setPanelId(null);
+    setSearchPin(place);
+    rigRef.current?.flyTo(place.lat, place.lon, { distance: SEARCH_DISTANCE[place.kind], lock: true });
+  };
+  const clearSearch = () => {
+    if (!searchPin) return;
+    setSearchPin(null);
+    rigRef.current?.release();
+  };
+  // keyboard / screen-reader selection from the marker list
+  const selectFromList = (m) => {
+    tourEngine.pause();
+    setSelectedId(m.id);
+    focusMarker(m);
+  };
+
+  // arrow keys / + / − / 0 while the globe itself has focus
+  const globeKeysId = useId();
+  const handleGlobeKey = (e) => {
+    if (e.target !== e.currentTarget || e.altKey || e.ctrlKey || e.metaKey) return;
+    const rig = rigRef.current;
+    const next = rig && orbitKeyTarget(e.key, rig.getView(), { step: e.shiftKey ? 30 : 10 });
+    if (!next) return;
+    e.preventDefault();
+    tourEngine.interrupt();
+    if (next === "reset") resetView();
+    else rig.flyTo(next.lat, next.lon, { distance: next.distance, duration: 0.4 });
+  };
+
+  const panel = panelMarker && (
+    <MarkerPanel
+      key={panelMarker.id}
+      marker={panelMarker}
+      index={panelIndex}
+      count={markers.length}
+      timeController={timeController}
+      theme={theme}
+      onPrev={() => stepPanel(-1)}
+      onNext={() => stepPanel(1)}
+      onClose={clearSelection}
+    />
+  );
+  const search = (
+    <PlaceSearch
+      results={placeSearch.results}
+      status={placeSearch.status}
+      onSearch={placeSearch.search}
+      onPick={handleSearchPick}
+      onClear={clearSearch}
+    />
+  );
+  const measurePanel = measure && (
+    <MeasurePanel
+      points={measurePoints}
+      unit={measureUnit}
+      onUnitChange={(units) => setMeasureControls({ units })}
+      onUndo={() => setMeasurePoints((points) => points.slice(0, -1))}
+      onClear={() => setMeasurePoints([])}
+      onClose={() => setMeasureControls({ measure: false })}
+    />
+  );
+  const legend = activeOverlay && (
+    <DataLegend
+      type={activeOverlay.type}
+      label={activeOverlay.label}
+      unit={activeOverlay.unit}
+      domain={activeOverlay.domain}
+      ramp={overlayRamp}
+      region={hoveredRegion ?? pinnedPick?.region}
+    />
+  );
+
+  // "ready" goes out once, even if the scene is rebuilt after a context loss
+  const readySent = useRef(false);
+  const handleReady = () => {
+    setLoaded(true);
+    if (readySent.current) return;
+    readySent.current = true;
+    emit("ready", { version: PROTOCOL_VERSION, renderer: renderer.mode, markers: markers.map((m) => m.id) });
+  };
+
+  const flatMap = renderer.mode === "2d";
+  useEffect(() => {
+    if (flatMap && markersStatus !== "loading" && !readySent.current) handleReady();
+  });
+
+  const rootProps = { dir: i18n.dir, lang: i18n.locale };
+
+  if (flatMap) {
+    return (
+      <I18nContext.Provider value={i18n}>
+        <div {...rootProps} style={{ position: "relative", width: "100vw", height: "100vh", background: "#000011" }}>
+          <FlatMapFallback
+            markers={markers}
+            timeController={timeController}
+            theme={theme}
+            activeId={selectedId}
+            reason={renderer.reason}
+            onMarkerHover={handleMarkerHover}
+            onMarkerClick={handleMarkerClick}
+            onMapClick={handleGlobeClick}
+            overlayCanvas={overlayCanvas}
+            overlayOpacity={overlayControls.opacity}
+            pin={searchPin}
+          />
+
+          {search}
+          {panel}
+          {measurePanel}
+          {legend}
+
+          {coordinates && <CoordinateReadout pinned={pinnedPick} onClear={() => setPinnedPick(null)} />}
+
+          <TourControls
+            tour={tourView}
+            onToggle={() => tourEngine.toggle()}
+            onPrev={() => tourEngine.prev()}
+            onNext={() => tourEngine.next()}
+            onLoopChange={(loop) => tourEngine.setLoop(loop)}
+            onClose={closeTour}
+          />
+
+          <Leva collapsed={false} hidden={!showUi} />
+        </div>
+      </I18nContext.Provider>
+    );
+  }
+
   return (
-    <div style={{ width: "100vw", height: "100vh", background: "#000011" }}>
-      <Canvas
-        dpr={[1, 2]}
-        gl={{ antialias: true, toneMapping: THREE.ReinhardToneMapping }}
-        onCreated={({ gl }) => {
-          gl.setClearColor("#000011");
-          gl.toneMappingExposure = 3;
-          gl.shadowMap.enabled = true;
-          gl.shadowMap.type = THREE.PCFSoftShadowMap;
-        }}
-      >
-        {/* Overlay that tracks Suspense loaders */}
-        <LoadingOverlay delay={0.2} fade={0.6} overlayColor="#000011" />
+    <I18nContext.Provider value={i18n}>
+      <div ref={rootRef} {...rootProps} style={{ position: "relative", width: "100vw", height: "100vh", background: "#000011" }}>
+        <AccessibleMarkers markers={markers} activeId={selectedId} onSelect={selectFromList} onClear={clearSelection} />
 
-        <Suspense fallback={null}>
-          <LoadingOverlay delay={0.8} fade={.8} animateExposure />.
-          <ambientLight intensity={0} />
+        <div
+          tabIndex={0}
+          role="group"
+          aria-roledescription={t("globe.role")}
+          aria-label={t("globe.label")}
+          aria-describedby={globeKeysId}
+          onKeyDown={handleGlobeKey}
+          style={{ position: "absolute", inset: 0 }}
+        >
+          <span id={globeKeysId} style={SR_ONLY}>{t("globe.keys")}</span>
+          <ErrorBoundary
+            fallback={null}
+            onError={(err) => {
+              console.warn("[webgl] renderer failed, falling back to the flat map", err);
+              setRenderer({ mode: "2d", reason: "fallback.rendererFailed" });
+            }}
+          >
+            <Canvas
+              dpr={quality.dpr}
+              frameloop={frameloop}
+              gl={{ antialias: true, toneMapping: THREE.ReinhardToneMapping }}
+              onCreated={({ gl }) => {
+                setGlCanvas(gl.domElement);
+                gl.setClearColor("#000011");
+                gl.toneMappingExposure = theme.exposure;
+                gl.shadowMap.enabled = true;
+                gl.shadowMap.type = THREE.PCFSoftShadowMap;
+              }}
+            >
+              {/* Overlay that tracks Suspense loaders */}
+              <LoadingOverlay
+                delay={0.2}
+                fade={0.6}
+                overlayColor="#000011"
+                timeout={TEXTURE_TIMEOUT}
+                slowMessage={t("loading.slow")}
+                settled={lowRes ? texturesReady : undefined}
+                isOptional={isOptional}
+                onProgress={({ active, progress }) => emit("loadProgress", { active, progress })}
+                onTimeout={() => !texturesReady && setLowRes(true)}
+                onError={({ failed, optional }) => {
+                  console.warn("[assets] failed to load", failed, optional);
+                  emit("loadError", { failed, optional });
+                }}
+                onRetry={retryLoading}
+              />
 
-          <EarthSystem />
+              {/* a failed earth texture throws here; the overlay above offers the retry */}
+              <ErrorBoundary key={sceneKey} fallback={null}>
+                <ProjectionContext.Provider value={projectionController}>
+                  <Suspense fallback={null}>
+                    <LoadingOverlay
+                      delay={0.8}
+                      fade={.8}
+                      animateExposure
+                      exposureTo={theme.exposure}
+                      settled={lowRes ? texturesReady : undefined}
+                      isOptional={isOptional}
+                      onComplete={handleReady}
+                    />
+                    <ambientLight intensity={0} />
 
-          <OrbitControls enableDamping />
-        </Suspense>
-      </Canvas>
+                    <EarthSystem
+                      planetRef={planetRef}
+                      textures={textures}
+                      onTexturesReady={handleTexturesReady}
+                      quality={quality}
+                      overlayCanvas={overlayCanvas}
+                      overlayOpacity={overlayControls.opacity}
+                      searchPin={searchPin}
+                      measure={measure && { points: measurePoints, cursor: measureCursor, unit: measureUnit }}
+                      reducedMotion={reducedMotion}
+                      timeController={timeController}
+                      theme={theme}
+                      markers={markers}
+                      arcs={arcs}
+                      activeMarkerId={selectedId}
+                      onMarkerHover={handleMarkerHover}
+                      onMarkerClick={handleMarkerClick}
+                      onClusterClick={handleClusterClick}
+                      onGlobeHover={handleGlobeHover}
+                      onGlobeClick={handleGlobeClick}
+                    />
+
+                    {/* pan and zoom only on a flat map */}
+                    <OrbitControls
+                      makeDefault
+                      enableDamping={!reducedMotion}
+                      enableRotate={!flatProjection}
+                      mouseButtons={flatProjection ? FLAT_MOUSE_BUTTONS : ORBIT_MOUSE_BUTTONS}
+                      touches={flatProjection ? FLAT_TOUCHES : ORBIT_TOUCHES}
+                      autoRotate={rotating}
+                      autoRotateSpeed={1}
+                      onStart={() => tourEngine.interrupt()}
+                    />
+                    <CameraRig
+                      ref={rigRef}
+                      planetRef={planetRef}
+                      radius={2}
+                      homeDistance={DEFAULT_CAMERA_DISTANCE}
+                      reducedMotion={reducedMotion}
+                      onViewChange={handleViewChange}
+                      onFocusChange={setCameraFocused}
+                    />
+                  </Suspense>
+                </ProjectionContext.Provider>
+              </ErrorBoundary>
+
+              {/* frame rate is meaningless when frames only come on demand */}
+              {qualityMode === "auto" && frameloop === "always" && (
+                <PerformanceMonitor
+                  flipflops={3}
+                  onDecline={() => changeAutoTier(-1)}
+                  onIncline={() => changeAutoTier(1)}
+                  onFallback={() => startTransition(() => setAutoTier("low"))}
+                />
+              )}
+              {frameloop === "demand" && <DemandTicker interval={DEMAND_TICK} />}
+
+              <FrameExporter ref={exporterRef} />
+              {bench && <Stats />}
+            </Canvas>
+          </ErrorBoundary>
+        </div>
+
+        {contextLost && <div style={NOTICE_STYLE}>{t("notice.contextLost")}</div>}
+        {exportStatus && <div style={NOTICE_STYLE}>{t(exportStatus.key, exportStatus)}</div>}
+
+        {search}
+        {panel}
+        {measurePanel}
+        {legend}
+
+        {coordinates && (
+          <CoordinateReadout hover={hoverPick} pinned={pinnedPick} onClear={() => setPinnedPick(null)} />
+        )}
+
+        <TourControls
+          tour={tourView}
+          onToggle={() => tourEngine.toggle()}
+          onPrev={() => tourEngine.prev()}
+          onNext={() => tourEngine.next()}
+          onLoopChange={(loop) => tourEngine.setLoop(loop)}
+          onClose={closeTour}
+        />
 
-      <Leva collapsed={false} />
-    </div>
+        <Leva collapsed={false} hidden={!showUi} />
+      </div>
+    </I18nContext.Provider>
   );
 }
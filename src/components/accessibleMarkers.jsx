@@ -0,0 +1,103 @@
+// AccessibleMarkers.jsx
+import * as React from 'react'
+import { SR_ONLY } from '../utils/accessibility'
+import { useI18n } from '../utils/i18n'
+
+/** What the live region reads out for a selected marker */
+function describeMarker(m, t, locale) {
+  const degrees = (value) => Math.abs(value).toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  const where = t('places.where', {
+    lat: degrees(m.lat),
+    ns: t(m.lat >= 0 ? 'places.north' : 'places.south'),
+    lon: degrees(m.lon),
+    ew: t(m.lon >= 0 ? 'places.east' : 'places.west'),
+  })
+  return [`${m.name}, ${where}.`, m.description].filter(Boolean).join(' ')
+}
+
+/**
+ * DOM twin of the markers for keyboard and screen-reader users: an ordered
+ * list of buttons (catalog order). Focusing one selects the marker, which
+ * opens its card and turns the globe to it; ↑/↓ (or ←/→, mirrored in
+ * right-to-left locales), Home and End move between them and Esc clears the
+ * selection. Hidden until it has focus, then shown as a panel so sighted
+ * keyboard users can see where they are.
+ *
+ * The selected marker, from any source (clicks, the tour, the embed API),
+ * is announced through a polite live region.
+ */
+export default function AccessibleMarkers({ markers, activeId = null, onSelect, onClear }) {
+  const { t, locale, dir } = useI18n()
+  const [focusWithin, setFocusWithin] = React.useState(false)
+  const buttons = React.useRef([])
+  const active = markers.find((m) => m.id === activeId)
+
+  const focusAt = (i) => buttons.current[(i + markers.length) % markers.length]?.focus()
+
+  const onKeyDown = (e, i) => {
+    const step = dir === 'rtl' ? -1 : 1
+    const action = {
+      ArrowDown: () => focusAt(i + 1),
+      ArrowRight: () => focusAt(i + step),
+      ArrowUp: () => focusAt(i - 1),
+      ArrowLeft: () => focusAt(i - step),
+      Home: () => focusAt(0),
+      End: () => focusAt(markers.length - 1),
+      Escape: () => onClear?.(),
+    }[e.key]
+    if (!action) return
+    e.preventDefault()
+    action()
+  }
+
+  const styles = {
+    panel: {
+      position: 'absolute', top: 12, insetInlineStart: 12, zIndex: 2, width: 260, maxHeight: '50vh', overflowY: 'auto',
+      padding: '8px 0', borderRadius: 8, background: 'rgba(0,0,0,0.8)', color: 'rgba(255,255,255,0.92)',
+      fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif', fontSize: 13,
+    },
+    heading: { margin: '0 12px 4px', fontSize: 12, opacity: 0.7 },
+    list: { listStyle: 'none', margin: 0, padding: 0 },
+    button: {
+      display: 'block', width: '100%', padding: '4px 12px', textAlign: 'start', font: 'inherit',
+      border: 0, background: 'transparent', color: 'inherit', cursor: 'pointer',
+    },
+    current: { background: 'rgba(0,229,255,0.25)' },
+  }
+
+  return (
+    <>
+      <nav
+        aria-label={t('places.label')}
+        style={focusWithin ? styles.panel : SR_ONLY}
+        onFocus={() => setFocusWithin(true)}
+        onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setFocusWithin(false)}
+      >
+        <p style={styles.heading}>
+          {t('places.help', { count: markers.length })}
+        </p>
+        <ul style={styles.list}>
+          {markers.map((m, i) => (
+            <li key={m.id}>
+              <button
+                type="button"
+                ref={(el) => { buttons.current[i] = el }}
+                aria-current={m.id === activeId ? 'true' : undefined}
+                style={{ ...styles.button, ...(m.id === activeId && styles.current) }}
+                onFocus={() => m.id !== activeId && onSelect?.(m)}
+                onClick={() => onSelect?.(m)}
+                onKeyDown={(e) => onKeyDown(e, i)}
+              >
+                {m.name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </nav>
+
+      <div role="status" aria-live="polite" aria-atomic="true" style={SR_ONLY}>
+        {active ? describeMarker(active, t, locale) : ''}
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,219 @@
+// ArcLayer.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Html } from '@react-three/drei'
+
+import arcVertexShader from '../shaders/arcs/vertex.glsl'
+import arcFragmentShader from '../shaders/arcs/fragment.glsl'
+import { buildArcGeometry } from '../utils/arcGeometry'
+import { EARTH_RADIUS_KM } from '../utils/geo'
+import { useProjection } from '../utils/projection'
+
+const HOVER_PX = 6
+const KM_TO_MI = 0.621371
+
+const _p = new THREE.Vector3()
+const _q = new THREE.Vector3()
+const _ray = new THREE.Ray()
+const _sphere = new THREE.Sphere()
+const _hit = new THREE.Vector3()
+
+function distanceToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax, dy = by - ay
+  const len2 = dx * dx + dy * dy
+  const t = len2 > 0 ? THREE.MathUtils.clamp(((px - ax) * dx + (py - ay) * dy) / len2, 0, 1) : 0
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+}
+
+/**
+ * Great-circle arcs between lat/lon pairs, drawn as one batched ribbon mesh.
+ * Mount inside the planet group so arcs turn with the markers.
+ *
+ *   arcs: [{ from: {lat, lon}, to: {lat, lon}, color?, label? }]
+ *   progress: 0..1 controlled reveal; omit to animate over revealDuration
+ */
+export default function ArcLayer({
+  arcs,
+  radius = 2,
+  color = '#ffd54a',
+  width = 2,             // px
+  heightScale = 0.5,
+  segments = 64,
+  dashSize = 0.08,       // world units; 0 = solid
+  gapSize = 0.05,
+  flowSpeed = 0.2,
+  opacity = 0.9,
+  progress,
+  revealDuration = 2.5,
+  stagger = 0.6,
+  onHover,               // (arc | null, { km }) => void
+}) {
+  const meshRef = React.useRef()
+  const gl = useThree((s) => s.gl)
+  const invalidate = useThree((s) => s.invalidate)
+  const camera = useThree((s) => s.camera)
+  const size = useThree((s) => s.size)
+  const projection = useProjection()
+
+  const { geometry, samples } = React.useMemo(
+    () => buildArcGeometry(arcs, { color, radius, heightScale, segments }),
+    [arcs, color, radius, heightScale, segments]
+  )
+  React.useEffect(() => () => geometry.dispose(), [geometry])
+
+  // created once, values synced from props below
+  const uniforms = React.useMemo(() => ({
+    uResolution: new THREE.Uniform(new THREE.Vector2(1, 1)),
+    uWidth: new THREE.Uniform(1),
+    uTime: new THREE.Uniform(0),
+    uProgress: new THREE.Uniform(0),
+    uStagger: new THREE.Uniform(0),
+    uDashSize: new THREE.Uniform(0),
+    uGapSize: new THREE.Uniform(0),
+    uFlowSpeed: new THREE.Uniform(0),
+    uOpacity: new THREE.Uniform(1),
+    uHoverArc: new THREE.Uniform(-1),
+  }), [])
+
+  React.useEffect(() => {
+    uniforms.uWidth.value = width
+    uniforms.uStagger.value = stagger
+    uniforms.uDashSize.value = dashSize
+    uniforms.uGapSize.value = gapSize
+    uniforms.uFlowSpeed.value = flowSpeed
+  }, [uniforms, width, stagger, dashSize, gapSize, flowSpeed])
+
+  React.useEffect(() => {
+    uniforms.uResolution.value.set(size.width, size.height)
+  }, [uniforms, size])
+
+  // restart the reveal whenever the data changes
+  const reveal = React.useRef(0)
+  React.useEffect(() => { reveal.current = 0 }, [geometry])
+
+  useFrame((_, dt) => {
+    uniforms.uTime.value += dt
+    // dashes keep flowing under frameloop="demand"
+    if (flowSpeed > 0 && dashSize > 0 && arcs.length) invalidate()
+    if (progress == null && reveal.current < 1) {
+      reveal.current = Math.min(1, reveal.current + (revealDuration > 0 ? dt / revealDuration : 1))
+      invalidate()
+    }
+    uniforms.uProgress.value = progress ?? reveal.current
+
+    // arcs are drawn over the globe only: they fade out as it flattens
+    const globe = 1 - projection.flatness
+    uniforms.uOpacity.value = opacity * globe
+    if (meshRef.current) meshRef.current.visible = globe > 0
+  })
+
+  /** Hover: nearest visible sample segment in screen space **/
+  const [hovered, setHovered] = React.useState(null) // { index, point } (point in layer space)
+  const onHoverRef = React.useRef(onHover)
+  onHoverRef.current = onHover
+
+  React.useEffect(() => {
+    const el = gl.domElement
+    const pick = (e) => {
+      const mesh = meshRef.current
+      if (!mesh || !mesh.visible || !samples.length) return null
+      const rect = el.getBoundingClientRect()
+      const mx = e.clientX - rect.left
+      const my = e.clientY - rect.top
+      const toScreen = (v, out) => {
+        out.copy(v).applyMatrix4(mesh.matrixWorld).project(camera)
+        return [(out.x + 1) / 2 * rect.width, (1 - out.y) / 2 * rect.height, out.z]
+      }
+      // hidden behind the globe? (ray from the camera hits the sphere first)
+      mesh.getWorldPosition(_sphere.center)
+      _sphere.radius = radius
+      const occluded = (v) => {
+        _p.copy(v).applyMatrix4(mesh.matrixWorld)
+        _ray.origin.copy(camera.position)
+        _ray.direction.copy(_p).sub(camera.position).normalize()
+        const hit = _ray.intersectSphere(_sphere, _hit)
+        return hit && camera.position.distanceTo(hit) < camera.position.distanceTo(_p) - 1e-3
+      }
+
+      const shown = uniforms.uProgress.value
+      let best = null
+      samples.forEach(({ points }, index) => {
+        let prev = null
+        const step = 2
+        for (let i = 0; i < points.length; i += step) {
+          if (i / (points.length - 1) > shown) break
+          const cur = toScreen(points[i], _q)
+          if (prev && cur[2] < 1 && !occluded(points[i])) {
+            const d = distanceToSegment(mx, my, prev[0], prev[1], cur[0], cur[1])
+            if (d < HOVER_PX + width / 2 && (!best || d < best.d)) best = { d, index, point: points[i] }
+          }
+          prev = cur
+        }
+      })
+      return best
+    }
+
+    const onMove = (e) => {
+      const best = pick(e)
+      const index = best ? best.index : -1
+      if (uniforms.uHoverArc.value !== index) invalidate()
+      uniforms.uHoverArc.value = index
+      setHovered((h) => {
+        if ((h?.index ?? -1) === index && (!best || h.point === best.point)) return h
+        return best ? { index, point: best.point } : null
+      })
+    }
+    const onLeave = () => {
+      if (uniforms.uHoverArc.value !== -1) invalidate()
+      uniforms.uHoverArc.value = -1
+      setHovered(null)
+    }
+    el.addEventListener('pointermove', onMove)
+    el.addEventListener('pointerleave', onLeave)
+    return () => {
+      el.removeEventListener('pointermove', onMove)
+      el.removeEventListener('pointerleave', onLeave)
+    }
+  }, [gl, camera, samples, radius, width, uniforms, invalidate])
+
+  // index can be stale for one render after the data changes
+  const current = hovered && hovered.index < samples.length ? hovered : null
+  const hoveredArc = current ? arcs[current.index] : null
+  const km = current ? samples[current.index].angle * EARTH_RADIUS_KM : 0
+
+  React.useEffect(() => {
+    onHoverRef.current?.(hoveredArc, { km })
+  }, [hoveredArc, km])
+
+  if (!arcs.length) return null
+
+  return (
+    <group>
+      <mesh ref={meshRef} geometry={geometry} frustumCulled={false} renderOrder={2} raycast={() => null}>
+        <shaderMaterial
+          vertexShader={arcVertexShader}
+          fragmentShader={arcFragmentShader}
+          uniforms={uniforms}
+          transparent
+          depthWrite={false}
+          side={THREE.DoubleSide}
+        />
+      </mesh>
+
+      {current && (
+        <Html position={current.point} style={{ pointerEvents: 'none' }}>
+          <div style={{
+            transform: 'translate(10px, -50%)', whiteSpace: 'nowrap',
+            padding: '4px 8px', borderRadius: 6, background: 'rgba(0,0,0,0.7)',
+            color: 'rgba(255,255,255,0.9)', fontSize: 12,
+            fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+          }}>
+            {hoveredArc.label && <div>{hoveredArc.label}</div>}
+            {Math.round(km).toLocaleString()} km · {Math.round(km * KM_TO_MI).toLocaleString()} mi
+          </div>
+        </Html>
+      )}
+    </group>
+  )
+}
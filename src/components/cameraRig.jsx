@@ -0,0 +1,213 @@
+// CameraRig.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { latLonToVec3, vec3ToLatLon } from '../utils/geo'
+import { createTransition } from '../utils/transition'
+import { flatBounds, isFlatProjection, useProjection } from '../utils/projection'
+
+const HOME_DIR = new THREE.Vector3(0, 0, 1)
+const ORIGIN = new THREE.Vector3()
+const FLAT_MARGIN = 1.1 // room around a flat map after reset()
+const DRAG_THRESHOLD = 4 // px before a press counts as "dragging away"
+
+/**
+ * Camera moves for code outside the canvas (clicks, embed bridge, URL state).
+ * Needs <OrbitControls makeDefault /> so the controls are in the store.
+ *
+ *   rigRef.current.flyTo(lat, lon, { distance, lock, duration, easing, onComplete })
+ *   rigRef.current.reset()
+ *   rigRef.current.getView() // { lat, lon, distance } of the point under the camera
+ *
+ * Flights slerp the camera along the orbit sphere (great circle) while easing
+ * the distance. With `lock`, the target stays facing the viewer as the planet
+ * turns until the user drags. Both resolve to true when finished, false when
+ * interrupted. With `reducedMotion` every move is a cut instead of a flight.
+ *
+ * On a flat map (see utils/projection) the camera looks straight at the map
+ * and moves the orbit target instead: flyTo pans to the point, reset fits the
+ * whole map in view.
+ */
+export default function CameraRig({
+  ref,
+  planetRef,
+  radius = 2,            // globe radius, for placing points on a flat map
+  homeDistance = 5,
+  duration = 1.6,
+  easing = 'easeInOutCubic',
+  hop = 0.35,            // extra distance mid-flight, scaled by the arc angle
+  reducedMotion = false,
+  onViewChange,
+  onFocusChange,         // (focused) => void; true while flying or locked
+}) {
+  const camera = useThree((s) => s.camera)
+  const controls = useThree((s) => s.controls)
+  const gl = useThree((s) => s.gl)
+  const invalidate = useThree((s) => s.invalidate)
+  const projection = useProjection()
+
+  const flight = React.useRef(null)
+  const lock = React.useRef(null)      // () => world direction to keep facing
+  const focused = React.useRef(false)
+
+  const onFocusChangeRef = React.useRef(onFocusChange)
+  onFocusChangeRef.current = onFocusChange
+  const setFocused = React.useCallback((value) => {
+    if (focused.current === value) return
+    focused.current = value
+    onFocusChangeRef.current?.(value)
+  }, [])
+
+  const getTarget = React.useCallback(() => controls?.target ?? new THREE.Vector3(), [controls])
+
+  const planetQuaternion = React.useCallback(
+    () => planetRef.current?.getWorldQuaternion(new THREE.Quaternion()) ?? new THREE.Quaternion(),
+    [planetRef]
+  )
+
+  const getView = React.useCallback(() => {
+    const dir = camera.position.clone().sub(getTarget())
+    const distance = dir.length()
+    const planet = planetRef.current
+    if (projection.flatName && planet) {
+      // the map point behind the orbit target
+      const local = planet.worldToLocal(getTarget().clone())
+      return { ...(projection.toLatLon(local, radius) ?? { lat: 0, lon: 0 }), distance }
+    }
+    // back into the planet's frame (it is rotated by the sun clock)
+    dir.applyQuaternion(planetQuaternion().invert())
+    return { ...vec3ToLatLon(dir), distance }
+  }, [camera, getTarget, planetQuaternion, planetRef, projection, radius])
+
+  const placeCamera = React.useCallback((dir, dist) => {
+    const target = getTarget()
+    camera.position.copy(target).addScaledVector(dir, dist)
+    camera.lookAt(target)
+  }, [camera, getTarget])
+
+  const release = React.useCallback(() => {
+    flight.current?.transition.cancel()
+    flight.current = null
+    lock.current = null
+    setFocused(false)
+  }, [setFocused])
+
+  const fly = React.useCallback((getEndDir, options = {}) => {
+    const {
+      distance,
+      target: getEndTarget = () => ORIGIN, // world point to orbit around
+      lock: keepLocked = false,
+      duration: d = duration,
+      easing: e = easing,
+      onStart, onUpdate, onComplete, onCancel,
+    } = options
+
+    flight.current?.transition.cancel()
+    lock.current = null
+
+    const startTarget = getTarget().clone()
+    const startDir = camera.position.clone().sub(startTarget)
+    const startDist = startDir.length()
+    startDir.normalize()
+    const endDist = distance ?? startDist
+    const arc = startDir.angleTo(getEndDir()) / Math.PI // 0..1
+
+    const q = new THREE.Quaternion()
+    const dir = new THREE.Vector3()
+
+    return new Promise((resolve) => {
+      const transition = createTransition({
+        duration: reducedMotion ? 0 : d,
+        easing: e,
+        onStart,
+        onUpdate: (k, t) => {
+          // end direction re-evaluated every frame: the planet keeps turning
+          q.setFromUnitVectors(startDir, getEndDir())
+          dir.copy(startDir).applyQuaternion(new THREE.Quaternion().slerp(q, k))
+          const dist = THREE.MathUtils.lerp(startDist, endDist, k) + hop * arc * Math.sin(Math.PI * k)
+          getTarget().lerpVectors(startTarget, getEndTarget(), k)
+          placeCamera(dir, dist)
+          onUpdate?.(k, t)
+        },
+        onComplete: () => {
+          flight.current = null
+          if (keepLocked) lock.current = getEndDir
+          else setFocused(false)
+          onComplete?.()
+          resolve(true)
+        },
+        onCancel: () => {
+          onCancel?.()
+          resolve(false)
+        },
+      })
+      flight.current = { transition }
+      setFocused(true)
+      invalidate() // wake a frameloop="demand" canvas
+    })
+  }, [camera, getTarget, placeCamera, setFocused, invalidate, duration, easing, hop, reducedMotion])
+
+  // the projection being morphed to (not the current mix) decides how the camera moves
+  React.useImperativeHandle(ref, () => ({
+    flyTo(lat, lon, options) {
+      if (isFlatProjection(projection.name)) {
+        const point = new THREE.Vector3()
+        const target = () => planetRef.current?.localToWorld(projection.point(lat, lon, radius, 0, point)) ?? ORIGIN
+        return fly(() => HOME_DIR, { ...options, target })
+      }
+      const local = latLonToVec3(lat, lon, 1)
+      return fly(() => local.clone().applyQuaternion(planetQuaternion()).normalize(), options)
+    },
+    reset(options = {}) {
+      let distance = homeDistance
+      if (isFlatProjection(projection.name)) {
+        const { width, height } = flatBounds(projection.name)
+        const tan = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)
+        distance = FLAT_MARGIN * radius * Math.max(height / 2 / tan, width / 2 / (tan * camera.aspect))
+      }
+      return fly(() => HOME_DIR, { distance, ...options })
+    },
+    release,
+    getView,
+  }), [fly, release, getView, planetQuaternion, planetRef, projection, radius, camera, homeDistance])
+
+  useFrame((_, dt) => {
+    if (flight.current) {
+      flight.current.transition.step(dt)
+      invalidate()
+    } else if (lock.current) {
+      // user zoom is kept, only the direction follows the target
+      placeCamera(lock.current(), camera.position.distanceTo(getTarget()))
+    }
+  })
+
+  // dragging (not clicking or wheel-zooming) hands control back to the user
+  React.useEffect(() => {
+    const el = gl.domElement
+    let down = null
+    const onDown = (e) => { down = { x: e.clientX, y: e.clientY } }
+    const onMove = (e) => {
+      if (!down || !e.buttons || !focused.current) return
+      if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > DRAG_THRESHOLD) release()
+    }
+    const onUp = () => { down = null }
+    el.addEventListener('pointerdown', onDown)
+    el.addEventListener('pointermove', onMove)
+    window.addEventListener('pointerup', onUp)
+    return () => {
+      el.removeEventListener('pointerdown', onDown)
+      el.removeEventListener('pointermove', onMove)
+      window.removeEventListener('pointerup', onUp)
+    }
+  }, [gl, release])
+
+  // report camera moves (orbit, zoom, auto-rotate, flights)
+  React.useEffect(() => {
+    if (!controls || !onViewChange) return
+    const onChange = () => onViewChange(getView())
+    controls.addEventListener('change', onChange)
+    return () => controls.removeEventListener('change', onChange)
+  }, [controls, onViewChange, getView])
+
+  return null
+}
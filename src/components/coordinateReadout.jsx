@@ -0,0 +1,76 @@
+// CoordinateReadout.jsx
+import * as React from 'react'
+import { useI18n } from '../utils/i18n'
+
+function formatCoord(value, pos, neg) {
+  return `${Math.abs(value).toFixed(4)}° ${value >= 0 ? pos : neg}`
+}
+
+function formatLatLon({ lat, lon }) {
+  return `${formatCoord(lat, 'N', 'S')}, ${formatCoord(lon, 'E', 'W')}`
+}
+
+/**
+ * DOM HUD for globe picks: crosshair at the pointer, live coordinates under it
+ * and the last clicked point with a copy button. Picks are { lat, lon, screen }.
+ * Sits over the canvas (parent must be positioned).
+ */
+export default function CoordinateReadout({ hover, pinned, onClear }) {
+  const { t } = useI18n()
+  const [copied, setCopied] = React.useState(false)
+
+  const copy = async () => {
+    if (!pinned) return
+    try {
+      await navigator.clipboard.writeText(`${pinned.lat.toFixed(6)}, ${pinned.lon.toFixed(6)}`)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1200)
+    } catch (err) {
+      console.warn('[coordinates] clipboard unavailable', err)
+    }
+  }
+
+  const styles = {
+    crosshair: {
+      position: 'absolute', width: 18, height: 18, marginLeft: -9, marginTop: -9,
+      pointerEvents: 'none',
+      background:
+        'linear-gradient(#00e5ff, #00e5ff) center / 1px 100% no-repeat,' +
+        'linear-gradient(#00e5ff, #00e5ff) center / 100% 1px no-repeat',
+    },
+    panel: {
+      position: 'absolute', insetInlineStart: 16, bottom: 16, padding: '8px 12px', borderRadius: 8,
+      background: 'rgba(0,0,0,0.65)', color: 'rgba(255,255,255,0.9)',
+      fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace', fontSize: 12, lineHeight: 1.6,
+      userSelect: 'text',
+    },
+    muted: { opacity: 0.6 },
+    button: {
+      marginInlineStart: 8, padding: '1px 8px', borderRadius: 4, fontSize: 11,
+      border: '1px solid rgba(255,255,255,0.3)', background: 'transparent', color: 'inherit', cursor: 'pointer',
+    },
+  }
+
+  return (
+    <>
+      {hover && <div style={{ ...styles.crosshair, left: hover.screen.x, top: hover.screen.y }} />}
+
+      <div style={styles.panel}>
+        <div>
+          <span style={styles.muted}>{t('coordinates.cursor')} </span>
+          {hover ? formatLatLon(hover) : '—'}
+        </div>
+        <div>
+          <span style={styles.muted}>{t('coordinates.picked')} </span>
+          {pinned ? formatLatLon(pinned) : t('coordinates.hint')}
+          {pinned && (
+            <>
+              <button type="button" style={styles.button} onClick={copy}>{copied ? t('coordinates.copied') : t('coordinates.copy')}</button>
+              <button type="button" style={styles.button} onClick={onClear}>{t('coordinates.clear')}</button>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,53 @@
+// DataLegend.jsx
+import * as React from 'react'
+import { useI18n } from '../utils/i18n'
+
+const formatValue = (value, unit, locale) =>
+  `${value.toLocaleString(locale, { maximumFractionDigits: 2 })}${unit ? ` ${unit}` : ''}`
+
+/**
+ * Colour ramp + range for the data overlay, and the region under the pointer
+ * ({ name, value } from the picking API). Heatmaps have no absolute scale, so
+ * their ends read low / high. Sits over the canvas (parent must be positioned).
+ */
+export default function DataLegend({ label, unit, ramp, domain, type, region }) {
+  const { t, locale, dir } = useI18n()
+  const format = (value) => (value == null ? t('legend.noData') : formatValue(value, unit, locale))
+
+  const styles = {
+    panel: {
+      position: 'absolute', insetInlineEnd: 16, bottom: 16, width: 220, padding: '8px 12px', borderRadius: 8,
+      background: 'rgba(0,0,0,0.65)', color: 'rgba(255,255,255,0.9)', fontSize: 12, lineHeight: 1.5,
+      fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+    },
+    title: { fontWeight: 600, marginBottom: 4 },
+    bar: { height: 10, borderRadius: 2, background: `linear-gradient(to ${dir === 'rtl' ? 'left' : 'right'}, ${ramp.join(', ')})` },
+    ends: { display: 'flex', justifyContent: 'space-between', opacity: 0.7 },
+    region: { marginTop: 6, minHeight: 18 },
+    muted: { opacity: 0.6 },
+  }
+
+  const [min, max] = type === 'choropleth' ? domain.map(format) : [t('legend.low'), t('legend.high')]
+
+  return (
+    <div style={styles.panel} role="group" aria-label={label || t('legend.label')}>
+      {label && <div style={styles.title}>{label}</div>}
+      <div style={styles.bar} />
+      <div style={styles.ends}>
+        <span>{min}</span>
+        <span>{max}</span>
+      </div>
+      {type === 'choropleth' && (
+        <div style={styles.region}>
+          {region ? (
+            <>
+              {region.name} <span style={styles.muted}>·</span> {format(region.value)}
+            </>
+          ) : (
+            <span style={styles.muted}>{t('legend.hover')}</span>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
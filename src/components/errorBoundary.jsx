@@ -0,0 +1,20 @@
+// ErrorBoundary.jsx
+import * as React from 'react'
+
+/** Renders `fallback` instead of children once they have thrown */
+export default class ErrorBoundary extends React.Component {
+  state = { error: null }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error, info) {
+    this.props.onError?.(error, info)
+  }
+
+  render() {
+    if (this.state.error) return this.props.fallback ?? null
+    return this.props.children
+  }
+}
@@ -0,0 +1,164 @@
+// FlatMapFallback.jsx
+import * as React from 'react'
+import { solarPosition } from '../utils/solar'
+import { DEG2RAD } from '../utils/geo'
+import { useI18n } from '../utils/i18n'
+
+// equirectangular: x = lon + 180, y = 90 - lat in a 360 × 180 viewBox
+const toX = (lon) => lon + 180
+const toY = (lat) => 90 - lat
+
+/** SVG path covering the night side of the map for the given sun position */
+function nightPath({ subsolarLat, subsolarLon }) {
+  // keep tan() finite at the equinoxes
+  const dec = (Math.abs(subsolarLat) < 0.01 ? 0.01 * Math.sign(subsolarLat || 1) : subsolarLat) * DEG2RAD
+  const points = []
+  for (let lon = -180; lon <= 180; lon += 2) {
+    const lat = Math.atan(-Math.cos((lon - subsolarLon) * DEG2RAD) / Math.tan(dec)) / DEG2RAD
+    points.push(`${toX(lon).toFixed(2)},${toY(lat).toFixed(2)}`)
+  }
+  // the pole in the winter hemisphere is dark
+  const poleY = dec > 0 ? 180 : 0
+  return `M0,${poleY} L${points.join(' L')} L360,${poleY} Z`
+}
+
+/**
+ * 2D stand-in for the globe when WebGL can't be used: the day texture as a
+ * flat map with the day/night terminator, marker pins, hover cards and the
+ * same hover/click callbacks as the 3D scene. The data overlay, if any, is
+ * laid over the map as is, and a search result `pin` ({ name, lat, lon }) is
+ * drawn with its name.
+ */
+export default function FlatMapFallback({
+  markers,
+  timeController,
+  theme,
+  activeId = null,
+  reason,          // i18n key (fallback.*) for why WebGL is not used
+  mapSrc = '/earth/day.jpg',
+  onMarkerHover,   // (marker, hovered) => void
+  onMarkerClick,   // (marker) => void
+  onMapClick,      // ({ lat, lon, screen }) => void
+  overlayCanvas = null, // data overlay raster (see utils/dataOverlay)
+  overlayOpacity = 0.75,
+  pin = null,
+  pinColor = '#ff4d6d',
+}) {
+  const { t } = useI18n()
+  const rootRef = React.useRef()
+  const [hoveredId, setHoveredId] = React.useState(null)
+  const overlaySrc = React.useMemo(() => overlayCanvas?.toDataURL(), [overlayCanvas])
+
+  // follow the sun clock; once a second is plenty for a flat map
+  const [sun, setSun] = React.useState(() => solarPosition(timeController.now()))
+  React.useEffect(() => {
+    const id = setInterval(() => setSun(solarPosition(timeController.now())), 1000)
+    return () => clearInterval(id)
+  }, [timeController])
+
+  const setHover = (m, hovered) => {
+    setHoveredId((id) => (hovered ? m.id : id === m.id ? null : id))
+    onMarkerHover?.(m, hovered)
+  }
+
+  const handleMapClick = (e) => {
+    if (!onMapClick) return
+    const map = e.currentTarget.getBoundingClientRect()
+    const root = rootRef.current.getBoundingClientRect()
+    const u = (e.clientX - map.left) / map.width
+    const v = (e.clientY - map.top) / map.height
+    onMapClick({
+      lat: 90 - v * 180,
+      lon: u * 360 - 180,
+      screen: { x: e.clientX - root.left, y: e.clientY - root.top },
+    })
+  }
+
+  const styles = {
+    root: {
+      position: 'absolute', inset: 0, display: 'grid', placeItems: 'center', overflow: 'hidden',
+      fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+    },
+    map: { position: 'relative', width: 'min(100vw, 200vh)', aspectRatio: '2 / 1', cursor: 'crosshair' },
+    image: { position: 'absolute', inset: 0, width: '100%', height: '100%', display: 'block', userSelect: 'none' },
+    svg: { position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' },
+    pin: {
+      position: 'absolute', width: 12, height: 12, marginLeft: -6, marginTop: -6, padding: 0,
+      borderRadius: '50%', border: `2px solid ${theme.lineColor}`, background: 'rgba(0,0,0,0.5)', cursor: 'pointer',
+    },
+    card: {
+      position: 'absolute', transform: 'translate(-50%, calc(-100% - 14px))', pointerEvents: 'none',
+      padding: '6px 10px', borderRadius: 8, background: `rgba(0,0,0,${theme.boxOpacity})`,
+      border: `1px solid ${theme.lineColor}`, color: theme.labelColor, fontSize: 13, textAlign: 'center',
+      whiteSpace: 'nowrap',
+    },
+    cardImage: { display: 'block', width: 160, height: 100, objectFit: 'cover', borderRadius: 4, marginTop: 6 },
+    searchPin: {
+      position: 'absolute', width: 10, height: 10, marginLeft: -5, marginTop: -5, pointerEvents: 'none',
+      borderRadius: '50%', background: pinColor, boxShadow: '0 0 0 2px rgba(0,0,0,0.6)',
+    },
+    notice: {
+      position: 'absolute', top: 60, left: '50%', transform: 'translateX(-50%)',
+      padding: '4px 10px', borderRadius: 6, background: 'rgba(0,0,0,0.65)',
+      color: 'rgba(255,255,255,0.8)', fontSize: 12,
+    },
+  }
+
+  const pinAt = pin && { left: `${(toX(pin.lon) / 360) * 100}%`, top: `${(toY(pin.lat) / 180) * 100}%` }
+
+  return (
+    <div ref={rootRef} style={styles.root}>
+      <div style={styles.map} onClick={handleMapClick}>
+        <img src={mapSrc} alt="" draggable={false} style={styles.image} />
+        {overlaySrc && (
+          <img src={overlaySrc} alt="" draggable={false} style={{ ...styles.image, opacity: overlayOpacity }} />
+        )}
+        <svg viewBox="0 0 360 180" preserveAspectRatio="none" style={styles.svg}>
+          <path d={nightPath(sun)} fill="rgba(0,0,17,0.55)" />
+        </svg>
+
+        {markers.map((m) => {
+          const left = `${(toX(m.lon) / 360) * 100}%`
+          const top = `${(toY(m.lat) / 180) * 100}%`
+          const expanded = m.id === hoveredId || m.id === activeId
+          // cards near the top edge open downwards
+          const below = m.lat > 45
+          return (
+            <React.Fragment key={m.id}>
+              <button
+                type="button"
+                aria-label={m.name}
+                style={{ ...styles.pin, left, top, background: expanded ? theme.lineColor : styles.pin.background }}
+                onPointerEnter={() => setHover(m, true)}
+                onPointerLeave={() => setHover(m, false)}
+                onFocus={() => setHover(m, true)}
+                onBlur={() => setHover(m, false)}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onMarkerClick?.(m)
+                }}
+              />
+              {expanded && (
+                <div style={{ ...styles.card, left, top, ...(below && { transform: 'translate(-50%, 14px)' }) }}>
+                  {m.name}
+                  {m.image && <img src={m.image} alt="" style={styles.cardImage} />}
+                </div>
+              )}
+            </React.Fragment>
+          )
+        })}
+
+        {pinAt && (
+          <>
+            <div style={{ ...styles.searchPin, ...pinAt }} />
+            <div style={{ ...styles.card, ...pinAt, borderColor: pinColor, color: 'rgba(255,255,255,0.92)' }}>
+              {pin.name}
+            </div>
+          </>
+        )}
+      </div>
+
+      {reason && <div style={styles.notice}>{t('notice.fallback', { reason: t(reason) })}</div>}
+    </div>
+  )
+}
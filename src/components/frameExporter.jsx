@@ -0,0 +1,190 @@
+// FrameExporter.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useThree } from '@react-three/fiber'
+import { canvasToBlob, pickWebmType } from '../utils/capture'
+import { createZip, ZIP_MAX_ENTRIES } from '../utils/zip'
+
+const _axis = new THREE.Vector3(0, 1, 0)
+// PNG sequences are held in memory until zipped; stay well below the 4 GB zip
+// limit and what a tab can hold
+const MAX_SEQUENCE_BYTES = 2 * 1024 ** 3
+const formatGB = (bytes) => `${(bytes / 1024 ** 3).toFixed(1)} GB`
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Exports of the current view for code outside the canvas.
+ *
+ *   exporterRef.current.screenshot({ width, height, transparent })  // → Promise<Blob> PNG
+ *   exporterRef.current.record({ width, height, fps, duration, format, orbit, onFrame, onProgress })
+ *     // → Promise<Blob>, a zip of PNGs or a WebM
+ *
+ * The drawing buffer is resized for the export, so troika text and shaders
+ * render at full resolution, and only the WebGL canvas ends up in the file
+ * (Html HUDs and the Leva panel are DOM). record() steps the scene itself with
+ * a fixed dt under frameloop 'never': the same settings give the same frames.
+ * The owner must keep the Canvas at frameloop="never" while a recording runs,
+ * and drive any clock the scene reads from `onFrame(t)` rather than real time.
+ * Transparent stills also hide objects tagged `userData.background` (the sky).
+ * PNG sequences are zipped in memory: record() rejects one that would pass
+ * MAX_SEQUENCE_BYTES, judged from the first frame, before capturing the rest.
+ */
+export default function FrameExporter({ ref }) {
+  const get = useThree((s) => s.get)
+  const busy = React.useRef(false)
+
+  // drawing buffer + camera aspect at export size; returns restore()
+  const prepare = React.useCallback(({ width, height, transparent = false }) => {
+    const { gl, camera } = get()
+    const context = gl.getContext()
+    const max = context.getParameter(context.MAX_RENDERBUFFER_SIZE)
+    if (width > max || height > max) throw new Error(`${width}×${height} is larger than this GPU allows (${max}px)`)
+
+    const prev = {
+      pixelRatio: gl.getPixelRatio(),
+      size: gl.getSize(new THREE.Vector2()),
+      aspect: camera.aspect,
+      clear: gl.getClearColor(new THREE.Color()),
+      alpha: gl.getClearAlpha(),
+    }
+    const hidden = []
+    const restore = () => {
+      hidden.forEach((o) => (o.visible = true))
+      gl.setPixelRatio(prev.pixelRatio)
+      gl.setSize(prev.size.x, prev.size.y, false)
+      gl.setClearColor(prev.clear, prev.alpha)
+      camera.aspect = prev.aspect
+      camera.updateProjectionMatrix()
+    }
+
+    gl.setPixelRatio(1)
+    gl.setSize(width, height, false)
+    if (context.drawingBufferWidth < width || context.drawingBufferHeight < height) {
+      restore()
+      throw new Error(`the browser capped the canvas below ${width}×${height}`)
+    }
+    camera.aspect = width / height
+    camera.updateProjectionMatrix()
+    if (transparent) {
+      gl.setClearColor(prev.clear, 0)
+      get().scene.traverse((o) => {
+        if (o.userData.background && o.visible) {
+          o.visible = false
+          hidden.push(o)
+        }
+      })
+    }
+    return restore
+  }, [get])
+
+  const exclusive = React.useCallback(async (fn) => {
+    if (busy.current) throw new Error('an export is already running')
+    busy.current = true
+    try {
+      return await fn()
+    } finally {
+      busy.current = false
+    }
+  }, [])
+
+  const screenshot = React.useCallback((options) => exclusive(async () => {
+    const { gl, scene, camera } = get()
+    const restore = prepare(options)
+    gl.render(scene, camera)
+    // toBlob copies the bitmap synchronously, so the canvas can go back right away
+    const pending = canvasToBlob(gl.domElement)
+    restore()
+    gl.render(scene, camera)
+    return pending
+  }), [get, prepare, exclusive])
+
+  const record = React.useCallback(({
+    width,
+    height,
+    fps = 30,
+    duration = 4,            // seconds
+    format = 'png',          // 'png' (zip) | 'webm'
+    transparent = false,     // png only
+    orbit = 0,               // turns of the camera around the target over the duration
+    onFrame,                 // (t, index) => void | Promise, before each frame is stepped
+    onProgress,              // (0..1) => void
+    signal,
+  }) => exclusive(async () => {
+    const state = get()
+    const { gl, camera, controls } = state
+    const frames = Math.max(1, Math.round(duration * fps))
+    if (format === 'png' && frames > ZIP_MAX_ENTRIES) {
+      throw new Error(`${frames} frames don't fit in one zip (${ZIP_MAX_ENTRIES} at most)`)
+    }
+
+    let recorder = null
+    let track = null
+    const chunks = []
+    const files = []
+    let bytes = 0
+    if (format === 'webm') {
+      const mimeType = pickWebmType()
+      if (!mimeType) throw new Error('WebM recording is not supported in this browser')
+      const stream = gl.domElement.captureStream(0)
+      track = stream.getVideoTracks()[0]
+      recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 16e6 })
+      recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data)
+    }
+
+    state.setFrameloop('never') // clock restarts at 0; advance() below drives it
+    const restore = prepare({ width, height, transparent: transparent && format === 'png' })
+    const target = controls?.target?.clone() ?? new THREE.Vector3()
+    const startOffset = camera.position.clone().sub(target)
+
+    try {
+      recorder?.start()
+      const startedAt = performance.now()
+      for (let i = 0; i < frames; i++) {
+        if (signal?.aborted) throw new DOMException('export cancelled', 'AbortError')
+        const t = i / fps
+        await onFrame?.(t, i)
+        if (orbit) {
+          const angle = (orbit * Math.PI * 2 * i) / frames
+          camera.position.copy(startOffset).applyAxisAngle(_axis, angle).add(target)
+          camera.lookAt(target)
+        }
+        get().advance((i + 1) / fps)
+
+        if (format === 'png') {
+          const blob = await canvasToBlob(gl.domElement)
+          bytes += blob.size
+          // the first frame gives an estimate; refuse before the rest are captured
+          const expected = i === 0 ? blob.size * frames : bytes
+          if (expected > MAX_SEQUENCE_BYTES) {
+            throw new Error(
+              `the PNG sequence would need about ${formatGB(expected)}, more than the ${formatGB(MAX_SEQUENCE_BYTES)} ` +
+              'a zip export can hold; lower the size, fps or duration, or record WebM'
+            )
+          }
+          files.push({ name: `frame-${String(i).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) })
+        } else {
+          track.requestFrame()
+          // MediaRecorder stamps frames with wall time, so keep to real time
+          await sleep(Math.max(0, startedAt + ((i + 1) * 1000) / fps - performance.now()))
+        }
+        onProgress?.((i + 1) / frames)
+      }
+    } catch (err) {
+      if (recorder?.state === 'recording') recorder.stop()
+      throw err
+    } finally {
+      restore()
+    }
+
+    if (format === 'png') return createZip(files)
+    await new Promise((resolve) => {
+      recorder.onstop = resolve
+      recorder.stop()
+    })
+    return new Blob(chunks, { type: recorder.mimeType })
+  }), [get, prepare, exclusive])
+
+  React.useImperativeHandle(ref, () => ({ screenshot, record }), [screenshot, record])
+
+  return null
+}
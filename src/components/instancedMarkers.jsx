@@ -0,0 +1,251 @@
+// InstancedMarkers.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Billboard, Text, useCursor } from '@react-three/drei'
+
+import MarkerLayer from './markerLayer'
+import { buildClusterLevels, pickClusterLevel } from '../utils/markerClusters'
+import { useProjection } from '../utils/projection'
+
+const PIN_ALTITUDE = 0.01
+const RESELECT_INTERVAL = 0.25 // s between badge / card re-selection
+const BADGE_FACING = 0.2       // cos of the angle from the view direction
+const CARD_FACING = 0.5
+
+const _m = new THREE.Matrix4()
+const _q = new THREE.Quaternion()
+const _s = new THREE.Vector3()
+const _c = new THREE.Color()
+const _white = new THREE.Color('white')
+const _cam = new THREE.Vector3()
+const _fwd = new THREE.Vector3()
+const _p = new THREE.Vector3()
+
+const formatCount = (n) => (n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n))
+
+/**
+ * High-volume marker mode: pins for every cluster of the current zoom level in
+ * one InstancedMesh, count badges on the nearest clusters, and full
+ * WonderLabel cards only for the focused marker and the few nearest singles.
+ * Mount inside the planet group, like MarkerLayer.
+ */
+export default function InstancedMarkers({
+  markers,
+  radius = 2,
+  labelDistance = 0.9,
+  activeId = null,
+  pinSize = 0.012,
+  pinColor = '#00e5ff',
+  clusterColor = '#ffd54a',
+  clusterPx = 60,    // on-screen cell size that triggers the next level
+  maxBadges = 48,
+  maxCards = 5,
+  onMarkerHover,     // (marker, hovered) => void
+  onMarkerClick,     // (marker) => void
+  onClusterClick,    // (cluster) => void; { lat, lon, count, members }
+  ...labelProps
+}) {
+  const groupRef = React.useRef()
+  const meshRef = React.useRef()
+  const camera = useThree((s) => s.camera)
+  const invalidate = useThree((s) => s.invalidate)
+  const size = useThree((s) => s.size)
+  const projection = useProjection()
+
+  const levels = React.useMemo(() => buildClusterLevels(markers), [markers])
+  const [levelIndex, setLevelIndex] = React.useState(0)
+  const clusters = levels[Math.min(levelIndex, levels.length - 1)].clusters
+
+  // re-placed in place while the projection morphs (see useFrame)
+  const positions = React.useMemo(
+    () => clusters.map((c) => projection.point(c.lat, c.lon, radius, PIN_ALTITUDE)),
+    [clusters, radius, projection]
+  )
+  const placedVersion = React.useRef(projection.version)
+  const badgeRefs = React.useRef(new Map())
+  const indexById = React.useMemo(() => new Map(clusters.map((c, i) => [c.id, i])), [clusters])
+
+  const [hoveredId, setHoveredId] = React.useState(null)
+  const hoveredIndex = indexById.get(hoveredId) ?? -1
+  const hoveredCluster = hoveredIndex >= 0 ? clusters[hoveredIndex] : null
+  useCursor(Boolean(hoveredCluster))
+
+  /** Instances: matrices when the level changes, colours on hover/selection **/
+  const capacity = Math.max(1, markers.length)
+
+  const writeMatrices = React.useCallback(() => {
+    const mesh = meshRef.current
+    if (!mesh) return
+    clusters.forEach((c, i) => {
+      const s = pinSize * (1 + Math.log2(c.count) * 0.35) * (c.marker?.id === activeId ? 1.6 : 1)
+      _m.compose(positions[i], _q, _s.set(s, s, s))
+      mesh.setMatrixAt(i, _m)
+    })
+    mesh.count = clusters.length
+    mesh.instanceMatrix.needsUpdate = true
+    mesh.computeBoundingSphere()
+    invalidate()
+  }, [clusters, positions, pinSize, activeId, invalidate])
+
+  React.useLayoutEffect(() => {
+    writeMatrices()
+  }, [writeMatrices, capacity])
+
+  React.useLayoutEffect(() => {
+    const mesh = meshRef.current
+    if (!mesh) return
+    clusters.forEach((c, i) => {
+      _c.set(c.count > 1 ? clusterColor : pinColor)
+      if (i === hoveredIndex || (c.marker && c.marker.id === activeId)) _c.lerp(_white, 0.6)
+      mesh.setColorAt(i, _c)
+    })
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true
+    invalidate()
+  }, [clusters, hoveredIndex, activeId, pinColor, clusterColor, capacity, invalidate])
+
+  /** Zoom level, badges and cards follow the camera **/
+  const [badges, setBadges] = React.useState([]) // cluster ids
+  const [cardIds, setCardIds] = React.useState([])
+  const sinceReselect = React.useRef(RESELECT_INTERVAL)
+
+  useFrame((_, dt) => {
+    const group = groupRef.current
+    if (!group || !clusters.length) return
+
+    // projection morph: pins and badges follow the surface
+    if (placedVersion.current !== projection.version) {
+      placedVersion.current = projection.version
+      clusters.forEach((c, i) => projection.point(c.lat, c.lon, radius, PIN_ALTITUDE, positions[i]))
+      writeMatrices()
+      for (const [id, badge] of badgeRefs.current) {
+        const i = indexById.get(id)
+        if (badge && i !== undefined) badge.position.copy(positions[i])
+      }
+    }
+
+    group.worldToLocal(_cam.copy(camera.position))
+
+    const altitude = Math.max(0.01, _cam.length() / radius - 1)
+    const next = pickClusterLevel(levels, { altitude, fov: camera.fov, viewportHeight: size.height, clusterPx })
+    if (next !== levelIndex) {
+      setLevelIndex(next)
+      sinceReselect.current = RESELECT_INTERVAL // reselect against the new level next frame
+      return
+    }
+
+    sinceReselect.current += dt
+    if (sinceReselect.current < RESELECT_INTERVAL) return
+    sinceReselect.current = 0
+
+    // globe: angle between the pin and the camera seen from the centre;
+    // flat map: angle from the view axis, so the middle of the screen wins
+    _cam.normalize()
+    camera.getWorldDirection(_fwd)
+    const flat = projection.flatName !== null
+    const facing = positions.map((p) =>
+      flat ? _p.copy(p).applyMatrix4(group.matrixWorld).sub(camera.position).normalize().dot(_fwd) : p.dot(_cam) / p.length()
+    )
+    const nearest = (filter, min, limit) =>
+      clusters
+        .map((c, i) => i)
+        .filter((i) => filter(clusters[i]) && facing[i] > min)
+        .sort((a, b) => facing[b] - facing[a])
+        .slice(0, limit)
+        .map((i) => clusters[i].id)
+
+    const nextBadges = nearest((c) => c.count > 1, BADGE_FACING, maxBadges)
+    const nextCards = nearest((c) => c.count === 1, CARD_FACING, maxCards).map((id) => clusters[indexById.get(id)].marker.id)
+    setBadges((b) => (b.join() === nextBadges.join() ? b : nextBadges))
+    setCardIds((ids) => (ids.join() === nextCards.join() ? ids : nextCards))
+  })
+
+  const cardMarkers = React.useMemo(() => {
+    const ids = new Set(cardIds)
+    if (activeId) ids.add(activeId)
+    if (hoveredCluster?.marker) ids.add(hoveredCluster.marker.id)
+    return markers.filter((m) => ids.has(m.id))
+  }, [markers, cardIds, activeId, hoveredCluster])
+
+  /** Pointer events (instanceId → cluster) **/
+  const onHoverRef = React.useRef(onMarkerHover)
+  onHoverRef.current = onMarkerHover
+  const hoveredMarker = hoveredCluster?.marker ?? null
+  React.useEffect(() => {
+    if (!hoveredMarker) return
+    onHoverRef.current?.(hoveredMarker, true)
+    return () => onHoverRef.current?.(hoveredMarker, false)
+  }, [hoveredMarker])
+
+  // the globe is hit as well; only react when the pin is in front of it
+  const frontmost = (e) => e.intersections[0]?.object === e.object
+
+  const handleMove = (e) => {
+    if (!frontmost(e)) {
+      setHoveredId(null)
+      return
+    }
+    e.stopPropagation()
+    setHoveredId(clusters[e.instanceId]?.id ?? null)
+  }
+  const handleClick = (e) => {
+    if (e.delta > 4 || !frontmost(e)) return
+    e.stopPropagation()
+    const cluster = clusters[e.instanceId]
+    if (!cluster) return
+    if (cluster.marker) onMarkerClick?.(cluster.marker)
+    else onClusterClick?.(cluster)
+  }
+
+  return (
+    <group ref={groupRef}>
+      <instancedMesh
+        key={capacity}
+        ref={meshRef}
+        args={[undefined, undefined, capacity]}
+        frustumCulled={false}
+        onPointerMove={handleMove}
+        onPointerOut={() => setHoveredId(null)}
+        onClick={handleClick}
+      >
+        <sphereGeometry args={[1, 8, 6]} />
+        <meshBasicMaterial toneMapped={false} />
+      </instancedMesh>
+
+      {badges.map((id) => {
+        const i = indexById.get(id)
+        if (i === undefined) return null
+        return (
+          <Billboard
+            key={id}
+            ref={(el) => (el ? badgeRefs.current.set(id, el) : badgeRefs.current.delete(id))}
+            position={positions[i]}
+          >
+            <Text
+              position={[0, pinSize * 3, 0]}
+              fontSize={0.045}
+              anchorX="center"
+              anchorY="bottom"
+              color={clusterColor}
+              outlineWidth={0.004}
+              outlineColor="black"
+              renderOrder={3}
+            >
+              {formatCount(clusters[i].count)}
+            </Text>
+          </Billboard>
+        )
+      })}
+
+      <MarkerLayer
+        markers={cardMarkers}
+        radius={radius}
+        labelDistance={labelDistance}
+        activeId={activeId}
+        onMarkerHover={onMarkerHover}
+        onMarkerClick={onMarkerClick}
+        {...labelProps}
+      />
+    </group>
+  )
+}
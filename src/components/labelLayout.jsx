@@ -0,0 +1,72 @@
+// LabelLayout.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { LabelLayoutContext, solveLabelLayout } from '../utils/labelLayout'
+
+const _toCam = new THREE.Vector3()
+const _ndc = new THREE.Vector3()
+
+/**
+ * Horizon occlusion + decluttering for the WonderLabels inside it.
+ * mode: 'none' (occlusion only) | 'priority' | 'displace' | 'collapse'
+ */
+export default function LabelLayout({ mode = 'priority', horizon = 0.05, gap = 4, children }) {
+  const registry = React.useMemo(() => new Set(), [])
+  const camera = useThree((s) => s.camera)
+  const size = useThree((s) => s.size)
+
+  const scratch = React.useMemo(() => ({
+    anchor: new THREE.Vector3(),
+    normal: new THREE.Vector3(),
+    card: new THREE.Vector3(),
+    w: 0, h: 0, dy: 0,
+  }), [])
+
+  useFrame(() => {
+    if (!registry.size) return
+
+    const halfFov = THREE.MathUtils.degToRad((camera.fov ?? 50) / 2)
+    const items = []
+    const ppus = new Map() // px per world unit at each card
+
+    for (const entry of registry) {
+      if (!entry.measure?.(scratch)) continue
+
+      // anchor normal vs. direction to the camera: < 0 means behind the limb
+      _toCam.copy(camera.position).sub(scratch.anchor).normalize()
+      const facing = scratch.normal.dot(_toCam)
+
+      _ndc.copy(scratch.card).project(camera)
+      const dist = camera.position.distanceTo(scratch.card)
+      const ppu = size.height / (2 * Math.tan(halfFov) * dist)
+      ppus.set(entry, ppu)
+
+      items.push({
+        id: entry,
+        priority: entry.priority,
+        facing,
+        rect: {
+          x: (_ndc.x + 1) / 2 * size.width,
+          y: (1 - _ndc.y) / 2 * size.height - scratch.dy * ppu,
+          w: scratch.w * ppu,
+          h: scratch.h * ppu,
+        },
+      })
+    }
+
+    const result = solveLabelLayout(items, { mode, horizon, gap })
+    for (const [entry, r] of result) {
+      const ppu = ppus.get(entry)
+      entry.layout.visible = r.visible
+      entry.layout.offset = [r.offset[0] / ppu, -r.offset[1] / ppu] // screen y is down
+      entry.layout.badge = r.badge
+    }
+  })
+
+  return (
+    <LabelLayoutContext.Provider value={registry}>
+      {children}
+    </LabelLayoutContext.Provider>
+  )
+}
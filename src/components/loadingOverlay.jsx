@@ -3,6 +3,9 @@ import * as React from 'react'
 import * as THREE from 'three'
 import { Html, useProgress } from '@react-three/drei'
 import { useFrame, useThree } from '@react-three/fiber'
+import { useI18n } from '../utils/i18n'
+
+const assetName = (url) => String(url).split(/[?#]/)[0].split('/').pop() || String(url)
 
 export default function LoadingOverlay({
   // timings (seconds)
@@ -21,13 +24,25 @@ export default function LoadingOverlay({
   // progress smoothing
   smoothFactor = 8,
   loadingCap = 0.96,
+  timeout = 0,        // seconds before onTimeout fires (0 = never)
+  slowMessage = 'This is taking a while…',
+  settled,            // optional override for "loaders are done" (default: !useProgress().active)
+  isOptional = () => false, // (url) => true for assets that may fail without blocking
   // optional scene brightness ramp while overlay fades
   animateExposure = false,
   exposureFrom = 0.6,
   exposureTo = 3,
+  // callbacks
+  onProgress,   // ({ active, progress }) => void, progress 0..100
+  onComplete,   // () => void, once the fade has finished
+  onError,      // ({ failed, optional }) => void, urls of assets that failed to load
+  onTimeout,    // () => void, still loading after `timeout`
+  onRetry,      // () => void; shows a retry button while required assets are failing
 }) {
-  const { active, progress } = useProgress()
-  const { gl } = useThree()
+  const { t } = useI18n()
+  const { active, progress, errors, item, loaded, total } = useProgress()
+  const loading = settled === undefined ? active : !settled
+  const { gl, invalidate } = useThree()
 
   // overlay shader
   const overlayMesh = React.useRef()
@@ -43,10 +58,43 @@ export default function LoadingOverlay({
     uniforms.uColor.value.set(overlayColor)
   }, [overlayColor, uniforms])
 
+  // report raw loader progress (latest callback, only when values change)
+  const onProgressRef = React.useRef(onProgress)
+  onProgressRef.current = onProgress
+  React.useEffect(() => {
+    onProgressRef.current?.({ active, progress })
+  }, [active, progress])
+
+  // failed assets since the last retry (the loader store never forgets them)
+  const [errorBase, setErrorBase] = React.useState(0)
+  const recentErrors = errors.slice(errorBase)
+  const failed = recentErrors.filter((url) => !isOptional(url))
+  const skipped = recentErrors.filter((url) => isOptional(url))
+  const blocked = failed.length > 0
+
+  const onErrorRef = React.useRef(onError)
+  onErrorRef.current = onError
+  const reported = React.useRef(0)
+  React.useEffect(() => {
+    if (recentErrors.length <= reported.current) return
+    reported.current = recentErrors.length
+    onErrorRef.current?.({ failed, optional: skipped })
+  })
+
+  const retry = () => {
+    setErrorBase(errors.length)
+    reported.current = 0
+    onRetry?.()
+  }
+
+  // slow-network timeout
+  const startedAt = React.useRef(performance.now())
+  const [slow, setSlow] = React.useState(false)
+
   // alpha / phase state machine
   const [alpha, setAlpha] = React.useState(1)     // 0..1
   const [done, setDone] = React.useState(false)
-  const phase = React.useRef('loading')           // 'loading' | 'hold' | 'fading' | 'done'
+  const phase = React.useRef('loading')           // 'loading' | 'error' | 'hold' | 'fading' | 'done'
   const holdUntil = React.useRef(0)
 
   // smoothed display progress 0..1
@@ -55,18 +103,24 @@ export default function LoadingOverlay({
 
   // when loaders finish, enter hold phase (lets the scene mount, then we fade)
   React.useEffect(() => {
-    if (!active && phase.current === 'loading') {
+    if (blocked) {
+      // stay up until the failed assets are retried
+      phase.current = 'error'
+      return
+    }
+    if (!loading && (phase.current === 'loading' || phase.current === 'error')) {
       phase.current = 'hold'
       holdUntil.current = performance.now() + delay * 1000
     }
-    if (active && phase.current !== 'loading') {
+    if (loading && phase.current !== 'loading') {
       // if something else begins loading again, go back to loading
       phase.current = 'loading'
     }
-  }, [active, delay])
+  }, [loading, blocked, delay])
 
   useFrame((_, dt) => {
     if (done && unmountOnEnd) return
+    if (phase.current !== 'done') invalidate() // keep a frameloop="demand" canvas going
 
     // keep overlay from intercepting rays
     if (overlayMesh.current) overlayMesh.current.raycast = () => null
@@ -74,7 +128,7 @@ export default function LoadingOverlay({
     // --- progress smoothing ---
     const raw = (progress || 0) / 100
     const targetWhileActive = Math.min(loadingCap, Math.max(raw, displayRef.current))
-    const target = active ? targetWhileActive : 1
+    const target = loading || blocked ? targetWhileActive : 1
     const next = THREE.MathUtils.damp(displayRef.current, target, smoothFactor, dt)
     displayRef.current = next
     if (Math.abs(next - display) > 0.0001) setDisplay(next)
@@ -84,10 +138,14 @@ export default function LoadingOverlay({
     if (phase.current === 'hold' && now >= holdUntil.current) {
       phase.current = 'fading'
     }
+    if (timeout > 0 && !slow && phase.current === 'loading' && now - startedAt.current > timeout * 1000) {
+      setSlow(true)
+      onTimeout?.()
+    }
 
     // --- alpha animation ---
     const k = (fade > 0 ? 3 / fade : 9999) // damp factor mapped to seconds
-    const targetAlpha = (phase.current === 'loading' || phase.current === 'hold') ? 1 : 0
+    const targetAlpha = (phase.current === 'loading' || phase.current === 'error' || phase.current === 'hold') ? 1 : 0
     const a = THREE.MathUtils.damp(alpha, targetAlpha, k, dt)
 
     // write shader + React state
@@ -103,6 +161,7 @@ export default function LoadingOverlay({
     // end condition
     if (phase.current === 'fading' && a < 0.01) {
       phase.current = 'done'
+      onComplete?.()
       if (unmountOnEnd) setDone(true)
     }
   })
@@ -122,6 +181,11 @@ export default function LoadingOverlay({
       fontSize: 12, letterSpacing: '0.08em', color: labelColor,
       textShadow: '0 1px 2px rgba(0,0,0,0.4)',
     },
+    detail: { opacity: 0.6, whiteSpace: 'nowrap' },
+    retry: {
+      pointerEvents: 'auto', marginTop: 4, padding: '3px 12px', borderRadius: 4, font: 'inherit',
+      border: '1px solid rgba(255,255,255,0.4)', background: 'transparent', color: labelColor, cursor: 'pointer',
+    },
   }
 
   return (
@@ -148,6 +212,19 @@ export default function LoadingOverlay({
             <div style={styles.fill} />
           </div>
           {showPercent && <div style={styles.label}>{Math.round(display * 100)}%</div>}
+
+          {blocked ? (
+            <div style={{ ...styles.label, textAlign: 'center' }}>
+              <div>{t('loading.failed', { assets: failed.map(assetName).join(', ') })}</div>
+              {onRetry && <button type="button" style={styles.retry} onClick={retry}>{t('loading.retry')}</button>}
+            </div>
+          ) : (
+            <div style={{ ...styles.label, ...styles.detail }}>
+              {active && item && `${assetName(item)} · ${loaded}/${total}`}
+              {skipped.length > 0 && <div>{t('loading.skipped', { count: skipped.length })}</div>}
+              {slow && loading && <div>{slowMessage}</div>}
+            </div>
+          )}
         </div>
       </Html>
     </>
@@ -0,0 +1,40 @@
+// MarkerLayer.jsx
+import * as React from 'react'
+import WonderLabel from './wonderLabel'
+
+/** Renders catalog markers (see utils/markerCatalog) as WonderLabel callouts */
+export default function MarkerLayer({
+  markers,
+  radius = 2,
+  labelDistance = 0.9,
+  activeId = null,
+  onMarkerHover,   // (marker, hovered) => void
+  onMarkerClick,   // (marker) => void
+  ...labelProps
+}) {
+  return (
+    <group>
+      {/* one card per boundary: a card still loading its font or photo
+          must not suspend its siblings or the layer around it */}
+      {markers.map((m) => (
+        <React.Suspense key={m.id} fallback={null}>
+          <WonderLabel
+            id={m.id}
+            name={m.name}
+            lat={m.lat}
+            lon={m.lon}
+            imageSrc={m.image}
+            priority={m.priority}
+            radius={radius}
+            labelDistance={labelDistance}
+            active={m.id === activeId}
+            onHoverChange={(hovered) => onMarkerHover?.(m, hovered)}
+            onClick={() => onMarkerClick?.(m)}
+            {...labelProps}
+            {...m.style}
+          />
+        </React.Suspense>
+      ))}
+    </group>
+  )
+}
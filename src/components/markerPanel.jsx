@@ -0,0 +1,187 @@
+// MarkerPanel.jsx
+import * as React from 'react'
+import { useI18n } from '../utils/i18n'
+import { daylightState, sunElevation } from '../utils/solar'
+
+const FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif'
+
+const formatCoord = (value, pos, neg) => `${Math.abs(value).toFixed(4)}° ${value >= 0 ? pos : neg}`
+
+// wall clock in the marker's zone; without one, mean solar time from the longitude
+function localTime(date, marker, t, locale) {
+  if (marker.timezone) {
+    return new Intl.DateTimeFormat(locale, {
+      timeZone: marker.timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', timeZoneName: 'short',
+    }).format(date)
+  }
+  const solar = new Date(date.getTime() + (marker.lon / 15) * 3600000)
+  return t('panel.solarTime', { time: solar.toISOString().slice(11, 16) })
+}
+
+function daylight(date, marker, t) {
+  const elevation = sunElevation(date, marker.lat, marker.lon)
+  const state = daylightState(elevation) // 'day' | 'twilight' | 'night'
+  return t(`panel.${state}`, { degrees: `${Math.abs(elevation).toFixed(0)}°` })
+}
+
+/** Full-screen image viewer; ←/→ step (mirrored right-to-left), Esc closes */
+function Lightbox({ images, index, name, onIndex, onClose }) {
+  const { t, dir } = useI18n()
+  const closeRef = React.useRef()
+  React.useEffect(() => {
+    const opener = document.activeElement
+    closeRef.current?.focus()
+    return () => opener?.focus?.()
+  }, [])
+
+  const step = (d) => onIndex((index + d + images.length) % images.length)
+  const forward = dir === 'rtl' ? -1 : 1
+  const onKeyDown = (e) => {
+    const action = { Escape: onClose, ArrowLeft: () => step(-forward), ArrowRight: () => step(forward) }[e.key]
+    if (!action) return
+    e.preventDefault()
+    e.stopPropagation()
+    action()
+  }
+
+  const styles = {
+    backdrop: {
+      position: 'fixed', inset: 0, zIndex: 2000, display: 'grid', placeItems: 'center',
+      background: 'rgba(0,0,0,0.9)', fontFamily: FONT, color: 'rgba(255,255,255,0.9)',
+    },
+    image: { maxWidth: '90vw', maxHeight: '80vh', objectFit: 'contain', borderRadius: 4 },
+    bar: { display: 'flex', alignItems: 'center', gap: 12, marginTop: 12, justifyContent: 'center', fontSize: 13 },
+    button: {
+      padding: '4px 12px', borderRadius: 4, font: 'inherit',
+      border: '1px solid rgba(255,255,255,0.3)', background: 'transparent', color: 'inherit', cursor: 'pointer',
+    },
+  }
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label={t('panel.photos', { name })} style={styles.backdrop} onKeyDown={onKeyDown} onClick={onClose}>
+      <figure style={{ margin: 0 }} onClick={(e) => e.stopPropagation()}>
+        <img src={images[index]} alt={t('panel.photo', { name, index: index + 1, count: images.length })} style={styles.image} />
+        <figcaption style={styles.bar}>
+          {images.length > 1 && <button type="button" style={styles.button} onClick={() => step(-1)} aria-label={t('panel.prevPhoto')}>‹</button>}
+          <span>{index + 1} / {images.length}</span>
+          {images.length > 1 && <button type="button" style={styles.button} onClick={() => step(1)} aria-label={t('panel.nextPhoto')}>›</button>}
+          <button ref={closeRef} type="button" style={styles.button} onClick={onClose}>{t('panel.closePhotos')}</button>
+        </figcaption>
+      </figure>
+    </div>
+  )
+}
+
+/**
+ * Detail panel for a clicked marker (DOM, over the start edge of the canvas):
+ * description, key facts, photo gallery with a lightbox, and prev/next through
+ * the catalog. Content comes straight from the catalog entry (see
+ * utils/markerCatalog), so editors only touch the data file.
+ *
+ * Local time and day/night follow the globe's clock (`timeController`).
+ * Key it by marker id so the lightbox closes when the marker changes.
+ */
+export default function MarkerPanel({ marker, index, count, timeController, theme, onPrev, onNext, onClose }) {
+  const { t, locale } = useI18n()
+  const [lightbox, setLightbox] = React.useState(null) // photo index
+  const [now, setNow] = React.useState(() => timeController.now())
+  React.useEffect(() => {
+    const id = setInterval(() => setNow(timeController.now()), 1000)
+    return () => clearInterval(id)
+  }, [timeController])
+
+  const onKeyDown = (e) => {
+    if (e.defaultPrevented || e.target.tagName === 'INPUT') return
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose?.()
+    }
+  }
+
+  const facts = [
+    [t('panel.built'), marker.built],
+    [t('panel.country'), marker.country],
+    [t('panel.localTime'), localTime(now, marker, t, locale)],
+    [t('panel.sun'), daylight(now, marker, t)],
+    [t('panel.coordinates'), `${formatCoord(marker.lat, 'N', 'S')}, ${formatCoord(marker.lon, 'E', 'W')}`],
+    ...Object.entries(marker.facts ?? {}),
+  ].filter(([, value]) => value)
+
+  const styles = {
+    panel: {
+      position: 'absolute', top: 0, bottom: 0, insetInlineStart: 0, zIndex: 1, width: 'min(360px, 100%)', boxSizing: 'border-box',
+      overflowY: 'auto', padding: '16px 18px', background: 'rgba(0,0,12,0.85)',
+      borderInlineEnd: `1px solid ${theme.lineColor}`, color: 'rgba(255,255,255,0.92)',
+      fontFamily: FONT, fontSize: 14, lineHeight: 1.5,
+    },
+    header: { display: 'flex', alignItems: 'flex-start', gap: 8 },
+    title: { flex: 1, margin: 0, fontSize: 20, fontWeight: 600, color: theme.labelColor },
+    nav: { display: 'flex', alignItems: 'center', gap: 8, margin: '8px 0 12px', fontSize: 12 },
+    counter: { opacity: 0.6 },
+    button: {
+      padding: '2px 10px', borderRadius: 4, font: 'inherit',
+      border: '1px solid rgba(255,255,255,0.3)', background: 'transparent', color: 'inherit', cursor: 'pointer',
+    },
+    hero: { width: '100%', aspectRatio: '16 / 10', objectFit: 'cover', borderRadius: 6, display: 'block', cursor: 'zoom-in' },
+    thumbs: { display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 6, marginTop: 6 },
+    thumb: { width: '100%', aspectRatio: '1', objectFit: 'cover', borderRadius: 4, display: 'block' },
+    imageButton: { padding: 0, border: 0, background: 'none', cursor: 'zoom-in', borderRadius: 4 },
+    facts: { display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 12px', margin: '12px 0', fontSize: 13 },
+    label: { opacity: 0.6 },
+  }
+
+  const [hero, ...thumbs] = marker.images ?? []
+
+  return (
+    <aside style={styles.panel} aria-label={t('panel.label', { name: marker.name })} onKeyDown={onKeyDown}>
+      <div style={styles.header}>
+        <h2 style={styles.title}>{marker.name}</h2>
+        <button type="button" style={styles.button} onClick={onClose} aria-label={t('panel.close')}>✕</button>
+      </div>
+
+      {count > 1 && (
+        <div style={styles.nav}>
+          <button type="button" style={styles.button} onClick={onPrev} aria-label={t('panel.prevLabel')}>{t('panel.prev')}</button>
+          <span style={styles.counter}>{index + 1} / {count}</span>
+          <button type="button" style={styles.button} onClick={onNext} aria-label={t('panel.nextLabel')}>{t('panel.next')}</button>
+        </div>
+      )}
+
+      {hero && (
+        <button type="button" style={{ ...styles.imageButton, display: 'block', width: '100%' }} onClick={() => setLightbox(0)}>
+          <img src={hero} alt={marker.name} style={styles.hero} />
+        </button>
+      )}
+      {thumbs.length > 0 && (
+        <div style={styles.thumbs}>
+          {thumbs.map((src, i) => (
+            <button key={src} type="button" style={styles.imageButton} onClick={() => setLightbox(i + 1)}>
+              <img src={src} alt={t('panel.photo', { name: marker.name, index: i + 2, count: marker.images.length })} style={styles.thumb} />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {marker.description && <p>{marker.description}</p>}
+
+      <dl style={styles.facts}>
+        {facts.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt style={styles.label}>{label}</dt>
+            <dd style={{ margin: 0 }}>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      {lightbox != null && (
+        <Lightbox
+          images={marker.images}
+          index={lightbox}
+          name={marker.name}
+          onIndex={setLightbox}
+          onClose={() => setLightbox(null)}
+        />
+      )}
+    </aside>
+  )
+}
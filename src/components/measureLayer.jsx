@@ -0,0 +1,154 @@
+// MeasureLayer.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Html, Line } from '@react-three/drei'
+import { interpolateGreatCircle } from '../utils/geo'
+import { formatBearing, formatDistance, formatTimeDifference, geodesicRuns, measurePath } from '../utils/measure'
+import { useI18n } from '../utils/i18n'
+import { useProjection } from '../utils/projection'
+
+const LINE_ALTITUDE = 0.004 // just clear of the surface
+const LINE_STEP = 1         // degrees between line vertices
+const DOT_RADIUS = 0.014
+const UP = new THREE.Vector3(0, 1, 0)
+
+const _pos = new THREE.Vector3()
+const _q = new THREE.Quaternion()
+const _toCamera = new THREE.Vector3()
+const _up = new THREE.Vector3()
+
+const placeRun = (projection, run, radius) =>
+  run.map((p) => projection.point(p.lat, p.lon, radius, LINE_ALTITUDE))
+
+/** One antimeridian-free piece of a leg; follows the globe ↔ map morph */
+function GeodesicRun({ run, radius, color, width, dashed }) {
+  const projection = useProjection()
+  const lineRef = React.useRef()
+  const placedVersion = React.useRef(projection.version)
+  const points = React.useMemo(() => placeRun(projection, run, radius), [projection, run, radius])
+
+  useFrame(() => {
+    const line = lineRef.current
+    if (!line || placedVersion.current === projection.version) return
+    placedVersion.current = projection.version
+    line.geometry.setPositions(placeRun(projection, run, radius).flatMap((v) => v.toArray()))
+    if (dashed) line.computeLineDistances()
+  })
+
+  return (
+    <Line
+      ref={lineRef}
+      points={points}
+      color={color}
+      lineWidth={width}
+      dashed={dashed}
+      dashSize={0.05}
+      gapSize={0.035}
+      transparent
+      opacity={0.95}
+      renderOrder={3}
+      raycast={() => null}
+    />
+  )
+}
+
+/** A dot and/or an HTML label standing on lat/lon; the label hides on the far side */
+function SurfaceMark({ lat, lon, radius, color, dot = true, children }) {
+  const groupRef = React.useRef()
+  const labelRef = React.useRef()
+  const camera = useThree((s) => s.camera)
+  const projection = useProjection()
+  const placed = React.useRef(null)
+
+  useFrame(() => {
+    const group = groupRef.current
+    if (!group) return
+    const key = `${lat},${lon},${radius},${projection.version}`
+    if (placed.current !== key) {
+      placed.current = key
+      projection.point(lat, lon, radius, LINE_ALTITUDE, group.position)
+      group.quaternion.setFromUnitVectors(UP, projection.up(lat, lon, _up))
+    }
+    if (!labelRef.current) return
+    group.getWorldPosition(_pos)
+    _toCamera.copy(camera.position).sub(_pos).normalize()
+    _up.copy(UP).applyQuaternion(group.getWorldQuaternion(_q))
+    labelRef.current.style.opacity = _up.dot(_toCamera) > 0.1 ? 1 : 0
+  })
+
+  return (
+    <group ref={groupRef}>
+      {dot && (
+        <mesh raycast={() => null}>
+          <sphereGeometry args={[DOT_RADIUS, 16, 12]} />
+          <meshBasicMaterial color={color} toneMapped={false} />
+        </mesh>
+      )}
+      {children && (
+        <Html style={{ pointerEvents: 'none' }}>
+          <div
+            ref={labelRef}
+            style={{
+              transform: 'translate(-50%, calc(-100% - 8px))', whiteSpace: 'nowrap', opacity: 0,
+              padding: '3px 8px', borderRadius: 6, background: 'rgba(0,0,0,0.7)',
+              borderBottom: `2px solid ${color}`, color: 'rgba(255,255,255,0.92)', fontSize: 12,
+              fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+            }}
+          >
+            {children}
+          </div>
+        </Html>
+      )}
+    </group>
+  )
+}
+
+function Leg({ leg, radius, color, unit, live }) {
+  const { t } = useI18n()
+  const { from, to } = leg
+  const runs = React.useMemo(
+    () => geodesicRuns({ lat: from.lat, lon: from.lon }, { lat: to.lat, lon: to.lon }, LINE_STEP),
+    [from.lat, from.lon, to.lat, to.lon]
+  )
+  const mid = interpolateGreatCircle(from, to, 0.5)
+
+  return (
+    <group>
+      {runs.map((run, i) => (
+        <GeodesicRun key={i} run={run} radius={radius} color={color} width={live ? 1.25 : 2} dashed={live} />
+      ))}
+      <SurfaceMark lat={mid.lat} lon={mid.lon} radius={radius} color={color} dot={false}>
+        {formatDistance(leg.km, unit)}
+        <span style={{ marginInlineStart: 6, opacity: 0.65 }}>
+          {formatBearing(leg.bearing, t)} · {formatTimeDifference(leg.hours, t)}
+        </span>
+      </SurfaceMark>
+    </group>
+  )
+}
+
+/**
+ * Measured path over the globe: great-circle legs between the clicked
+ * `points` with a label on each (distance, initial bearing, local solar time
+ * difference), and a dashed live leg to `cursor` while one is given.
+ * Mount inside the planet group; follows the projection morph.
+ */
+export default function MeasureLayer({ points, cursor, radius = 2, unit = 'km', color = '#00e5ff' }) {
+  const { legs } = React.useMemo(
+    () => measurePath(cursor && points.length ? [...points, cursor] : points),
+    [points, cursor]
+  )
+
+  return (
+    <group>
+      {points.map((p, i) => (
+        <SurfaceMark key={i} lat={p.lat} lon={p.lon} radius={radius} color={color} />
+      ))}
+      {legs.map((leg, i) => {
+        const live = Boolean(cursor) && i === legs.length - 1
+        return <Leg key={live ? 'live' : i} leg={leg} radius={radius} color={color} unit={unit} live={live} />
+      })}
+    </group>
+  )
+}
@@ -0,0 +1,114 @@
+// MeasurePanel.jsx
+import * as React from 'react'
+import {
+  MEASURE_UNITS,
+  formatBearing,
+  formatDistance,
+  formatTimeDifference,
+  measurePath,
+  measureToGeoJSON,
+  measureToText,
+} from '../utils/measure'
+import { useI18n } from '../utils/i18n'
+
+const placeName = (p) => p.name ?? `${p.lat.toFixed(2)}°, ${p.lon.toFixed(2)}°`
+
+/**
+ * Measure mode HUD: the legs and the running total of the clicked path, the
+ * unit switch, and copy as text / GeoJSON. Points are added by clicking the
+ * globe or a marker (see App). Sits over the canvas (parent must be positioned).
+ */
+export default function MeasurePanel({ points, unit = 'km', onUnitChange, onUndo, onClear, onClose }) {
+  const { t } = useI18n()
+  const [copied, setCopied] = React.useState(null)
+  const { legs, km, hours } = measurePath(points)
+
+  const copy = async (format) => {
+    const text = format === 'geojson'
+      ? JSON.stringify(measureToGeoJSON(points), null, 2)
+      : measureToText(points, unit, t)
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(format)
+      setTimeout(() => setCopied(null), 1200)
+    } catch (err) {
+      console.warn('[measure] clipboard unavailable', err)
+    }
+  }
+
+  const styles = {
+    panel: {
+      position: 'absolute', insetInlineStart: 16, top: 64, zIndex: 1, width: 280, boxSizing: 'border-box',
+      padding: '10px 12px', borderRadius: 8, background: 'rgba(0,0,0,0.7)',
+      color: 'rgba(255,255,255,0.92)', fontSize: 12, lineHeight: 1.5,
+      fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+    },
+    row: { display: 'flex', alignItems: 'center', gap: 6 },
+    title: { fontSize: 14, fontWeight: 600 },
+    legs: { margin: '8px 0', padding: 0, listStyle: 'none', maxHeight: '40vh', overflowY: 'auto' },
+    leg: { padding: '3px 0', borderTop: '1px solid rgba(255,255,255,0.12)' },
+    muted: { opacity: 0.6 },
+    total: { fontWeight: 600 },
+    button: {
+      padding: '1px 8px', borderRadius: 4, fontSize: 11, font: 'inherit',
+      border: '1px solid rgba(255,255,255,0.3)', background: 'transparent', color: 'inherit', cursor: 'pointer',
+    },
+  }
+  const unitButton = (u) => ({ ...styles.button, background: u === unit ? 'rgba(255,255,255,0.2)' : 'transparent' })
+
+  return (
+    <div style={styles.panel} role="region" aria-label={t('measure.label')}>
+      <div style={styles.row}>
+        <span style={styles.title}>{t('measure.title')}</span>
+        <span style={{ marginInlineStart: 'auto', ...styles.row, gap: 2 }} role="group" aria-label={t('measure.units')}>
+          {Object.keys(MEASURE_UNITS).map((u) => (
+            <button key={u} type="button" style={unitButton(u)} aria-pressed={u === unit} onClick={() => onUnitChange?.(u)}>
+              {u}
+            </button>
+          ))}
+        </span>
+        <button type="button" style={styles.button} onClick={onClose} aria-label={t('measure.close')}>✕</button>
+      </div>
+
+      {legs.length ? (
+        <ol style={styles.legs} aria-live="polite">
+          {legs.map((leg, i) => (
+            <li key={i} style={styles.leg}>
+              <div>{placeName(leg.from)} → {placeName(leg.to)}</div>
+              <div>
+                {formatDistance(leg.km, unit)}
+                <span style={styles.muted}>
+                  {' · '}{formatBearing(leg.bearing, t)}
+                  {' · '}{t('measure.localTime', { difference: formatTimeDifference(leg.hours, t) })}
+                </span>
+              </div>
+            </li>
+          ))}
+          {legs.length > 1 && (
+            <li style={{ ...styles.leg, ...styles.total }}>
+              {t('measure.total', { distance: formatDistance(km, unit) })}
+              <span style={styles.muted}> · {t('measure.localTime', { difference: formatTimeDifference(hours, t) })}</span>
+            </li>
+          )}
+        </ol>
+      ) : (
+        <p style={{ ...styles.muted, margin: '8px 0' }}>
+          {points.length ? t('measure.next') : t('measure.start')}
+        </p>
+      )}
+
+      <div style={styles.row}>
+        <button type="button" style={styles.button} onClick={onUndo} disabled={!points.length}>{t('measure.undo')}</button>
+        <button type="button" style={styles.button} onClick={onClear} disabled={!points.length}>{t('measure.clear')}</button>
+        <span style={{ marginInlineStart: 'auto', ...styles.row, gap: 4 }}>
+          <button type="button" style={styles.button} onClick={() => copy('text')} disabled={!legs.length}>
+            {copied === 'text' ? t('measure.copied') : t('measure.copy')}
+          </button>
+          <button type="button" style={styles.button} onClick={() => copy('geojson')} disabled={!legs.length}>
+            {copied === 'geojson' ? t('measure.copied') : t('measure.geojson')}
+          </button>
+        </span>
+      </div>
+    </div>
+  )
+}
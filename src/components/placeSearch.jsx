@@ -0,0 +1,151 @@
+// PlaceSearch.jsx
+import * as React from 'react'
+import { useI18n } from '../utils/i18n'
+
+const isTyping = (el) =>
+  el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName))
+
+// second column of a result: markers are flagged, cities show their country
+const describe = (place, t) =>
+  place.kind === 'marker' ? t('search.onGlobe') : place.kind === 'country' ? t('search.country') : place.detail || t('search.city')
+
+/**
+ * Search box over the markers and the offline gazetteer (see
+ * utils/searchClient). Results come from `onSearch(query)` → `results`;
+ * picking one (click, or ↑/↓ + Enter) calls `onPick(place)`. Esc closes the
+ * list, a second Esc clears the box (`onClear`). `/` focuses it from anywhere.
+ */
+export default function PlaceSearch({ results, status, onSearch, onPick, onClear }) {
+  const { t } = useI18n()
+  const [query, setQuery] = React.useState('')
+  const [open, setOpen] = React.useState(false)
+  const [active, setActive] = React.useState(0)
+  const inputRef = React.useRef()
+  const listId = React.useId()
+
+  React.useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== '/' || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTyping(e.target)) return
+      e.preventDefault()
+      inputRef.current?.focus()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [])
+
+  const change = (value) => {
+    setQuery(value)
+    setActive(0)
+    setOpen(true)
+    onSearch(value)
+  }
+
+  const clear = () => {
+    change('')
+    setOpen(false)
+    onClear?.()
+  }
+
+  const pick = (place) => {
+    setQuery(place.name)
+    setOpen(false)
+    onPick(place)
+  }
+
+  const shown = open && query.trim() !== ''
+  // results can shrink under the highlighted row
+  const current = Math.min(active, results.length - 1)
+  const onKeyDown = (e) => {
+    const action = {
+      ArrowDown: () => (shown ? setActive((current + 1) % results.length) : setOpen(true)),
+      ArrowUp: () => shown && setActive((current - 1 + results.length) % results.length),
+      Enter: () => shown && results[current] && pick(results[current]),
+      Escape: () => (shown ? setOpen(false) : query && clear()),
+    }[e.key]
+    if (!action || (!results.length && e.key.startsWith('Arrow'))) return
+    e.preventDefault()
+    e.stopPropagation()
+    action()
+  }
+
+  const styles = {
+    root: {
+      position: 'absolute', top: 12, left: '50%', transform: 'translateX(-50%)', zIndex: 1,
+      width: 'min(360px, calc(100% - 32px))',
+      fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif', fontSize: 14,
+    },
+    field: { position: 'relative' },
+    input: {
+      width: '100%', boxSizing: 'border-box', paddingBlock: 8, paddingInline: '12px 32px', borderRadius: 8, font: 'inherit',
+      border: '1px solid rgba(255,255,255,0.25)', background: 'rgba(0,0,0,0.7)', color: 'rgba(255,255,255,0.92)',
+    },
+    clear: {
+      position: 'absolute', insetInlineEnd: 4, top: '50%', transform: 'translateY(-50%)', padding: '2px 8px',
+      border: 0, background: 'transparent', color: 'rgba(255,255,255,0.7)', cursor: 'pointer', font: 'inherit',
+    },
+    list: {
+      listStyle: 'none', margin: '4px 0 0', padding: '4px 0', borderRadius: 8, maxHeight: '50vh', overflowY: 'auto',
+      background: 'rgba(0,0,0,0.85)', color: 'rgba(255,255,255,0.92)',
+    },
+    option: { display: 'flex', alignItems: 'baseline', gap: 8, padding: '5px 12px', cursor: 'pointer' },
+    current: { background: 'rgba(0,229,255,0.25)' },
+    detail: { marginInlineStart: 'auto', fontSize: 12, opacity: 0.6, whiteSpace: 'nowrap' },
+    empty: { padding: '5px 12px', fontSize: 13, opacity: 0.7 },
+  }
+
+  const emptyText =
+    status === 'loading' ? t('search.loading')
+      : status === 'error' ? t('search.noMatchesOffline')
+        : t('search.noMatches')
+
+  return (
+    <div style={styles.root}>
+      <div style={styles.field}>
+        <input
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          aria-label={t('search.label')}
+          aria-autocomplete="list"
+          aria-expanded={shown && results.length > 0}
+          aria-controls={listId}
+          aria-activedescendant={shown && results[current] ? `${listId}-${current}` : undefined}
+          placeholder={t('search.placeholder')}
+          autoComplete="off"
+          spellCheck={false}
+          value={query}
+          style={styles.input}
+          onChange={(e) => change(e.target.value)}
+          onKeyDown={onKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+        />
+        {query && (
+          <button type="button" style={styles.clear} aria-label={t('search.clear')} onClick={clear}>✕</button>
+        )}
+      </div>
+
+      {shown && (
+        <ul id={listId} role="listbox" aria-label={t('search.results')} style={styles.list}>
+          {results.length === 0 && <li style={styles.empty}>{emptyText}</li>}
+          {results.map((place, i) => (
+            <li
+              key={place.id}
+              id={`${listId}-${i}`}
+              role="option"
+              aria-selected={i === current}
+              style={{ ...styles.option, ...(i === current && styles.current) }}
+              // keep focus in the input so blur doesn't close the list first
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => pick(place)}
+            >
+              <span>{place.name}</span>
+              <span style={styles.detail}>{describe(place, t)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
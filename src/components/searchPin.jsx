@@ -0,0 +1,86 @@
+// SearchPin.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Html } from '@react-three/drei'
+import { useProjection } from '../utils/projection'
+
+const PIN_HEIGHT = 0.12
+const UP = new THREE.Vector3(0, 1, 0)
+
+const _pos = new THREE.Vector3()
+const _q = new THREE.Quaternion()
+const _toCamera = new THREE.Vector3()
+const _up = new THREE.Vector3()
+
+/**
+ * Temporary pin for a search result that isn't a catalog marker: a needle
+ * that grows out of the surface with the place name on top. The label hides
+ * while the pin is on the far side. Mount inside the planet group.
+ */
+export default function SearchPin({ place, radius = 2, color = '#ff4d6d', reducedMotion = false }) {
+  const groupRef = React.useRef()
+  const needleRef = React.useRef()
+  const labelRef = React.useRef()
+  const grown = React.useRef(reducedMotion ? 1 : 0.001)
+  const camera = useThree((s) => s.camera)
+  const invalidate = useThree((s) => s.invalidate)
+  const projection = useProjection()
+  const placed = React.useRef(null)
+
+  useFrame((_, dt) => {
+    const group = groupRef.current
+    if (!group) return
+
+    // stands on the surface, globe or flat map
+    const key = `${place.lat},${place.lon},${radius},${projection.version}`
+    if (placed.current !== key) {
+      placed.current = key
+      projection.point(place.lat, place.lon, radius, 0, group.position)
+      group.quaternion.setFromUnitVectors(UP, projection.up(place.lat, place.lon, _up))
+    }
+
+    if (grown.current < 0.999) {
+      grown.current = reducedMotion ? 1 : THREE.MathUtils.damp(grown.current, 1, 8, dt)
+      needleRef.current.scale.setScalar(grown.current)
+      invalidate() // keep growing under frameloop="demand"
+    }
+
+    // label only while the surface under the pin faces the camera
+    group.getWorldPosition(_pos)
+    _toCamera.copy(camera.position).sub(_pos).normalize()
+    _up.copy(UP).applyQuaternion(group.getWorldQuaternion(_q))
+    const facing = _up.dot(_toCamera) > 0.1
+    if (labelRef.current) labelRef.current.style.opacity = facing ? grown.current : 0
+  })
+
+  return (
+    <group ref={groupRef}>
+      <group ref={needleRef} scale={grown.current}>
+        <mesh position={[0, PIN_HEIGHT / 2, 0]} raycast={() => null}>
+          <cylinderGeometry args={[0.004, 0.004, PIN_HEIGHT, 6]} />
+          <meshBasicMaterial color={color} toneMapped={false} />
+        </mesh>
+        <mesh position={[0, PIN_HEIGHT, 0]} raycast={() => null}>
+          <sphereGeometry args={[0.018, 16, 12]} />
+          <meshBasicMaterial color={color} toneMapped={false} />
+        </mesh>
+      </group>
+
+      <Html position={[0, PIN_HEIGHT, 0]} style={{ pointerEvents: 'none' }}>
+        <div
+          ref={labelRef}
+          style={{
+            transform: 'translate(12px, -50%)', whiteSpace: 'nowrap', opacity: 0,
+            padding: '4px 8px', borderRadius: 6, background: 'rgba(0,0,0,0.7)',
+            borderLeft: `3px solid ${color}`, color: 'rgba(255,255,255,0.92)', fontSize: 13,
+            fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+          }}
+        >
+          {place.name}
+          {place.detail && <span style={{ marginLeft: 6, fontSize: 11, opacity: 0.6 }}>{place.detail}</span>}
+        </div>
+      </Html>
+    </group>
+  )
+}
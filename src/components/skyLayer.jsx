@@ -0,0 +1,210 @@
+// SkyLayer.jsx
+import * as React from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+
+import starsVertexShader from '../shaders/stars/vertex.glsl'
+import starsFragmentShader from '../shaders/stars/fragment.glsl'
+import milkyWayVertexShader from '../shaders/milkyWay/vertex.glsl'
+import milkyWayFragmentShader from '../shaders/milkyWay/fragment.glsl'
+import moonVertexShader from '../shaders/moon/vertex.glsl'
+import moonFragmentShader from '../shaders/moon/fragment.glsl'
+import { DEG2RAD, latLonToVec3 } from '../utils/geo'
+import { siderealTime, solarPosition } from '../utils/solar'
+import { lunarPosition } from '../utils/lunar'
+import { useProjection } from '../utils/projection'
+import {
+  DEFAULT_STARS,
+  GALACTIC_CENTER,
+  GALACTIC_POLE,
+  buildStarAttributes,
+  celestialToVec3,
+} from '../utils/starCatalog'
+
+// Scene units (the Earth has radius 2). Neither is to scale: the real Moon
+// would be a speck 120 units out.
+const SUN_DISTANCE = 60
+const SUN_SIZE = 9
+const MOON_DISTANCE = 16
+const MOON_RADIUS = 0.35
+
+function createGlowTexture(size = 128) {
+  const canvas = document.createElement('canvas')
+  canvas.width = canvas.height = size
+  const ctx = canvas.getContext('2d')
+  const g = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2)
+  g.addColorStop(0, 'rgba(255,255,255,1)')
+  g.addColorStop(0.06, 'rgba(255,250,235,1)')
+  g.addColorStop(0.1, 'rgba(255,236,190,0.6)')
+  g.addColorStop(0.3, 'rgba(255,205,140,0.15)')
+  g.addColorStop(1, 'rgba(255,190,120,0)')
+  ctx.fillStyle = g
+  ctx.fillRect(0, 0, size, size)
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.colorSpace = THREE.SRGBColorSpace
+  return texture
+}
+
+/**
+ * Space around the globe: catalog stars placed by RA/Dec, a procedural Milky
+ * Way band, a glowing sun sprite and a Moon whose phase comes from the same
+ * `sunDirection` that lights the Earth. Mount inside the planet group; the
+ * celestial sphere turns with sidereal time on top of the planet's spin.
+ * Each part can be switched off; the stars and the band cost one draw call
+ * each and sit on the far plane. Transparent exports leave the whole sky out.
+ */
+export default function SkyLayer({
+  timeController,
+  sunDirection,              // world space, shared with the earth shaders
+  stars = true,
+  milkyWay = true,
+  sun = true,
+  moon = true,
+  starsSrc = DEFAULT_STARS,
+  magLimit = 6,              // faintest star drawn
+  starSize = 1,
+  segments = 32,             // Moon sphere
+}) {
+  const invalidate = useThree((s) => s.invalidate)
+  const pixelRatio = useThree((s) => s.viewport.dpr)
+  const projection = useProjection()
+  const celestialRef = React.useRef()
+  const sunRef = React.useRef()
+  const moonRef = React.useRef()
+
+  // Star catalog, fetched only once stars are wanted
+  const [catalog, setCatalog] = React.useState(null)
+  React.useEffect(() => {
+    if (!stars || !starsSrc || catalog?.src === starsSrc) return
+    let cancelled = false
+    fetch(starsSrc)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`)
+        return res.json()
+      })
+      .then((data) => !cancelled && setCatalog({ src: starsSrc, data }))
+      .catch((err) => console.warn(`[sky] could not load ${starsSrc}`, err))
+    return () => {
+      cancelled = true
+    }
+  }, [stars, starsSrc, catalog])
+
+  const starGeometry = React.useMemo(() => {
+    if (!catalog) return null
+    try {
+      const { positions, colors, magnitudes } = buildStarAttributes(catalog.data, { magLimit })
+      const geometry = new THREE.BufferGeometry()
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+      geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3))
+      geometry.setAttribute('aMagnitude', new THREE.BufferAttribute(magnitudes, 1))
+      return geometry
+    } catch (err) {
+      console.warn('[sky]', err.message)
+      return null
+    }
+  }, [catalog, magLimit])
+  React.useEffect(() => {
+    invalidate()
+    return () => starGeometry?.dispose()
+  }, [starGeometry, invalidate])
+
+  const starUniforms = React.useMemo(
+    () => ({ uPixelRatio: { value: 1 }, uSize: { value: 1 }, uOpacity: { value: 1 } }),
+    []
+  )
+  starUniforms.uPixelRatio.value = pixelRatio
+  starUniforms.uSize.value = starSize
+
+  const milkyWayUniforms = React.useMemo(
+    () => ({
+      uGalacticPole: { value: celestialToVec3(GALACTIC_POLE) },
+      uGalacticCenter: { value: celestialToVec3(GALACTIC_CENTER) },
+      uColor: { value: new THREE.Color('#b8c6ff') },
+      uIntensity: { value: 0.1 },
+    }),
+    []
+  )
+
+  // the uniform holds the caller's vector, so it is current at draw time
+  const moonUniforms = React.useMemo(
+    () => ({ uSunDirection: { value: sunDirection }, uColor: { value: new THREE.Color('#d8d2c8') } }),
+    [sunDirection]
+  )
+
+  const glowTexture = React.useMemo(() => createGlowTexture(), [])
+  React.useEffect(() => () => glowTexture.dispose(), [glowTexture])
+
+  // Everything below is in the planet frame: sky objects stand over the
+  // point on Earth that has them at the zenith
+  // (the sun and Moon have no place next to a flat map)
+  useFrame(() => {
+    const date = timeController.now()
+    const globe = projection.flatness === 0
+    if (celestialRef.current) celestialRef.current.rotation.y = -siderealTime(date) * DEG2RAD
+    if (sunRef.current) {
+      sunRef.current.visible = globe
+      const { subsolarLat, subsolarLon } = solarPosition(date)
+      latLonToVec3(subsolarLat, subsolarLon, SUN_DISTANCE, 0, sunRef.current.position)
+    }
+    if (moonRef.current) {
+      moonRef.current.visible = globe
+      const { sublunarLat, sublunarLon } = lunarPosition(date)
+      latLonToVec3(sublunarLat, sublunarLon, MOON_DISTANCE, 0, moonRef.current.position)
+      // tidally locked: the same side always faces the Earth
+      moonRef.current.lookAt(0, 0, 0)
+    }
+  })
+
+  return (
+    <group userData={{ background: true }}>
+      <group ref={celestialRef}>
+        {milkyWay && (
+          <mesh renderOrder={-2} frustumCulled={false} raycast={() => null}>
+            <sphereGeometry args={[1, 48, 24]} />
+            <shaderMaterial
+              vertexShader={milkyWayVertexShader}
+              fragmentShader={milkyWayFragmentShader}
+              uniforms={milkyWayUniforms}
+              side={THREE.BackSide}
+              transparent
+              blending={THREE.AdditiveBlending}
+              depthWrite={false}
+            />
+          </mesh>
+        )}
+
+        {stars && starGeometry && (
+          <points geometry={starGeometry} renderOrder={-1} frustumCulled={false} raycast={() => null}>
+            <shaderMaterial
+              vertexShader={starsVertexShader}
+              fragmentShader={starsFragmentShader}
+              uniforms={starUniforms}
+              transparent
+              blending={THREE.AdditiveBlending}
+              depthWrite={false}
+            />
+          </points>
+        )}
+      </group>
+
+      {sun && (
+        <sprite ref={sunRef} scale={SUN_SIZE} raycast={() => null}>
+          <spriteMaterial
+            map={glowTexture}
+            color="#fff3dc"
+            blending={THREE.AdditiveBlending}
+            depthWrite={false}
+            toneMapped={false}
+          />
+        </sprite>
+      )}
+
+      {moon && (
+        <mesh ref={moonRef} raycast={() => null}>
+          <sphereGeometry args={[MOON_RADIUS, segments, segments / 2]} />
+          <shaderMaterial vertexShader={moonVertexShader} fragmentShader={moonFragmentShader} uniforms={moonUniforms} />
+        </mesh>
+      )}
+    </group>
+  )
+}
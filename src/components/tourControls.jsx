@@ -0,0 +1,89 @@
+// TourControls.jsx
+import * as React from 'react'
+import { useI18n } from '../utils/i18n'
+
+const isTyping = (el) =>
+  el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName))
+
+/**
+ * Caption panel + transport for a tour (see utils/tourEngine). `tour` is the
+ * engine's state snapshot: { status, index, step, loop, length }. A step
+ * without a caption shows its marker's description.
+ *
+ * Keys while a tour is open: Space play/pause, ←/→ previous/next (mirrored
+ * right-to-left), L loop, Esc close.
+ */
+export default function TourControls({ tour, onToggle, onPrev, onNext, onLoopChange, onClose }) {
+  const { t, dir } = useI18n()
+  const open = tour.status !== 'idle'
+
+  const handlers = React.useRef({})
+  handlers.current = { onToggle, onPrev, onNext, onLoopChange, onClose, loop: tour.loop, rtl: dir === 'rtl' }
+
+  React.useEffect(() => {
+    if (!open) return
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTyping(e.target)) return
+      const h = handlers.current
+      const action = {
+        ' ': h.onToggle,
+        ArrowRight: h.rtl ? h.onPrev : h.onNext,
+        ArrowLeft: h.rtl ? h.onNext : h.onPrev,
+        Escape: h.onClose,
+        l: () => h.onLoopChange?.(!h.loop),
+        L: () => h.onLoopChange?.(!h.loop),
+      }[e.key]
+      if (!action) return
+      e.preventDefault()
+      action()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [open])
+
+  if (!open || !tour.step) return null
+
+  const { step } = tour
+  // steps without their own caption show the (localized) marker description
+  const caption = step.caption ?? step.marker.description
+  const playing = tour.status === 'playing'
+
+  const styles = {
+    panel: {
+      position: 'absolute', left: '50%', bottom: 24, transform: 'translateX(-50%)',
+      width: 'min(560px, calc(100% - 32px))', boxSizing: 'border-box',
+      padding: '12px 16px', borderRadius: 10, background: 'rgba(0,0,0,0.7)',
+      color: 'rgba(255,255,255,0.92)', fontSize: 14, lineHeight: 1.5,
+      fontFamily: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+    },
+    title: { fontSize: 16, fontWeight: 600 },
+    caption: { margin: '4px 0 10px', opacity: 0.85 },
+    row: { display: 'flex', alignItems: 'center', gap: 8 },
+    counter: { marginInlineStart: 'auto', fontSize: 12, opacity: 0.6 },
+    button: {
+      padding: '3px 10px', borderRadius: 4, fontSize: 12, font: 'inherit',
+      border: '1px solid rgba(255,255,255,0.3)', background: 'transparent', color: 'inherit', cursor: 'pointer',
+    },
+  }
+
+  return (
+    <div style={styles.panel} role="region" aria-label={t('tour.label')}>
+      <div style={styles.title}>{step.marker.name}</div>
+      {caption && <p style={styles.caption}>{caption}</p>}
+
+      <div style={styles.row}>
+        <button type="button" style={styles.button} onClick={onPrev} aria-label={t('tour.prev')}>‹</button>
+        <button type="button" style={styles.button} onClick={onToggle}>{playing ? t('tour.pause') : t('tour.play')}</button>
+        <button type="button" style={styles.button} onClick={onNext} aria-label={t('tour.next')}>›</button>
+        <label style={{ ...styles.row, gap: 4, fontSize: 12 }}>
+          <input type="checkbox" checked={tour.loop} onChange={(e) => onLoopChange?.(e.target.checked)} />
+          {t('tour.loop')}
+        </label>
+        <span style={styles.counter}>
+          {tour.index + 1} / {tour.length}{tour.status === 'ended' ? ` · ${t('tour.end')}` : ''}
+        </span>
+        <button type="button" style={styles.button} onClick={onClose} aria-label={t('tour.close')}>✕</button>
+      </div>
+    </div>
+  )
+}
@@ -1,7 +1,7 @@
 // WonderCallout.jsx
 import * as React from 'react'
 import * as THREE from 'three'
-import { useFrame } from '@react-three/fiber'
+import { useFrame, useThree } from '@react-three/fiber'
 import {
   Billboard,
   Text,
@@ -9,17 +9,15 @@ import {
   Image as DreiImage,
   useCursor
 } from '@react-three/drei'
+import ErrorBoundary from './errorBoundary'
+import { useI18n } from '../utils/i18n'
+import { useLabelLayoutEntry } from '../utils/labelLayout'
+import { useProjection } from '../utils/projection'
 
-const DEG2RAD = Math.PI / 180
-function latLonToVec3(lat, lon, radius, altitude = 0) {
-  const r = radius + altitude
-  const phi = (90 - lat) * DEG2RAD
-  const theta = (lon + 180) * DEG2RAD
-  const x = -r * Math.sin(phi) * Math.cos(theta)
-  const z =  r * Math.sin(phi) * Math.sin(theta)
-  const y =  r * Math.cos(phi)
-  return new THREE.Vector3(x, y, z)
-}
+const _q = new THREE.Quaternion()
+const _end = new THREE.Vector3()
+const _right = new THREE.Vector3()
+const _up = new THREE.Vector3()
 
 /* Centered rounded-rect Shape (w,h are full size) */
 function makeRoundedRectShape(w, h, r) {
@@ -40,6 +38,7 @@ function makeRoundedRectShape(w, h, r) {
 }
 
 export default function WonderCallout({
+  id,
   name,
   imageSrc,
   lat, lon,
@@ -50,15 +49,34 @@ export default function WonderCallout({
   color = '#e8faff',
   lineColor = '#00e5ff',
   boxOpacity = 0.65,
-  cornerRadius = 0.08
+  cornerRadius = 0.08,
+  priority = 0,          // wins overlaps in <LabelLayout>
+  // controlled open state (selection); hover still opens the card too
+  active = false,
+  reducedMotion = false,
+  onHoverChange,
+  onClick,
 }) {
-  const id = React.useMemo(() => `[Callout:${name}]`, [name])
+  const layoutEntry = useLabelLayoutEntry(id ?? name)
+  const { locale, dir: textDirection, unicodeFontsUrl } = useI18n()
+  const projection = useProjection()
 
-  /** Anchors **/
-  const surface = React.useMemo(() => latLonToVec3(lat, lon, radius, dotOffset), [lat, lon, radius, dotOffset])
-  const dir = React.useMemo(() => surface.clone().normalize(), [surface])
-  const labelPos = React.useMemo(() => dir.clone().multiplyScalar(radius + labelDistance), [dir, radius, labelDistance])
-  const ctrl = React.useMemo(() => dir.clone().multiplyScalar(radius + labelDistance * (0.5 + bow)), [dir, radius, labelDistance, bow])
+  /** Anchors: pin, card and bezier control point along the local "up",
+   *  re-placed in place while the projection morphs (globe ↔ flat map) **/
+  const anchors = React.useMemo(() => {
+    const a = { surface: new THREE.Vector3(), dir: new THREE.Vector3(), labelPos: new THREE.Vector3(), ctrl: new THREE.Vector3() }
+    a.place = () => {
+      projection.point(lat, lon, radius, dotOffset, a.surface)
+      projection.up(lat, lon, a.dir)
+      a.labelPos.copy(a.surface).addScaledVector(a.dir, labelDistance - dotOffset)
+      a.ctrl.copy(a.surface).addScaledVector(a.dir, labelDistance * (0.5 + bow) - dotOffset)
+      a.version = projection.version
+    }
+    a.place()
+    return a
+  }, [projection, lat, lon, radius, dotOffset, labelDistance, bow])
+  const { surface, dir, labelPos, ctrl } = anchors
+  const linesStale = React.useRef(false)
 
   /** Text metrics **/
   const [baseSize, setBaseSize] = React.useState([0.6, 0.26]) // [w,h] of the TEXT block
@@ -76,8 +94,16 @@ export default function WonderCallout({
   /** Hover **/
   const [hovered, setHovered] = React.useState(false)
   useCursor(hovered, 'pointer')
-  const onEnter = (e) => { e.stopPropagation(); setHovered(true) }
-  const onLeave = (e) => { e.stopPropagation(); setHovered(false) }
+  const hidden = React.useRef(false) // faded out by LabelLayout: let events fall through
+  const onEnter = (e) => { if (hidden.current) return; e.stopPropagation(); setHovered(true); onHoverChange?.(true) }
+  const onLeave = (e) => { if (!hovered) return; e.stopPropagation(); setHovered(false); onHoverChange?.(false) }
+  const onCardClick = (e) => {
+    if (hidden.current) return
+    e.stopPropagation()
+    if (e.delta > 4) return // drag ended over the card, not a click
+    onClick?.(e)
+  }
+  const expanded = hovered || active
 
   /** Animated values **/
   const open = React.useRef(0)
@@ -85,6 +111,9 @@ export default function WonderCallout({
   const imgScale = React.useRef(0)           // NEW: image scale 0→1
   const titleScale = React.useRef(1)
   const lineOpacity = React.useRef(0.9)
+  const visibility = React.useRef(1)        // LabelLayout fade (horizon / overlap)
+  const offset = React.useRef([0, 0])
+  const [badge, setBadge] = React.useState(0)
 
   /** Image layout **/
   const [imgAspect, setImgAspect] = React.useState(16 / 9)
@@ -139,6 +168,30 @@ const bgShape = React.useMemo(
   const pinMatRef = React.useRef()
   const titleGroupRef = React.useRef()
   const imgAnchorRef = React.useRef() // NEW: top-middle anchor group
+  const rootRef = React.useRef()
+  const cardRef = React.useRef()
+  const bgMatRef = React.useRef()
+  const textRef = React.useRef()
+  const pinRef = React.useRef()
+  const billboardRef = React.useRef()
+
+  /** Layout registration (see LabelLayout) **/
+  if (layoutEntry) {
+    const entry = layoutEntry.current
+    entry.priority = expanded ? Infinity : priority
+    entry.measure = (out) => {
+      const root = rootRef.current
+      const bg = bgMeshRef.current
+      if (!root || !bg) return false
+      out.anchor.copy(surface).applyMatrix4(root.matrixWorld)
+      out.card.copy(labelPos).applyMatrix4(root.matrixWorld)
+      out.normal.copy(dir).transformDirection(root.matrixWorld)
+      out.w = bgBaseW * bg.scale.x
+      out.h = bgBaseH * bg.scale.y
+      out.dy = bg.position.y
+      return true
+    }
+  }
 
   /** Init state **/
   React.useEffect(() => {
@@ -159,16 +212,64 @@ const bgShape = React.useMemo(
     }
   }, [imgYFixed])
 
+  // hover/selection changes need a frame even with frameloop="demand"
+  const invalidate = useThree((s) => s.invalidate)
+  React.useEffect(() => invalidate(), [expanded, invalidate])
+
   /** Animate **/
-  useFrame((_, dt) => {
-    const targetOpen = hovered ? 1 : 0
-    open.current = THREE.MathUtils.damp(open.current, targetOpen, 6, dt)
+  useFrame(({ camera }, dt) => {
+    // reduced motion: jump straight to the targets
+    const damp = reducedMotion ? (_, target) => target : THREE.MathUtils.damp
+
+    // Projection morph: the layout measures the new anchors this frame
+    if (anchors.version !== projection.version) {
+      anchors.place()
+      pinRef.current?.position.copy(surface)
+      billboardRef.current?.position.copy(labelPos)
+      linesStale.current = true
+    }
+
+    // Layout: fade, displacement, collapse badge
+    const layout = layoutEntry?.current.layout
+    const targetVis = layout ? layout.visible : 1
+    visibility.current = damp(visibility.current, targetVis, 8, dt)
+    const vis = visibility.current
+    hidden.current = vis < 0.5
+    if (rootRef.current) rootRef.current.visible = vis > 0.01
+    if (layout && layout.badge !== badge) setBadge(layout.badge)
+    // faded out: nothing to animate until the layout brings the card back
+    if (targetVis === 0 && vis <= 0.01) return
+
+    const [tx, ty] = layout ? layout.offset : [0, 0]
+    const [ox, oy] = offset.current
+    const moving = ox !== tx || oy !== ty
+    if (moving) {
+      let nx = damp(ox, tx, 8, dt)
+      let ny = damp(oy, ty, 8, dt)
+      if (Math.abs(nx - tx) < 1e-4 && Math.abs(ny - ty) < 1e-4) [nx, ny] = [tx, ty]
+      offset.current = [nx, ny]
+      cardRef.current?.position.set(nx, ny, 0)
+    }
+    // keep the leader line attached: billboard x/y are camera right/up, so a
+    // displaced card also moves whenever the camera or the planet turns
+    const [cx, cy] = offset.current
+    if ((moving || cx !== 0 || cy !== 0 || linesStale.current) && lineRef.current?.setPoints && rootRef.current) {
+      const toLocal = rootRef.current.getWorldQuaternion(_q).invert()
+      _end.copy(labelPos)
+        .add(_right.set(1, 0, 0).applyQuaternion(camera.quaternion).applyQuaternion(toLocal).multiplyScalar(cx))
+        .add(_up.set(0, 1, 0).applyQuaternion(camera.quaternion).applyQuaternion(toLocal).multiplyScalar(cy))
+      lineRef.current.setPoints(surface, _end, ctrl)
+      linesStale.current = false
+    }
+
+    const targetOpen = expanded ? 1 : 0
+    open.current = damp(open.current, targetOpen, 6, dt)
 
     // Image fade + scale (from top-middle)
-    imgOpacity.current = THREE.MathUtils.damp(imgOpacity.current, open.current, 10, dt)
-    imgScale.current = THREE.MathUtils.damp(imgScale.current, open.current, 10, dt)
+    imgOpacity.current = damp(imgOpacity.current, open.current, 10, dt)
+    imgScale.current = damp(imgScale.current, open.current, 10, dt)
     if (imgRef.current?.material) {
-      imgRef.current.material.opacity = imgOpacity.current
+      imgRef.current.material.opacity = imgOpacity.current * vis
       imgRef.current.material.transparent = true
     }
     if (imgAnchorRef.current) {
@@ -177,8 +278,8 @@ const bgShape = React.useMemo(
     }
 
     // Title scale
-    const targetScale = hovered ? 1.22 : 1
-    titleScale.current = THREE.MathUtils.damp(titleScale.current, targetScale, 8, dt)
+    const targetScale = expanded ? 1.22 : 1
+    titleScale.current = damp(titleScale.current, targetScale, 8, dt)
     if (titleGroupRef.current) {
       titleGroupRef.current.scale.setScalar(titleScale.current)
     }
@@ -187,29 +288,49 @@ const bgShape = React.useMemo(
     // Background grows downward only
 	if (bgMeshRef.current) {
 	// --- vertical growth (what you already had) ---
-	const extraH = (imgH + gapY + bgPadBottom) * open.current
+	const extraH = imageSrc ? (imgH + gapY + bgPadBottom) * open.current : 0
 	const scaleY = (bgBaseH + extraH) / bgBaseH
-	bgMeshRef.current.scale.y = THREE.MathUtils.damp(bgMeshRef.current.scale.y || 1, scaleY, 10, dt)
-	bgMeshRef.current.position.y = THREE.MathUtils.damp(bgMeshRef.current.position.y || 0, -(extraH / 2), 10, dt) // keep top anchored
+	bgMeshRef.current.scale.y = damp(bgMeshRef.current.scale.y || 1, scaleY, 10, dt)
+	bgMeshRef.current.position.y = damp(bgMeshRef.current.position.y || 0, -(extraH / 2), 10, dt) // keep top anchored
 
 	// --- NEW: horizontal growth to fit the image width + side padding ---
-	const neededW = Math.max(bgBaseW, imgW + bgPadX * 2)         // how wide we need when image is visible
+	const neededW = imageSrc ? Math.max(bgBaseW, imgW + bgPadX * 2) : bgBaseW         // how wide we need when image is visible
 	const widenedW = THREE.MathUtils.lerp(bgBaseW, neededW, open.current)
 	const scaleX = widenedW / bgBaseW
-	bgMeshRef.current.scale.x = THREE.MathUtils.damp(bgMeshRef.current.scale.x || 1, scaleX, 10, dt)
+	bgMeshRef.current.scale.x = damp(bgMeshRef.current.scale.x || 1, scaleX, 10, dt)
 	// (center stays the same, so no X shift needed)
 	}
 
 
     // Leader line & pin fade
-    const targetLineOpacity = hovered ? 0.45 : 0.9
-    lineOpacity.current = THREE.MathUtils.damp(lineOpacity.current, targetLineOpacity, 8, dt)
-    if (lineRef.current?.material) lineRef.current.material.opacity = lineOpacity.current
-    if (pinMatRef.current) pinMatRef.current.opacity = lineOpacity.current
+    const targetLineOpacity = expanded ? 0.45 : 0.9
+    lineOpacity.current = damp(lineOpacity.current, targetLineOpacity, 8, dt)
+    if (lineRef.current?.material) lineRef.current.material.opacity = lineOpacity.current * vis
+    if (pinMatRef.current) pinMatRef.current.opacity = lineOpacity.current * vis
+    if (bgMatRef.current) bgMatRef.current.opacity = boxOpacity * vis
+    if (textRef.current) {
+      textRef.current.fillOpacity = vis
+      textRef.current.outlineOpacity = vis
+    }
+
+    // still settling: ask for another frame (no-op with the default frameloop)
+    if (
+      Math.abs(vis - targetVis) > 1e-3 ||
+      Math.abs(open.current - targetOpen) > 1e-3 ||
+      Math.abs(titleScale.current - targetScale) > 1e-3 ||
+      offset.current[0] !== tx || offset.current[1] !== ty
+    ) invalidate()
   })
 
+  const imagePlaceholder = (
+    <mesh ref={imgRef} scale={[imgW, imgH, 1]}>
+      <planeGeometry />
+      <meshBasicMaterial color="#1a2430" transparent toneMapped={false} />
+    </mesh>
+  )
+
   return (
-    <group>
+    <group ref={rootRef}>
       {/* Leader line */}
       <QuadraticBezierLine
         ref={lineRef}
@@ -226,65 +347,97 @@ const bgShape = React.useMemo(
       />
 
       {/* Surface pin */}
-      <mesh position={surface} renderOrder={4}>
+      <mesh ref={pinRef} position={surface} renderOrder={4}>
         <sphereGeometry args={[0.02, 16, 16]} />
         <meshBasicMaterial ref={pinMatRef} color={lineColor} transparent opacity={0.9} depthTest />
       </mesh>
 
       {/* Card */}
       <Billboard
+        ref={billboardRef}
         position={labelPos}
         follow
         onPointerOver={onEnter}
         onPointerOut={onLeave}
+        onClick={onCardClick}
       >
-
-        {/* Rounded background with padding (occluded by globe) */}
-        <mesh ref={bgMeshRef} position={[0, 0, -0.004]} renderOrder={5}>
-          <shapeGeometry args={[bgShape]} />
-          <meshBasicMaterial
-            color="black"
-            transparent
-            opacity={boxOpacity}
-            depthTest
-            depthWrite
-          />
-        </mesh>
-
-        {/* Title */}
-        <group ref={titleGroupRef}>
-          <Text
-            onSync={onTextSync}
-            fontSize={0.12}
-            anchorX="center"
-            anchorY="middle"
-            color={color}
-            outlineWidth={0.008}
-            outlineColor="black"
-            maxWidth={Math.max(1.2, baseSize[0] - 0.2)}
-            lineHeight={1.1}
-            renderOrder={8}
-            depthTest
-            depthOffset={-0.002}
-          >
-            {name}
-          </Text>
-        </group>
-
-        {/* Image: fixed position; fade + scale from top-middle */}
-        {/* Anchor group at the IMAGE'S TOP EDGE (transform origin) */}
-        <group ref={imgAnchorRef} position={[0, imageTopY, -0.003]} renderOrder={6}>
-          {/* The image itself sits half its height below the anchor */}
-          <group position={[0, -imgH / 2, 0]}>
-            <DreiImage
-              ref={imgRef}
-              url={imageSrc}
+        {/* offset by LabelLayout when displaced */}
+        <group ref={cardRef}>
+          {/* Rounded background with padding (occluded by globe) */}
+          <mesh ref={bgMeshRef} position={[0, 0, -0.004]} renderOrder={5}>
+            <shapeGeometry args={[bgShape]} />
+            <meshBasicMaterial
+              ref={bgMatRef}
+              color="black"
               transparent
-              toneMapped={false}
-              radius={0.06}
-              scale={[imgW, imgH, 1]}
+              opacity={boxOpacity}
+              depthTest
+              depthWrite
             />
+          </mesh>
+
+          {/* Title; troika fetches fallback glyphs (Arabic, Devanagari, CJK…)
+              from unicodeFontsUrl and lays out right-to-left scripts */}
+          <group ref={titleGroupRef}>
+            <Text
+              ref={textRef}
+              onSync={onTextSync}
+              fontSize={0.12}
+              anchorX="center"
+              anchorY="middle"
+              color={color}
+              outlineWidth={0.008}
+              outlineColor="black"
+              maxWidth={Math.max(1.2, baseSize[0] - 0.2)}
+              lineHeight={1.1}
+              renderOrder={8}
+              depthTest
+              depthOffset={-0.002}
+              lang={locale}
+              direction={textDirection}
+              textAlign={textDirection === 'rtl' ? 'right' : 'left'}
+              unicodeFontsURL={unicodeFontsUrl}
+            >
+              {name}
+            </Text>
           </group>
+
+          {/* Image: fixed position; fade + scale from top-middle */}
+          {/* Anchor group at the IMAGE'S TOP EDGE (transform origin) */}
+          {imageSrc && <group ref={imgAnchorRef} position={[0, imageTopY, -0.003]} renderOrder={6}>
+            {/* The image itself sits half its height below the anchor */}
+            <group position={[0, -imgH / 2, 0]}>
+              {/* a missing or still-loading photo shouldn't take the whole label down */}
+              <ErrorBoundary fallback={imagePlaceholder}>
+                <React.Suspense fallback={imagePlaceholder}>
+                  <DreiImage
+                    ref={imgRef}
+                    url={imageSrc}
+                    transparent
+                    toneMapped={false}
+                    radius={0.06}
+                    scale={[imgW, imgH, 1]}
+                  />
+                </React.Suspense>
+              </ErrorBoundary>
+            </group>
+          </group>}
+
+          {/* "+n" when LabelLayout collapsed overlapping cards into this one */}
+          {badge > 0 && (
+            <Text
+              position={[bgBaseW / 2, bgBaseH / 2, 0.002]}
+              fontSize={0.08}
+              anchorX="center"
+              anchorY="middle"
+              color={lineColor}
+              outlineWidth={0.006}
+              outlineColor="black"
+              renderOrder={9}
+            >
+              {`+${badge}`}
+            </Text>
+          )}
         </group>
       </Billboard>
     </group>
@@ -0,0 +1,110 @@
+import { useEffect, useMemo, useRef } from "react";
+import { COMMANDS, PROTOCOL_VERSION, createMessage, isProtocolMessage } from "./protocol";
+
+// Hosts allowed to drive the globe. Mirrors the frame-ancestors list in
+// vercel.json; extend with VITE_EMBED_ORIGINS="https://a.com,https://b.com".
+const DEFAULT_ALLOWED_ORIGINS = ["http://localhost:3000"];
+
+export function getAllowedOrigins() {
+  const extra = (import.meta.env?.VITE_EMBED_ORIGINS ?? "")
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean);
+  return [...new Set([window.location.origin, ...DEFAULT_ALLOWED_ORIGINS, ...extra])];
+}
+
+export function isEmbedded() {
+  try {
+    return window.parent !== window;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Globe (iframe) side of the protocol.
+ * `handlers` maps command names to functions returning a result (or a promise);
+ * throwing reports `{ ok: false, error }` back to the host.
+ */
+export function createEmbedBridge({ handlers, allowedOrigins = getAllowedOrigins(), target = window.parent }) {
+  const allowed = new Set(allowedOrigins);
+
+  const post = (msg, origin) => {
+    try {
+      target.postMessage(msg, origin);
+    } catch (err) {
+      console.warn("[embed] postMessage failed", err);
+    }
+  };
+
+  // Events go to every allow-listed origin; the browser only delivers the one
+  // matching the actual parent, so nothing leaks to other origins.
+  const emit = (name, payload) => {
+    const msg = createMessage("event", name, payload);
+    for (const origin of allowed) post(msg, origin);
+  };
+
+  const onMessage = async (e) => {
+    if (e.source !== target || !allowed.has(e.origin)) return;
+    const msg = e.data;
+    if (!isProtocolMessage(msg) || msg.kind !== "command") return;
+
+    const reply = (payload) => post(createMessage("response", msg.name, payload, msg.id), e.origin);
+
+    if (msg.version !== PROTOCOL_VERSION) {
+      reply({ ok: false, error: `unsupported protocol version ${msg.version} (expected ${PROTOCOL_VERSION})` });
+      return;
+    }
+    const handler = COMMANDS.includes(msg.name) ? handlers[msg.name] : null;
+    if (!handler) {
+      reply({ ok: false, error: `unknown command "${msg.name}"` });
+      return;
+    }
+
+    try {
+      const result = await handler(msg.payload ?? {});
+      reply({ ok: true, result });
+    } catch (err) {
+      reply({ ok: false, error: err?.message ?? String(err) });
+    }
+  };
+
+  window.addEventListener("message", onMessage);
+
+  return {
+    emit,
+    dispose: () => window.removeEventListener("message", onMessage),
+  };
+}
+
+/**
+ * React wrapper: listens only when actually iframed and returns a stable
+ * `emit(name, payload)` (a no-op on the top-level page).
+ */
+export function useEmbedBridge(handlers) {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  const bridgeRef = useRef(null);
+  useEffect(() => {
+    if (!isEmbedded()) return;
+    // proxy so commands always reach the latest handlers
+    const proxy = Object.fromEntries(
+      COMMANDS.map((name) => [name, (payload) => {
+        const fn = handlersRef.current[name];
+        if (!fn) throw new Error(`command "${name}" is not available`);
+        return fn(payload);
+      }])
+    );
+    const bridge = createEmbedBridge({ handlers: proxy });
+    bridgeRef.current = bridge;
+    return () => {
+      bridge.dispose();
+      bridgeRef.current = null;
+    };
+  }, []);
+
+  return useMemo(() => (name, payload) => bridgeRef.current?.emit(name, payload), []);
+}
@@ -0,0 +1,118 @@
+// Host-page helper for driving an embedded globe.
+//
+//   import { connectGlobe } from './embed/host'
+//   const globe = connectGlobe(iframe, { origin: 'https://globe.example.com' })
+//   await globe.ready
+//   globe.on('markerClick', ({ id }) => ...)
+//   await globe.flyTo(41.89, 12.49)
+//
+// No React / three imports so it can be copied into any dashboard bundle.
+
+import { PROTOCOL_VERSION, createMessage, isProtocolMessage } from "./protocol";
+
+export function connectGlobe(iframe, { origin, timeout = 10000 } = {}) {
+  if (!origin) throw new Error("connectGlobe: `origin` of the embedded globe is required");
+
+  const listeners = new Map(); // event name → Set<fn>
+  const pending = new Map(); // command id → { resolve, reject, timer }
+  let nextId = 1;
+  let isReady = false;
+  let resolveReady;
+  const ready = new Promise((resolve) => (resolveReady = resolve));
+
+  const markReady = (payload) => {
+    if (isReady) return;
+    isReady = true;
+    resolveReady(payload);
+  };
+
+  const dispatch = (name, payload) => {
+    listeners.get(name)?.forEach((fn) => fn(payload));
+    listeners.get("*")?.forEach((fn) => fn(name, payload));
+  };
+
+  const onMessage = (e) => {
+    if (e.source !== iframe.contentWindow || e.origin !== origin) return;
+    const msg = e.data;
+    if (!isProtocolMessage(msg)) return;
+
+    if (msg.kind === "event") {
+      if (msg.name === "ready") markReady(msg.payload);
+      dispatch(msg.name, msg.payload);
+    } else if (msg.kind === "response" && pending.has(msg.id)) {
+      const { resolve, reject, timer } = pending.get(msg.id);
+      clearTimeout(timer);
+      pending.delete(msg.id);
+      if (msg.payload?.ok) resolve(msg.payload.result);
+      else reject(new Error(msg.payload?.error ?? "command failed"));
+    }
+  };
+  window.addEventListener("message", onMessage);
+
+  const send = (name, payload = {}) =>
+    new Promise((resolve, reject) => {
+      const target = iframe.contentWindow;
+      if (!target) {
+        reject(new Error("globe iframe is not attached"));
+        return;
+      }
+      const id = nextId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`command "${name}" timed out`));
+      }, timeout);
+      pending.set(id, { resolve, reject, timer });
+      target.postMessage(createMessage("command", name, payload, id), origin);
+    });
+
+  // Catch up if the globe finished loading before we started listening
+  const probe = () =>
+    send("ping")
+      .then((res) => res?.ready && markReady(res))
+      .catch(() => {});
+  iframe.addEventListener("load", probe);
+  probe();
+
+  return {
+    version: PROTOCOL_VERSION,
+    ready,
+    get isReady() {
+      return isReady;
+    },
+
+    /** Subscribe to an event ('*' receives (name, payload)); returns unsubscribe */
+    on(name, fn) {
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(fn);
+      return () => listeners.get(name)?.delete(fn);
+    },
+    off(name, fn) {
+      listeners.get(name)?.delete(fn);
+    },
+
+    send,
+    flyTo: (lat, lon, options = {}) => send("flyTo", { lat, lon, ...options }),
+    selectMarker: (id) => send("selectMarker", { id }),
+    setMarkers: (markers) => send("setMarkers", { markers }),
+    setTime: (time) => send("setTime", { time }),
+    setAutoRotate: (enabled) => send("setAutoRotate", { enabled }),
+    setTheme: (theme) => send("setTheme", { theme }),
+    setProjection: (projection) => send("setProjection", { projection }),
+    setLocale: (locale) => send("setLocale", { locale }),
+    resetView: () => send("resetView"),
+    setOverlay: (overlay) => send("setOverlay", { overlay }),
+    openPanel: (id) => send("openPanel", { id }),
+    closePanel: () => send("closePanel"),
+
+    destroy() {
+      window.removeEventListener("message", onMessage);
+      iframe.removeEventListener("load", probe);
+      for (const { reject, timer } of pending.values()) {
+        clearTimeout(timer);
+        reject(new Error("globe connection destroyed"));
+      }
+      pending.clear();
+      listeners.clear();
+    },
+  };
+}
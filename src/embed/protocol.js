@@ -0,0 +1,59 @@
+// Wire format shared by the embedded globe (bridge.js) and host pages (host.js).
+//
+//   { protocol: 'earth-diagram', version: 1, kind, name, id?, payload }
+//
+//   kind 'command'  host → globe, `id` is echoed back in the response
+//   kind 'response' globe → host, payload = { ok, result? , error? }
+//   kind 'event'    globe → host, fire-and-forget
+//
+// Bump PROTOCOL_VERSION on breaking changes; a globe only accepts commands
+// from hosts speaking the same major version.
+
+export const PROTOCOL = "earth-diagram";
+export const PROTOCOL_VERSION = 1;
+
+export const COMMANDS = [
+  "ping",
+  "flyTo",
+  "selectMarker",
+  "setMarkers",
+  "setTime",
+  "setAutoRotate",
+  "setTheme",
+  "setProjection",
+  "setLocale",
+  "resetView",
+  "setOverlay",
+  "openPanel",
+  "closePanel",
+];
+
+export const EVENTS = [
+  "ready",
+  "loadProgress",
+  "loadError",
+  "markerHover",
+  "markerClick",
+  "globeClick",
+  "globeHover",
+  "regionHover",
+  "panelOpen",
+  "panelClose",
+  "searchSelect",
+];
+
+export function createMessage(kind, name, payload, id) {
+  const msg = { protocol: PROTOCOL, version: PROTOCOL_VERSION, kind, name, payload };
+  if (id != null) msg.id = id;
+  return msg;
+}
+
+export function isProtocolMessage(data) {
+  return (
+    data != null &&
+    typeof data === "object" &&
+    data.protocol === PROTOCOL &&
+    typeof data.kind === "string" &&
+    typeof data.name === "string"
+  );
+}
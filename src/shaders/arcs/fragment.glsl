@@ -0,0 +1,45 @@
+uniform float uTime;
+uniform float uProgress;
+uniform float uStagger;
+uniform float uDashSize;
+uniform float uGapSize;
+uniform float uFlowSpeed;
+uniform float uOpacity;
+uniform float uHoverArc;
+
+varying float vT;
+varying float vLength;
+varying float vArc;
+varying float vDelay;
+varying vec3 vColor;
+
+void main()
+{
+    // Progress reveal (arcs start one after another when staggered)
+    float progress = clamp(uProgress * (1.0 + uStagger) - vDelay * uStagger, 0.0, 1.0);
+    if(vT > progress)
+        discard;
+
+    // Dash flow along the arc, in world units so dashes match across arcs
+    float alpha = 1.0;
+    if(uDashSize > 0.0)
+    {
+        float period = uDashSize + uGapSize;
+        float along = mod(vT * vLength - uTime * uFlowSpeed, period);
+        alpha = smoothstep(0.0, 0.01, along) * (1.0 - smoothstep(uDashSize - 0.01, uDashSize, along));
+        alpha = max(alpha, 0.2);
+    }
+
+    // Bright head while revealing
+    float head = progress < 1.0 ? smoothstep(progress - 0.05, progress, vT) : 0.0;
+
+    // Hovered arc
+    float hovered = 1.0 - step(0.5, abs(vArc - uHoverArc));
+
+    vec3 color = mix(vColor, vec3(1.0), max(head, hovered * 0.5));
+
+    // Final color
+    gl_FragColor = vec4(color, alpha * uOpacity);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
@@ -0,0 +1,46 @@
+uniform vec2 uResolution;
+uniform float uWidth;
+
+attribute vec3 aPrev;
+attribute vec3 aNext;
+attribute float aSide;
+attribute float aT;
+attribute float aLength;
+attribute float aArc;
+attribute float aDelay;
+attribute vec3 aColor;
+
+varying float vT;
+varying float vLength;
+varying float vArc;
+varying float vDelay;
+varying vec3 vColor;
+
+vec2 toScreen(vec4 clip, vec2 aspect)
+{
+    return clip.xy / clip.w * aspect;
+}
+
+void main()
+{
+    mat4 mvp = projectionMatrix * modelViewMatrix;
+    vec4 clip = mvp * vec4(position, 1.0);
+    vec4 prevClip = mvp * vec4(aPrev, 1.0);
+    vec4 nextClip = mvp * vec4(aNext, 1.0);
+
+    // Expand the ribbon sideways in screen space so width is in pixels
+    vec2 aspect = vec2(uResolution.x / uResolution.y, 1.0);
+    vec2 dir = toScreen(nextClip, aspect) - toScreen(prevClip, aspect);
+    dir = length(dir) > 0.0 ? normalize(dir) : vec2(1.0, 0.0);
+    vec2 normal = vec2(- dir.y, dir.x) / aspect;
+    clip.xy += normal * aSide * uWidth / uResolution.y * clip.w;
+
+    gl_Position = clip;
+
+    // Varyings
+    vT = aT;
+    vLength = aLength;
+    vArc = aArc;
+    vDelay = aDelay;
+    vColor = aColor;
+}
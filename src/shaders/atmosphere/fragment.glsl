@@ -1,6 +1,7 @@
 uniform vec3 uSunDirection;
 uniform vec3 uAtmosphereDayColor;
 uniform vec3 uAtmosphereTwilightColor;
+uniform float uOpacity;
 
 varying vec3 vNormal;
 varying vec3 vPosition;
@@ -26,7 +27,7 @@ void main()
 
     float dayAlpha = smoothstep(- 0.5, 0.0, sunOrientation);
 
-    float alpha = edgeAlpha * dayAlpha;
+    float alpha = edgeAlpha * dayAlpha * uOpacity;
 
     // Final color
     gl_FragColor = vec4(color, alpha);
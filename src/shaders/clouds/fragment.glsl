@@ -0,0 +1,33 @@
+uniform sampler2D uSpecularCloudsTexture;
+uniform vec3 uSunDirection;
+uniform vec3 uAtmosphereTwilightColor;
+uniform float uOpacity;
+
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vPosition;
+
+void main()
+{
+    vec3 normal = normalize(vNormal);
+
+    // Cloud density (green channel)
+    float density = smoothstep(0.5, 1.0, texture(uSpecularCloudsTexture, vUv).g);
+
+    // Sun orientation
+    float sunOrientation = dot(uSunDirection, normal);
+    float dayMix = smoothstep(- 0.25, 0.5, sunOrientation);
+
+    // Lit white by day, tinted around the terminator, faint grey at night
+    float twilightMix = smoothstep(- 0.25, 0.0, sunOrientation) * (1.0 - smoothstep(0.0, 0.35, sunOrientation));
+    vec3 color = mix(vec3(0.04), vec3(1.0), dayMix);
+    color = mix(color, uAtmosphereTwilightColor, twilightMix * 0.35);
+
+    // Mostly transparent at night so the city lights show through
+    float alpha = density * uOpacity * mix(0.15, 1.0, dayMix);
+
+    // Final color
+    gl_FragColor = vec4(color, alpha);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
@@ -4,10 +4,28 @@ uniform sampler2D uSpecularCloudsTexture;
 uniform vec3 uSunDirection;
 uniform vec3 uAtmosphereDayColor;
 uniform vec3 uAtmosphereTwilightColor;
+uniform float uCloudRotation;
+uniform float uCloudAltitude;
+uniform float uCloudShadow;
+uniform sampler2D uOverlayTexture;
+uniform float uOverlayOpacity;
+uniform float uFlatness;
 
 varying vec2 vUv;
 varying vec3 vNormal;
 varying vec3 vPosition;
+varying vec3 vLocalNormal;
+varying vec3 vLocalSunDirection;
+
+#define PI 3.1415926535897932384626433832795
+
+// Direction (planet frame) → SphereGeometry uv
+vec2 directionToUv(vec3 direction)
+{
+    float u = atan(direction.z, - direction.x) / (2.0 * PI);
+    float v = 1.0 - acos(clamp(direction.y, - 1.0, 1.0)) / PI;
+    return vec2(fract(u), v);
+}
 
 void main()
 {
@@ -24,17 +42,26 @@ void main()
     vec3 nightColor = texture(uNightTexture, vUv).rgb;
     color = mix(nightColor, dayColor, dayMix);
 
+    // Data overlay (kept readable on the night side, dimmed a little)
+    vec4 overlayColor = texture(uOverlayTexture, vUv);
+    color = mix(color, overlayColor.rgb * mix(0.5, 1.0, dayMix), overlayColor.a * uOverlayOpacity);
+
     // Specular cloud color
     vec2 specularCloudsColor = texture(uSpecularCloudsTexture, vUv).rg;
 
-    // Clouds
-    float cloudsMix = smoothstep(0.5, 1.0, specularCloudsColor.g);
-    cloudsMix *= dayMix;
-    color = mix(color, vec3(1.0), cloudsMix);
+    // Cloud shadow: the cloud shell (own mesh) sits uCloudAltitude above the
+    // ground, so the cloud shading this point is a little towards the sun
+    // (offset exaggerated so it reads at globe scale)
+    vec3 sunLocal = normalize(vLocalSunDirection);
+    vec3 shadowDirection = normalize(normalize(vLocalNormal) + sunLocal * uCloudAltitude * 4.0);
+    vec2 shadowUv = directionToUv(shadowDirection);
+    shadowUv.x = fract(shadowUv.x - uCloudRotation / (2.0 * PI));
+    float cloudShadow = smoothstep(0.5, 1.0, texture(uSpecularCloudsTexture, shadowUv).g);
+    color *= 1.0 - cloudShadow * uCloudShadow * dayMix;
 
-    // Fresnel
+    // Fresnel (a globe effect: gone on the flat map)
     float fresnel = dot(viewDirection, normal) + 1.0;
-    fresnel = pow(fresnel, 2.0);
+    fresnel = pow(fresnel, 2.0) * (1.0 - uFlatness);
 
     // Atmosphere
     float atmosphereDayMix = smoothstep(- 0.5, 1.0, sunOrientation);
@@ -46,7 +73,7 @@ void main()
     float specular = - dot(reflection, viewDirection);
     specular = max(specular, 0.0);
     specular = pow(specular, 32.0);
-    specular *= specularCloudsColor.r;
+    specular *= specularCloudsColor.r * (1.0 - uFlatness);
 
     vec3 specularColor = mix(vec3(1.0), atmosphereColor, fresnel);
     color += specular * specularColor;
@@ -1,18 +1,38 @@
+uniform vec3 uSunDirection;
+uniform int uProjectionFrom;
+uniform int uProjectionTo;
+uniform float uProjectionMix;
+
 varying vec2 vUv;
 varying vec3 vNormal;
 varying vec3 vPosition;
+varying vec3 vLocalNormal;
+varying vec3 vLocalSunDirection;
+
+#include ../includes/projection.glsl;
 
 void main()
 {
-    // Position
-    vec4 modelPosition = modelMatrix * vec4(position, 1.0);
+    // Position, morphed between the globe and a flat map (uv = lon/lat)
+    vec2 lonLat = vec2((uv.x - 0.5) * 2.0 * PROJECTION_PI, (uv.y - 0.5) * PROJECTION_PI);
+    vec3 morphed = mix(
+        projectPoint(uProjectionFrom, lonLat, position),
+        projectPoint(uProjectionTo, lonLat, position),
+        uProjectionMix
+    );
+    vec4 modelPosition = modelMatrix * vec4(morphed, 1.0);
     gl_Position = projectionMatrix * viewMatrix * modelPosition;
 
-    // Model normal
+    // Model normal (the sphere's, so day and night stay right on the map)
     vec3 modelNormal = (modelMatrix * vec4(normal, 0.0)).xyz;
 
     // Varyings
     vUv = uv;
     vNormal = modelNormal;
     vPosition = modelPosition.xyz;
+
+    // Planet-frame vectors for the cloud shadow lookup (rotation only, so the
+    // transpose is the inverse)
+    vLocalNormal = normal;
+    vLocalSunDirection = (vec4(uSunDirection, 0.0) * modelMatrix).xyz;
 }
\ No newline at end of file
@@ -0,0 +1,44 @@
+// Globe / flat map positions, mirrored from utils/projection.js
+// (ids: 0 globe, 1 equirectangular, 2 mercator, 3 robinson)
+
+const float PROJECTION_PI = 3.1415926535897932384626433832795;
+const float MERCATOR_MAX_LAT = 1.4844222; // 85.0511°
+
+const float ROBINSON_X[19] = float[19](
+    1.0, 0.9986, 0.9954, 0.99, 0.9822, 0.973, 0.96, 0.9427, 0.9216, 0.8962,
+    0.8679, 0.835, 0.7986, 0.7597, 0.7186, 0.6732, 0.6213, 0.5722, 0.5322
+);
+const float ROBINSON_Y[19] = float[19](
+    0.0, 0.062, 0.124, 0.186, 0.248, 0.31, 0.372, 0.434, 0.4958, 0.5571,
+    0.6176, 0.6769, 0.7346, 0.7903, 0.8435, 0.8936, 0.9394, 0.9761, 1.0
+);
+
+// lon/lat (radians) → map x/y in globe radii
+vec2 projectFlat(int projection, vec2 lonLat)
+{
+    if(projection == 2)
+    {
+        float lat = clamp(lonLat.y, - MERCATOR_MAX_LAT, MERCATOR_MAX_LAT);
+        return vec2(lonLat.x, log(tan(PROJECTION_PI * 0.25 + lat * 0.5)));
+    }
+    if(projection == 3)
+    {
+        float i = min(abs(lonLat.y) / radians(5.0), 18.0);
+        int i0 = int(min(floor(i), 17.0));
+        float f = i - float(i0);
+        float x = mix(ROBINSON_X[i0], ROBINSON_X[i0 + 1], f);
+        float y = mix(ROBINSON_Y[i0], ROBINSON_Y[i0 + 1], f);
+        return vec2(0.8487 * x * lonLat.x, 1.3523 * y * sign(lonLat.y));
+    }
+    return lonLat;
+}
+
+// Planet-frame position: the sphere itself on the globe, else the map plane
+// x = 0 (map x along -Z, map y along +Y)
+vec3 projectPoint(int projection, vec2 lonLat, vec3 spherePosition)
+{
+    if(projection == 0)
+        return spherePosition;
+    vec2 point = projectFlat(projection, lonLat) * length(spherePosition);
+    return vec3(0.0, point.y, - point.x);
+}
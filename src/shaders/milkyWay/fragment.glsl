@@ -0,0 +1,48 @@
+uniform vec3 uGalacticPole;
+uniform vec3 uGalacticCenter;
+uniform vec3 uColor;
+uniform float uIntensity;
+
+varying vec3 vDirection;
+
+float hash(vec3 p)
+{
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+float noise(vec3 p)
+{
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x), mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+        mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x), mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0)), f.x), f.y),
+        f.z
+    );
+}
+
+void main()
+{
+    vec3 direction = normalize(vDirection);
+
+    // Galactic latitude (radians) and closeness to the galactic centre
+    float latitude = asin(clamp(dot(direction, uGalacticPole), - 1.0, 1.0));
+    float center = dot(direction, uGalacticCenter) * 0.5 + 0.5;
+
+    // Band: wider and brighter towards the centre
+    float b = latitude / mix(0.12, 0.3, center);
+    float band = exp(- b * b) * mix(0.35, 1.0, center * center);
+
+    // Clumpy star clouds, cut by the dust lane along the plane
+    float clouds = noise(direction * 6.0) * 0.6 + noise(direction * 14.0) * 0.4;
+    band *= mix(0.5, 1.2, clouds);
+    float lane = latitude / 0.03;
+    band *= 1.0 - 0.6 * exp(- lane * lane) * smoothstep(0.5, 1.0, center);
+
+    // Final color
+    gl_FragColor = vec4(uColor * band * uIntensity, 1.0);
+    #include <colorspace_fragment>
+}
@@ -0,0 +1,12 @@
+varying vec3 vDirection;
+
+void main()
+{
+    // Direction only: the sky sits at infinity, on the far plane
+    vec3 direction = mat3(viewMatrix) * mat3(modelMatrix) * position;
+    gl_Position = projectionMatrix * vec4(direction, 0.0);
+    gl_Position.z = gl_Position.w * 0.99999;
+
+    // Varyings (celestial frame)
+    vDirection = position;
+}
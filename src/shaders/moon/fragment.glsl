@@ -0,0 +1,42 @@
+uniform vec3 uSunDirection;
+uniform vec3 uColor;
+
+varying vec3 vNormal;
+varying vec3 vLocalNormal;
+
+float hash(vec3 p)
+{
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+float noise(vec3 p)
+{
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x), mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+        mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x), mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0)), f.x), f.y),
+        f.z
+    );
+}
+
+void main()
+{
+    vec3 normal = normalize(vNormal);
+
+    // Surface: dark maria over brighter highlands, fixed to the Moon
+    float maria = smoothstep(0.45, 0.65, noise(vLocalNormal * 2.5) * 0.7 + noise(vLocalNormal * 7.0) * 0.3);
+    vec3 albedo = uColor * mix(1.0, 0.6, maria) * mix(0.9, 1.05, noise(vLocalNormal * 24.0));
+
+    // Phase: lit by the same sun as the Earth, with a soft terminator
+    float light = smoothstep(- 0.05, 0.25, dot(uSunDirection, normal));
+    vec3 color = albedo * mix(0.02, 1.0, light);
+
+    // Final color
+    gl_FragColor = vec4(color, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
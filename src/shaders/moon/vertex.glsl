@@ -0,0 +1,12 @@
+varying vec3 vNormal;
+varying vec3 vLocalNormal;
+
+void main()
+{
+    // Position
+    gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
+
+    // Varyings
+    vNormal = (modelMatrix * vec4(normal, 0.0)).xyz;
+    vLocalNormal = normal;
+}
@@ -0,0 +1,15 @@
+uniform float uOpacity;
+
+varying vec3 vColor;
+varying float vBrightness;
+
+void main()
+{
+    // Soft round point
+    float d = length(gl_PointCoord - 0.5) * 2.0;
+    float alpha = (1.0 - smoothstep(0.3, 1.0, d)) * vBrightness * uOpacity;
+
+    // Final color
+    gl_FragColor = vec4(vColor, alpha);
+    #include <colorspace_fragment>
+}
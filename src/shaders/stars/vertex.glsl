@@ -0,0 +1,24 @@
+uniform float uPixelRatio;
+uniform float uSize;
+
+attribute float aMagnitude;
+attribute vec3 aColor;
+
+varying vec3 vColor;
+varying float vBrightness;
+
+void main()
+{
+    // Direction only: the sky sits at infinity, on the far plane
+    vec3 direction = mat3(viewMatrix) * mat3(modelMatrix) * position;
+    gl_Position = projectionMatrix * vec4(direction, 0.0);
+    gl_Position.z = gl_Position.w * 0.99999;
+
+    // Brighter (lower magnitude) stars are bigger and more opaque
+    float brightness = clamp((6.5 - aMagnitude) / 8.0, 0.0, 1.0);
+    gl_PointSize = mix(1.2, 5.0, brightness * brightness) * uSize * uPixelRatio;
+
+    // Varyings
+    vColor = aColor;
+    vBrightness = mix(0.25, 1.0, brightness);
+}
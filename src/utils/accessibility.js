@@ -0,0 +1,77 @@
+import { useEffect, useState } from "react";
+import { normalizeLon } from "./geo";
+
+// Keyboard and assistive-tech helpers shared by the globe and the marker list
+// (see components/accessibleMarkers).
+
+/** Visually hidden but still read by screen readers */
+export const SR_ONLY = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+export function prefersReducedMotion() {
+  return typeof window !== "undefined" && window.matchMedia?.(REDUCED_MOTION_QUERY).matches === true;
+}
+
+/** Follows the OS "reduce motion" setting */
+export function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(prefersReducedMotion);
+  useEffect(() => {
+    const query = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    if (!query) return;
+    const onChange = () => setReduced(query.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+  return reduced;
+}
+
+/**
+ * Camera move for a key press on the focused globe, from the current view
+ * `{ lat, lon, distance }`: the next view, "reset", or null for other keys.
+ */
+export function orbitKeyTarget(
+  key,
+  view,
+  { step = 10, zoom = 1.25, minDistance = 2.4, maxDistance = 12, maxLat = 85 } = {}
+) {
+  const { lat, lon, distance } = view;
+  const move = (dLat, dLon) => ({
+    lat: Math.max(-maxLat, Math.min(maxLat, lat + dLat)),
+    lon: normalizeLon(lon + dLon),
+    distance,
+  });
+  const zoomTo = (d) => ({ lat, lon, distance: Math.max(minDistance, Math.min(maxDistance, d)) });
+
+  switch (key) {
+    case "ArrowUp":
+      return move(step, 0);
+    case "ArrowDown":
+      return move(-step, 0);
+    case "ArrowLeft":
+      return move(0, -step);
+    case "ArrowRight":
+      return move(0, step);
+    case "+":
+    case "=":
+      return zoomTo(distance / zoom);
+    case "-":
+    case "_":
+      return zoomTo(distance * zoom);
+    case "0":
+    case "Home":
+      return "reset";
+    default:
+      return null;
+  }
+}
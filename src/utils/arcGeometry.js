@@ -0,0 +1,98 @@
+import * as THREE from "three";
+import { latLonToVec3, slerpDirections } from "./geo";
+
+// Great-circle arcs batched into one ribbon geometry (see shaders/arcs).
+// Every sample point becomes two vertices (left/right); the vertex shader
+// pushes them apart in screen space.
+
+/**
+ * Points along the great circle from → to, lifted off the surface.
+ * Peak height is `heightScale * radius * angle/π`, so longer routes fly higher.
+ */
+export function sampleArc(from, to, { radius = 2, altitude = 0.01, heightScale = 0.5, segments = 64 } = {}) {
+  const start = latLonToVec3(from.lat, from.lon, 1);
+  const end = latLonToVec3(to.lat, to.lon, 1);
+  const angle = start.angleTo(end);
+  const peak = heightScale * radius * (angle / Math.PI);
+
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const dir = slerpDirections(start, end, t);
+    const h = radius + altitude + peak * Math.sin(Math.PI * t);
+    points.push(dir.normalize().multiplyScalar(h));
+  }
+  return { points, angle };
+}
+
+/**
+ * @param arcs [{ from: {lat, lon}, to: {lat, lon}, color? }]
+ * Returns { geometry, samples } — samples[i] = { points, angle } for hover picking.
+ */
+export function buildArcGeometry(arcs, { color = "#ffd54a", ...sampleOptions } = {}) {
+  const segments = sampleOptions.segments ?? 64;
+  const perArc = (segments + 1) * 2;
+  const count = arcs.length * perArc;
+
+  const position = new Float32Array(count * 3);
+  const prev = new Float32Array(count * 3);
+  const next = new Float32Array(count * 3);
+  const side = new Float32Array(count);
+  const tAttr = new Float32Array(count);
+  const length = new Float32Array(count);
+  const arcIndex = new Float32Array(count);
+  const delay = new Float32Array(count);
+  const colors = new Float32Array(count * 3);
+  const index = [];
+
+  const c = new THREE.Color();
+  const samples = [];
+
+  arcs.forEach((arc, a) => {
+    const sample = sampleArc(arc.from, arc.to, sampleOptions);
+    samples.push(sample);
+    const { points } = sample;
+
+    let arcLength = 0;
+    for (let i = 1; i < points.length; i++) arcLength += points[i].distanceTo(points[i - 1]);
+
+    c.set(arc.color ?? color);
+    const base = a * perArc;
+
+    points.forEach((p, i) => {
+      const p0 = points[Math.max(i - 1, 0)];
+      const p1 = points[Math.min(i + 1, points.length - 1)];
+      for (let s = 0; s < 2; s++) {
+        const v = base + i * 2 + s;
+        p.toArray(position, v * 3);
+        p0.toArray(prev, v * 3);
+        p1.toArray(next, v * 3);
+        c.toArray(colors, v * 3);
+        side[v] = s === 0 ? -1 : 1;
+        tAttr[v] = i / segments;
+        length[v] = arcLength;
+        arcIndex[v] = a;
+        delay[v] = arcs.length > 1 ? a / (arcs.length - 1) : 0;
+      }
+      if (i < segments) {
+        const v = base + i * 2;
+        index.push(v, v + 1, v + 2, v + 1, v + 3, v + 2);
+      }
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(position, 3));
+  geometry.setAttribute("aPrev", new THREE.BufferAttribute(prev, 3));
+  geometry.setAttribute("aNext", new THREE.BufferAttribute(next, 3));
+  geometry.setAttribute("aSide", new THREE.BufferAttribute(side, 1));
+  geometry.setAttribute("aT", new THREE.BufferAttribute(tAttr, 1));
+  geometry.setAttribute("aLength", new THREE.BufferAttribute(length, 1));
+  geometry.setAttribute("aArc", new THREE.BufferAttribute(arcIndex, 1));
+  geometry.setAttribute("aDelay", new THREE.BufferAttribute(delay, 1));
+  geometry.setAttribute("aColor", new THREE.BufferAttribute(colors, 3));
+  geometry.setIndex(index); // three picks 16/32-bit indices from the max value
+  if (count) geometry.computeBoundingSphere();
+
+  return { geometry, samples };
+}
@@ -0,0 +1,28 @@
+// Synthetic marker sets for the `?bench=N` scene.
+
+// small seeded PRNG so every run places the same points
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** `count` markers spread uniformly over the sphere, in marker-catalog shape */
+export function createBenchmarkMarkers(count, { seed = 1 } = {}) {
+  const random = mulberry32(seed);
+  const markers = [];
+  for (let i = 0; i < count; i++) {
+    markers.push({
+      id: `bench-${i}`,
+      name: `Point ${i + 1}`,
+      lat: (Math.asin(2 * random() - 1) * 180) / Math.PI,
+      lon: random() * 360 - 180,
+    });
+  }
+  return markers;
+}
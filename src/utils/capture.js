@@ -0,0 +1,32 @@
+// Still and frame-sequence export helpers (see components/frameExporter).
+
+export const CAPTURE_FORMATS = ["png", "webm"];
+
+/** Snapshot of the canvas as it is right now (call right after rendering) */
+export function canvasToBlob(canvas, type = "image/png") {
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("canvas export failed"))), type)
+  );
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** "earth-2025-03-20T15-50-00" style names for downloads */
+export function captureName(prefix = "earth", date = new Date()) {
+  return `${prefix}-${date.toISOString().slice(0, 19).replace(/:/g, "-")}`;
+}
+
+/** Best WebM flavour MediaRecorder supports here, or null */
+export function pickWebmType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((t) => MediaRecorder.isTypeSupported(t)) ?? null;
+}
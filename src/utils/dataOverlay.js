@@ -0,0 +1,342 @@
+import { useCallback, useEffect, useState } from "react";
+import { pointInPolygon, unwrapRing } from "./geo";
+
+// Data overlay for the globe surface, rasterised into an equirectangular
+// canvas that the earth shader blends over the day/night colour.
+//
+//   choropleth  { type: "choropleth", features: FeatureCollection of (Multi)Polygons,
+//                 values?: { [id | name]: number }, valueKey = "value", nameKey = "name" }
+//   heatmap     { type: "heatmap", points: [{ lat, lon, weight? }], radius = 4 (degrees) }
+//
+// Both take `ramp` (a COLOR_RAMPS name or a list of colours), `domain`
+// ([min, max], from the data when omitted), `label` and `unit`. A bare
+// FeatureCollection works too: points become a heatmap, polygons a choropleth.
+
+export const COLOR_RAMPS = {
+  viridis: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+  magma: ["#000004", "#51127c", "#b73779", "#fc8961", "#fcfdbf"],
+  blues: ["#deebf7", "#9ecae1", "#4292c6", "#2171b5", "#08306b"],
+  diverging: ["#2c7bb6", "#abd9e9", "#ffffbf", "#fdae61", "#d7191c"],
+};
+
+const DEFAULT_RAMP = "viridis";
+const DEFAULT_RADIUS = 4;
+
+const HEX = /^#([0-9a-f]{6})$/i;
+
+export function resolveRamp(ramp) {
+  const colors = Array.isArray(ramp) ? ramp : COLOR_RAMPS[ramp];
+  if (!colors || colors.length < 2 || !colors.every((c) => HEX.test(c))) return COLOR_RAMPS[DEFAULT_RAMP];
+  return colors;
+}
+
+const toRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+/** [r, g, b] (0–255) at t (0–1) along the ramp */
+export function rampColor(colors, t) {
+  const x = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+  const i = Math.min(colors.length - 2, Math.floor(x));
+  const a = toRgb(colors[i]);
+  const b = toRgb(colors[i + 1]);
+  const f = x - i;
+  return a.map((c, k) => Math.round(c + (b[k] - c) * f));
+}
+
+function toPolygons(geometry) {
+  if (geometry?.type === "Polygon") return [geometry.coordinates];
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates;
+  return null;
+}
+
+function bounds(polygons) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const polygon of polygons) {
+    for (const [lon, lat] of polygon[0]) {
+      box[0] = Math.min(box[0], lon);
+      box[1] = Math.min(box[1], lat);
+      box[2] = Math.max(box[2], lon);
+      box[3] = Math.max(box[3], lat);
+    }
+  }
+  return box;
+}
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+function extent(values) {
+  const finite = values.filter(isNumber);
+  if (!finite.length) return [0, 1];
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  return min === max ? [min, min + 1] : [min, max];
+}
+
+function parseDomain(domain) {
+  return Array.isArray(domain) && domain.length === 2 && domain.every(isNumber) && domain[0] !== domain[1]
+    ? domain
+    : null;
+}
+
+function parseChoropleth(data, errors) {
+  const { valueKey = "value", nameKey = "name", values } = data;
+  const features = data.features?.features ?? data.features;
+  if (!Array.isArray(features)) {
+    errors.push({ index: -1, id: null, message: "choropleth needs a FeatureCollection in `features`" });
+    return null;
+  }
+
+  const regions = [];
+  features.forEach((feature, index) => {
+    const props = feature?.properties ?? {};
+    const id = feature?.id ?? props.id ?? props.iso_a3 ?? props[nameKey] ?? null;
+    const polygons = toPolygons(feature?.geometry);
+    if (!polygons) {
+      errors.push({ index, id, message: `unsupported geometry "${feature?.geometry?.type}" (expected Polygon or MultiPolygon)` });
+      return;
+    }
+    const name = props[nameKey] != null ? String(props[nameKey]) : id != null ? String(id) : `#${index}`;
+    let value = values ? values[id] ?? values[name] : props[valueKey];
+    if (typeof value === "string" && value.trim() !== "") value = Number(value);
+    // unwrapped, so rings crossing the antimeridian stay continuous
+    const rings = polygons.map((polygon) => polygon.map(unwrapRing));
+    regions.push({ id, name, value: isNumber(value) ? value : null, polygons: rings, bbox: bounds(rings) });
+  });
+
+  return {
+    type: "choropleth",
+    regions,
+    domain: parseDomain(data.domain) ?? extent(regions.map((r) => r.value)),
+  };
+}
+
+function parseHeatmap(data, errors) {
+  if (!Array.isArray(data.points)) {
+    errors.push({ index: -1, id: null, message: "heatmap needs a `points` array" });
+    return null;
+  }
+  const points = [];
+  data.points.forEach((p, index) => {
+    const lat = Number(p?.lat);
+    const lon = Number(p?.lon ?? p?.lng);
+    const weight = p?.weight == null ? 1 : Number(p.weight);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || !Number.isFinite(weight)) {
+      errors.push({ index, id: p?.id ?? null, message: "invalid point" });
+      return;
+    }
+    points.push({ lat, lon, weight });
+  });
+  const radius = Number(data.radius);
+  return {
+    type: "heatmap",
+    points,
+    radius: radius > 0 ? radius : DEFAULT_RADIUS,
+    domain: parseDomain(data.domain),
+  };
+}
+
+// bare FeatureCollection → the matching overlay type
+function fromFeatureCollection(collection) {
+  const points = collection.features.filter((f) => f?.geometry?.type === "Point");
+  if (points.length && points.length === collection.features.length) {
+    return {
+      type: "heatmap",
+      points: points.map(({ geometry, properties }) => ({
+        lon: geometry.coordinates[0],
+        lat: geometry.coordinates[1],
+        weight: properties?.weight ?? properties?.value,
+      })),
+    };
+  }
+  return { type: "choropleth", features: collection };
+}
+
+/**
+ * Validate overlay data.
+ * Returns `{ overlay, errors }`; overlay is null when nothing usable was found.
+ */
+export function parseDataOverlay(data) {
+  const errors = [];
+  if (data?.type === "FeatureCollection" && Array.isArray(data.features)) data = fromFeatureCollection(data);
+
+  let overlay = null;
+  if (data?.type === "choropleth") overlay = parseChoropleth(data, errors);
+  else if (data?.type === "heatmap") overlay = parseHeatmap(data, errors);
+  else errors.push({ index: -1, id: null, message: 'expected type "choropleth" or "heatmap", or a FeatureCollection' });
+
+  if (overlay) {
+    overlay.ramp = resolveRamp(data.ramp);
+    overlay.label = typeof data.label === "string" ? data.label : "";
+    overlay.unit = typeof data.unit === "string" ? data.unit : "";
+  }
+  return { overlay, errors };
+}
+
+// equirectangular canvas coordinates
+const toX = (lon, width) => ((lon + 180) / 360) * width;
+const toY = (lat, height) => ((90 - lat) / 180) * height;
+
+function drawChoropleth(ctx, overlay, ramp, width, height) {
+  const [min, max] = overlay.domain;
+  ctx.strokeStyle = "rgba(0,0,0,0.35)";
+  ctx.lineWidth = Math.max(1, width / 2048);
+
+  for (const region of overlay.regions) {
+    if (region.value == null) continue;
+    const [r, g, b] = rampColor(ramp, (region.value - min) / (max - min));
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+
+    // unwrapped rings spilling past ±180 are drawn again on the other side
+    const shifts = [0];
+    if (region.bbox[0] < -180) shifts.push(360);
+    if (region.bbox[2] > 180) shifts.push(-360);
+
+    ctx.beginPath();
+    for (const shift of shifts) {
+      for (const polygon of region.polygons) {
+        for (const ring of polygon) {
+          ring.forEach(([lon, lat], i) => {
+            const x = toX(lon + shift, width);
+            const y = toY(lat, height);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+          });
+          ctx.closePath();
+        }
+      }
+    }
+    ctx.fill("evenodd");
+    ctx.stroke();
+  }
+}
+
+function drawHeatmap(ctx, overlay, ramp, width, height) {
+  const grid = new Float32Array(width * height);
+  const pxPerDeg = width / 360;
+  const sigma = overlay.radius / 2.5;
+
+  for (const { lat, lon, weight } of overlay.points) {
+    // kernel in degrees on the ground, so it widens in x towards the poles
+    const cos = Math.max(0.05, Math.cos((lat * Math.PI) / 180));
+    const cx = toX(lon, width);
+    const cy = toY(lat, height);
+    const ry = Math.ceil(overlay.radius * pxPerDeg);
+    const rx = Math.min(width / 2, Math.ceil(ry / cos));
+    for (let y = Math.max(0, Math.floor(cy - ry)); y <= Math.min(height - 1, Math.ceil(cy + ry)); y++) {
+      const dLat = (y + 0.5 - cy) / pxPerDeg;
+      for (let x = Math.floor(cx - rx); x <= Math.ceil(cx + rx); x++) {
+        const dLon = ((x + 0.5 - cx) / pxPerDeg) * cos;
+        const d2 = dLat * dLat + dLon * dLon;
+        if (d2 > overlay.radius * overlay.radius) continue;
+        const wrapped = ((x % width) + width) % width;
+        grid[y * width + wrapped] += weight * Math.exp(-d2 / (2 * sigma * sigma));
+      }
+    }
+  }
+
+  let peak = overlay.domain?.[1];
+  if (!peak) {
+    peak = 0;
+    for (let i = 0; i < grid.length; i++) peak = Math.max(peak, grid[i]);
+  }
+  const image = ctx.createImageData(width, height);
+  for (let i = 0; i < grid.length; i++) {
+    const t = Math.min(1, grid[i] / (peak || 1));
+    if (t < 0.01) continue;
+    const [r, g, b] = rampColor(ramp, t);
+    image.data.set([r, g, b, Math.round(Math.min(1, Math.sqrt(t) * 1.2) * 255)], i * 4);
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Rasterise a parsed overlay into an equirectangular canvas (transparent where
+ * there is no data). `ramp` overrides the overlay's own colours.
+ */
+export function rasterizeOverlay(overlay, { width = 2048, ramp = overlay.ramp } = {}) {
+  // heatmaps are smooth anyway; a coarser grid keeps the accumulation cheap
+  const w = overlay.type === "heatmap" ? width / 2 : width;
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = w / 2;
+  const ctx = canvas.getContext("2d");
+  if (overlay.type === "choropleth") drawChoropleth(ctx, overlay, ramp, w, w / 2);
+  else drawHeatmap(ctx, overlay, ramp, w, w / 2);
+  return canvas;
+}
+
+/** Region under lat/lon as `{ id, name, value }`, or null (heatmaps have none) */
+export function findRegion(overlay, lat, lon) {
+  if (overlay?.type !== "choropleth") return null;
+  for (const region of overlay.regions) {
+    const [minLon, minLat, maxLon, maxLat] = region.bbox;
+    if (lat < minLat || lat > maxLat) continue;
+    if (![lon, lon + 360, lon - 360].some((x) => x >= minLon && x <= maxLon)) continue;
+    if (region.polygons.some((polygon) => pointInPolygon(lat, lon, polygon))) {
+      return { id: region.id, name: region.name, value: region.value };
+    }
+  }
+  return null;
+}
+
+/** Fetch + parse overlay data (path under public/ or absolute URL) */
+export async function loadDataOverlay(url, { signal } = {}) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Data overlay ${url}: HTTP ${res.status}`);
+  return parseDataOverlay(await res.json());
+}
+
+/**
+ * `src` is a URL or overlay data (or null for none). `setOverlay(data)` swaps
+ * in raw data at runtime, validated the same way.
+ */
+export function useDataOverlay(src) {
+  const [state, setState] = useState({ overlay: null, errors: [], status: "idle" });
+
+  const report = useCallback((errors, source) => {
+    if (errors.length) console.warn(`[overlay] ${errors.length} problem(s) in ${source}`, errors);
+  }, []);
+
+  useEffect(() => {
+    if (!src) {
+      setState({ overlay: null, errors: [], status: "idle" });
+      return;
+    }
+    if (typeof src !== "string") {
+      const { overlay, errors } = parseDataOverlay(src);
+      report(errors, "overlay prop");
+      setState({ overlay, errors, status: overlay ? "ready" : "error" });
+      return;
+    }
+
+    const controller = new AbortController();
+    setState((s) => ({ ...s, status: "loading" }));
+    loadDataOverlay(src, { signal: controller.signal })
+      .then(({ overlay, errors }) => {
+        report(errors, src);
+        setState({ overlay, errors, status: overlay ? "ready" : "error" });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        const errors = [{ index: -1, id: null, message: err.message }];
+        report(errors, src);
+        setState({ overlay: null, errors, status: "error" });
+      });
+    return () => controller.abort();
+  }, [src, report]);
+
+  const setOverlay = useCallback(
+    (data) => {
+      if (data == null) {
+        setState({ overlay: null, errors: [], status: "idle" });
+        return { overlay: null, errors: [] };
+      }
+      const result = parseDataOverlay(data);
+      report(result.errors, "setOverlay()");
+      setState({ ...result, status: result.overlay ? "ready" : "error" });
+      return result;
+    },
+    [report]
+  );
+
+  return { ...state, setOverlay };
+}
@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import { COLOR_RAMPS, findRegion, parseDataOverlay, rampColor, resolveRamp } from "./dataOverlay";
+
+const square = (lon, lat, size) => [
+  [
+    [lon, lat],
+    [lon + size, lat],
+    [lon + size, lat + size],
+    [lon, lat + size],
+    [lon, lat],
+  ],
+];
+
+const feature = (id, name, coordinates, properties = {}) => ({
+  type: "Feature",
+  id,
+  properties: { name, ...properties },
+  geometry: { type: "Polygon", coordinates },
+});
+
+describe("parseDataOverlay", () => {
+  it("reads a choropleth with values by id or name", () => {
+    const { overlay, errors } = parseDataOverlay({
+      type: "choropleth",
+      features: {
+        type: "FeatureCollection",
+        features: [feature("AAA", "Alpha", square(0, 0, 10)), feature("BBB", "Beta", square(20, 0, 10))],
+      },
+      values: { AAA: 3, Beta: "7" },
+      label: "Score",
+    });
+    expect(errors).toEqual([]);
+    expect(overlay.type).toBe("choropleth");
+    expect(overlay.regions.map((r) => [r.id, r.name, r.value])).toEqual([
+      ["AAA", "Alpha", 3],
+      ["BBB", "Beta", 7],
+    ]);
+    expect(overlay.domain).toEqual([3, 7]);
+    expect(overlay.label).toBe("Score");
+    expect(overlay.ramp).toEqual(COLOR_RAMPS.viridis);
+  });
+
+  it("reports unsupported geometry and keeps the rest", () => {
+    const { overlay, errors } = parseDataOverlay({
+      type: "choropleth",
+      features: [
+        feature("AAA", "Alpha", square(0, 0, 10), { value: 1 }),
+        { type: "Feature", id: "LINE", properties: {}, geometry: { type: "LineString", coordinates: [] } },
+      ],
+    });
+    expect(overlay.regions).toHaveLength(1);
+    expect(errors).toEqual([{ index: 1, id: "LINE", message: expect.stringContaining("LineString") }]);
+  });
+
+  it("reads a heatmap and skips invalid points", () => {
+    const { overlay, errors } = parseDataOverlay({
+      type: "heatmap",
+      points: [{ lat: 10, lng: 20 }, { lat: 95, lon: 0 }, { lat: -5, lon: 5, weight: 2 }],
+      radius: 6,
+      domain: [0, 10],
+    });
+    expect(overlay.points).toEqual([
+      { lat: 10, lon: 20, weight: 1 },
+      { lat: -5, lon: 5, weight: 2 },
+    ]);
+    expect(overlay.radius).toBe(6);
+    expect(overlay.domain).toEqual([0, 10]);
+    expect(errors).toEqual([{ index: 1, id: null, message: "invalid point" }]);
+  });
+
+  it("turns a bare FeatureCollection into the matching type", () => {
+    const points = parseDataOverlay({
+      type: "FeatureCollection",
+      features: [{ type: "Feature", properties: { value: 4 }, geometry: { type: "Point", coordinates: [30, 40] } }],
+    });
+    expect(points.overlay.type).toBe("heatmap");
+    expect(points.overlay.points).toEqual([{ lat: 40, lon: 30, weight: 4 }]);
+
+    const polygons = parseDataOverlay({ type: "FeatureCollection", features: [feature("A", "A", square(0, 0, 1))] });
+    expect(polygons.overlay.type).toBe("choropleth");
+  });
+
+  it("rejects unknown data", () => {
+    expect(parseDataOverlay({ type: "bars" }).overlay).toBeNull();
+    expect(parseDataOverlay(null).errors).toHaveLength(1);
+  });
+});
+
+describe("findRegion", () => {
+  const { overlay } = parseDataOverlay({
+    type: "choropleth",
+    features: [
+      feature("AAA", "Alpha", square(0, 0, 10), { value: 1 }),
+      // spans the antimeridian: 170°E → 170°W
+      feature("PAC", "Pacific", [
+        [
+          [170, -10],
+          [-170, -10],
+          [-170, 10],
+          [170, 10],
+          [170, -10],
+        ],
+      ]),
+    ],
+  });
+
+  it("finds the region under a point", () => {
+    expect(findRegion(overlay, 5, 5)).toEqual({ id: "AAA", name: "Alpha", value: 1 });
+    expect(findRegion(overlay, 15, 5)).toBeNull();
+  });
+
+  it("finds regions across the antimeridian from either side", () => {
+    expect(findRegion(overlay, 0, 175)?.id).toBe("PAC");
+    expect(findRegion(overlay, 0, -175)?.id).toBe("PAC");
+    expect(findRegion(overlay, 0, 160)).toBeNull();
+  });
+
+  it("has no regions for heatmaps", () => {
+    const heat = parseDataOverlay({ type: "heatmap", points: [{ lat: 0, lon: 0 }] }).overlay;
+    expect(findRegion(heat, 0, 0)).toBeNull();
+  });
+});
+
+describe("resolveRamp / rampColor", () => {
+  it("falls back to the default ramp for unknown or malformed ramps", () => {
+    expect(resolveRamp("magma")).toBe(COLOR_RAMPS.magma);
+    expect(resolveRamp(["#000000", "#ffffff"])).toEqual(["#000000", "#ffffff"]);
+    expect(resolveRamp("nope")).toBe(COLOR_RAMPS.viridis);
+    expect(resolveRamp(["red", "blue"])).toBe(COLOR_RAMPS.viridis);
+  });
+
+  it("interpolates and clamps", () => {
+    const ramp = ["#000000", "#ffffff"];
+    expect(rampColor(ramp, 0)).toEqual([0, 0, 0]);
+    expect(rampColor(ramp, 0.5)).toEqual([128, 128, 128]);
+    expect(rampColor(ramp, 2)).toEqual([255, 255, 255]);
+  });
+});
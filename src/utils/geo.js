@@ -0,0 +1,154 @@
+import * as THREE from "three";
+
+// Geodesic helpers shared by the scene, the flat map and the data overlay.
+// Angles are in degrees, points are `{ lat, lon }`, distances are on a sphere
+// of `radius` (kilometres on Earth by default). Longitudes are normalised to
+// [-180, 180).
+//
+// Scene frame: +Y is the north pole, lon 0 lies on +X and lon 90°E on -Z
+// (matches the equirectangular textures on three's SphereGeometry).
+
+export const DEG2RAD = Math.PI / 180;
+export const RAD2DEG = 180 / Math.PI;
+export const EARTH_RADIUS_KM = 6371;
+
+// below this the direction counts as a pole and longitude is meaningless
+const EPSILON = 1e-12;
+
+export function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+export function clampLat(lat) {
+  return Math.min(90, Math.max(-90, lat));
+}
+
+export function latLonToVec3(lat, lon, radius = 1, altitude = 0, target = new THREE.Vector3()) {
+  const r = radius + altitude;
+  const phi = (90 - lat) * DEG2RAD;
+  const theta = (lon + 180) * DEG2RAD;
+  return target.set(-r * Math.sin(phi) * Math.cos(theta), r * Math.cos(phi), r * Math.sin(phi) * Math.sin(theta));
+}
+
+/** Inverse of latLonToVec3 (point in the same local frame, any radius); lon is 0 at the poles */
+export function vec3ToLatLon(v) {
+  const r = Math.hypot(v.x, v.y, v.z);
+  if (r === 0) return { lat: 0, lon: 0 };
+  const lat = 90 - Math.acos(THREE.MathUtils.clamp(v.y / r, -1, 1)) * RAD2DEG;
+  if (Math.hypot(v.x, v.z) < EPSILON * r) return { lat, lon: 0 };
+  // x = -sinφ·cosθ, z = sinφ·sinθ  →  θ = atan2(z, -x)
+  return { lat, lon: normalizeLon(Math.atan2(v.z, -v.x) * RAD2DEG - 180) };
+}
+
+/** Central angle between two points (radians) */
+export function angularDistance(a, b) {
+  const dLat = (b.lat - a.lat) * DEG2RAD;
+  const dLon = (b.lon - a.lon) * DEG2RAD;
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * DEG2RAD) * Math.cos(b.lat * DEG2RAD) * Math.sin(dLon / 2) ** 2;
+  return 2 * Math.atan2(Math.sqrt(h), Math.sqrt(Math.max(0, 1 - h)));
+}
+
+/** Great-circle distance (haversine) */
+export function haversineDistance(a, b, radius = EARTH_RADIUS_KM) {
+  return angularDistance(a, b) * radius;
+}
+
+/**
+ * Initial bearing from a towards b, clockwise from north in [0, 360).
+ * Every direction leads south from the north pole (north from the south pole),
+ * so there the result is measured from a's own meridian.
+ */
+export function initialBearing(a, b) {
+  const phi1 = a.lat * DEG2RAD;
+  const phi2 = b.lat * DEG2RAD;
+  const dLon = (b.lon - a.lon) * DEG2RAD;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * RAD2DEG + 360) % 360;
+}
+
+/** Point reached going `distance` along a great circle from `start` at `bearing` */
+export function destinationPoint(start, bearing, distance, radius = EARTH_RADIUS_KM) {
+  const delta = distance / radius;
+  const theta = bearing * DEG2RAD;
+  const phi1 = start.lat * DEG2RAD;
+  const lon1 = start.lon * DEG2RAD;
+  const sinPhi2 = Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta);
+  const phi2 = Math.asin(THREE.MathUtils.clamp(sinPhi2, -1, 1));
+  const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(phi1), Math.cos(delta) - Math.sin(phi1) * sinPhi2);
+  return { lat: phi2 * RAD2DEG, lon: normalizeLon(lon2 * RAD2DEG) };
+}
+
+const _axis = new THREE.Vector3();
+
+/**
+ * Spherical interpolation between two unit vectors. Coincident directions
+ * fall back to lerp; antipodal ones have no unique great circle, so the path
+ * goes through whichever axis is most perpendicular to `start`.
+ */
+export function slerpDirections(start, end, t, target = new THREE.Vector3()) {
+  const angle = start.angleTo(end);
+  const sin = Math.sin(angle);
+  if (sin > 1e-6) {
+    return target
+      .copy(start)
+      .multiplyScalar(Math.sin((1 - t) * angle) / sin)
+      .addScaledVector(end, Math.sin(t * angle) / sin);
+  }
+  if (angle < Math.PI / 2) return target.copy(start).lerp(end, t).normalize();
+
+  const ax = Math.abs(start.x);
+  const ay = Math.abs(start.y);
+  const az = Math.abs(start.z);
+  const helper = ax <= ay && ax <= az ? _axis.set(1, 0, 0) : ay <= az ? _axis.set(0, 1, 0) : _axis.set(0, 0, 1);
+  const normal = helper.cross(start).normalize();
+  return target.copy(start).applyAxisAngle(normal, t * Math.PI);
+}
+
+/** Point a fraction `t` of the way along the great circle from a to b */
+export function interpolateGreatCircle(a, b, t) {
+  const start = latLonToVec3(a.lat, a.lon);
+  const end = latLonToVec3(b.lat, b.lon);
+  return vec3ToLatLon(slerpDirections(start, end, t));
+}
+
+/**
+ * Make a [lon, lat] ring continuous across the antimeridian: longitudes may
+ * then run past ±180 instead of jumping by 360.
+ */
+export function unwrapRing(ring) {
+  const out = [];
+  let offset = 0;
+  let prev = null;
+  for (const [lon, lat] of ring) {
+    if (prev != null && Math.abs(lon - prev) > 180) offset += lon > prev ? -360 : 360;
+    out.push([lon + offset, lat]);
+    prev = lon;
+  }
+  return out;
+}
+
+function crossings(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Whether lat/lon falls inside a GeoJSON polygon (outer ring + holes, as
+ * [lon, lat] pairs). Even-odd over all rings, so holes are excluded. Rings may
+ * be unwrapped past ±180 (see unwrapRing); the point is tried on both sides.
+ */
+export function pointInPolygon(lat, lon, polygon) {
+  const x = normalizeLon(lon);
+  return [x, x + 360, x - 360].some((shift) => {
+    let inside = false;
+    for (const ring of polygon) if (crossings(ring, shift, lat)) inside = !inside;
+    return inside;
+  });
+}
@@ -0,0 +1,215 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import {
+  EARTH_RADIUS_KM,
+  clampLat,
+  destinationPoint,
+  haversineDistance,
+  initialBearing,
+  interpolateGreatCircle,
+  latLonToVec3,
+  normalizeLon,
+  pointInPolygon,
+  slerpDirections,
+  unwrapRing,
+  vec3ToLatLon,
+} from "./geo";
+
+// degrees-minutes-seconds → decimal degrees
+const dms = (d, m, s) => Math.sign(d || 1) * (Math.abs(d) + m / 60 + s / 3600);
+
+// reference route from Chris Veness' "Movable Type" geodesy pages
+const LANDS_END = { lat: dms(50, 3, 59), lon: -dms(5, 42, 53) };
+const JOHN_O_GROATS = { lat: dms(58, 38, 38), lon: -dms(3, 4, 12) };
+
+const expectLatLon = (actual, expected, digits = 4) => {
+  expect(actual.lat).toBeCloseTo(expected.lat, digits);
+  expect(normalizeLon(actual.lon - expected.lon)).toBeCloseTo(0, digits);
+};
+
+describe("normalizeLon / clampLat", () => {
+  it("wraps longitudes into [-180, 180)", () => {
+    expect(normalizeLon(0)).toBe(0);
+    expect(normalizeLon(190)).toBe(-170);
+    expect(normalizeLon(-190)).toBe(170);
+    expect(normalizeLon(180)).toBe(-180);
+    expect(normalizeLon(-180)).toBe(-180);
+    expect(normalizeLon(540)).toBe(-180);
+    expect(normalizeLon(-725)).toBe(-5);
+  });
+
+  it("clamps latitudes to the poles", () => {
+    expect(clampLat(91)).toBe(90);
+    expect(clampLat(-100)).toBe(-90);
+    expect(clampLat(45)).toBe(45);
+  });
+});
+
+describe("latLonToVec3 / vec3ToLatLon", () => {
+  it("uses the scene frame of the earth textures", () => {
+    const v = new THREE.Vector3();
+    expect(latLonToVec3(0, 0, 2, 0, v).toArray().map((x) => +x.toFixed(9))).toEqual([2, 0, 0]);
+    expect(latLonToVec3(0, 90, 1).z).toBeCloseTo(-1);
+    expect(latLonToVec3(90, 123, 1).y).toBeCloseTo(1);
+    expect(latLonToVec3(-90, 0, 2, 0.5).y).toBeCloseTo(-2.5);
+  });
+
+  it("round-trips points at any radius", () => {
+    for (const p of [
+      { lat: 0, lon: 0 },
+      { lat: 48.8566, lon: 2.3522 },
+      { lat: -33.8688, lon: 151.2093 },
+      { lat: 64.1466, lon: -21.9426 },
+      { lat: -10, lon: -179.999 },
+    ]) {
+      expectLatLon(vec3ToLatLon(latLonToVec3(p.lat, p.lon, 3.7)), p, 9);
+    }
+  });
+
+  it("reports lon 0 at the poles and for the origin", () => {
+    expect(vec3ToLatLon(new THREE.Vector3(0, 5, 0))).toEqual({ lat: 90, lon: 0 });
+    expect(vec3ToLatLon(new THREE.Vector3(0, -1, 0))).toEqual({ lat: -90, lon: 0 });
+    expect(vec3ToLatLon(new THREE.Vector3())).toEqual({ lat: 0, lon: 0 });
+  });
+});
+
+describe("haversineDistance", () => {
+  it("matches reference distances", () => {
+    expect(haversineDistance(LANDS_END, JOHN_O_GROATS)).toBeCloseTo(968.9, 0);
+    expect(haversineDistance({ lat: 51.5074, lon: -0.1278 }, { lat: 48.8566, lon: 2.3522 })).toBeCloseTo(343.5, 0);
+  });
+
+  it("covers a quarter meridian and antipodes", () => {
+    expect(haversineDistance({ lat: 0, lon: 0 }, { lat: 90, lon: 0 })).toBeCloseTo((Math.PI / 2) * EARTH_RADIUS_KM, 6);
+    // haversine loses a little precision next to the antipode (well under a metre)
+    expect(haversineDistance({ lat: 10, lon: 20 }, { lat: -10, lon: -160 })).toBeCloseTo(Math.PI * EARTH_RADIUS_KM, 3);
+  });
+
+  it("takes the short way across the antimeridian", () => {
+    const twoDegrees = (2 * Math.PI * EARTH_RADIUS_KM) / 180;
+    expect(haversineDistance({ lat: 0, lon: 179 }, { lat: 0, lon: -179 })).toBeCloseTo(twoDegrees, 6);
+  });
+
+  it("scales with the radius", () => {
+    expect(haversineDistance({ lat: 0, lon: 0 }, { lat: 0, lon: 180 }, 1)).toBeCloseTo(Math.PI, 9);
+  });
+});
+
+describe("initialBearing", () => {
+  it("matches the reference bearing", () => {
+    expect(initialBearing(LANDS_END, JOHN_O_GROATS)).toBeCloseTo(dms(9, 7, 11), 3);
+  });
+
+  it("gives the cardinal directions", () => {
+    const origin = { lat: 0, lon: 0 };
+    expect(initialBearing(origin, { lat: 10, lon: 0 })).toBeCloseTo(0);
+    expect(initialBearing(origin, { lat: 0, lon: 10 })).toBeCloseTo(90);
+    expect(initialBearing(origin, { lat: -10, lon: 0 })).toBeCloseTo(180);
+    expect(initialBearing(origin, { lat: 0, lon: -10 })).toBeCloseTo(270);
+  });
+
+  it("heads east across the antimeridian", () => {
+    expect(initialBearing({ lat: 0, lon: 179 }, { lat: 0, lon: -179 })).toBeCloseTo(90);
+  });
+
+  it("heads south from the north pole", () => {
+    expect(initialBearing({ lat: 90, lon: 0 }, { lat: 10, lon: 0 })).toBeCloseTo(180);
+  });
+});
+
+describe("destinationPoint", () => {
+  it("matches the reference destination", () => {
+    const start = { lat: dms(53, 19, 14), lon: -dms(1, 43, 47) };
+    const end = destinationPoint(start, dms(96, 1, 18), 124.8);
+    expect(end.lat).toBeCloseTo(dms(53, 11, 18), 3);
+    expect(end.lon).toBeCloseTo(dms(0, 8, 0), 3);
+  });
+
+  it("inverts haversine + bearing", () => {
+    const end = destinationPoint(
+      LANDS_END,
+      initialBearing(LANDS_END, JOHN_O_GROATS),
+      haversineDistance(LANDS_END, JOHN_O_GROATS)
+    );
+    expectLatLon(end, JOHN_O_GROATS, 6);
+  });
+
+  it("goes over the pole and wraps longitude", () => {
+    const quarter = (Math.PI / 9) * EARTH_RADIUS_KM; // 20° of arc
+    expectLatLon(destinationPoint({ lat: 80, lon: 0 }, 0, quarter), { lat: 80, lon: 180 }, 6);
+    expectLatLon(destinationPoint({ lat: 0, lon: 170 }, 90, quarter), { lat: 0, lon: -170 }, 6);
+  });
+});
+
+describe("interpolateGreatCircle / slerpDirections", () => {
+  it("matches the reference midpoint", () => {
+    const mid = interpolateGreatCircle(LANDS_END, JOHN_O_GROATS, 0.5);
+    expect(mid.lat).toBeCloseTo(dms(54, 21, 44), 3);
+    expect(mid.lon).toBeCloseTo(-dms(4, 31, 50), 3);
+  });
+
+  it("returns the end points at t = 0 and 1", () => {
+    expectLatLon(interpolateGreatCircle(LANDS_END, JOHN_O_GROATS, 0), LANDS_END, 9);
+    expectLatLon(interpolateGreatCircle(LANDS_END, JOHN_O_GROATS, 1), JOHN_O_GROATS, 9);
+  });
+
+  it("crosses the antimeridian the short way", () => {
+    expectLatLon(interpolateGreatCircle({ lat: 0, lon: 170 }, { lat: 0, lon: -170 }, 0.5), { lat: 0, lon: 180 }, 9);
+  });
+
+  it("keeps unit length for coincident and antipodal directions", () => {
+    const a = latLonToVec3(20, 30);
+    expect(slerpDirections(a, a.clone(), 0.5).distanceTo(a)).toBeCloseTo(0, 9);
+
+    const b = a.clone().negate();
+    const mid = slerpDirections(a, b, 0.5);
+    expect(mid.length()).toBeCloseTo(1, 9);
+    expect(mid.dot(a)).toBeCloseTo(0, 9);
+    expect(slerpDirections(a, b, 1).distanceTo(b)).toBeCloseTo(0, 9);
+  });
+});
+
+describe("pointInPolygon", () => {
+  const square = [
+    [0, 0],
+    [10, 0],
+    [10, 10],
+    [0, 10],
+    [0, 0],
+  ];
+  const hole = [
+    [2, 2],
+    [4, 2],
+    [4, 4],
+    [2, 4],
+    [2, 2],
+  ];
+
+  it("tests the outer ring", () => {
+    expect(pointInPolygon(5, 5, [square])).toBe(true);
+    expect(pointInPolygon(5, 15, [square])).toBe(false);
+    expect(pointInPolygon(-1, 5, [square])).toBe(false);
+  });
+
+  it("excludes holes", () => {
+    expect(pointInPolygon(3, 3, [square, hole])).toBe(false);
+    expect(pointInPolygon(6, 6, [square, hole])).toBe(true);
+  });
+
+  it("handles rings across the antimeridian", () => {
+    const ring = [
+      [170, 50],
+      [-170, 50],
+      [-170, 60],
+      [170, 60],
+      [170, 50],
+    ];
+    const unwrapped = unwrapRing(ring);
+    expect(unwrapped.map(([lon]) => lon)).toEqual([170, 190, 190, 170, 170]);
+    expect(pointInPolygon(55, 175, [unwrapped])).toBe(true);
+    expect(pointInPolygon(55, -175, [unwrapped])).toBe(true);
+    expect(pointInPolygon(55, 185, [unwrapped])).toBe(true);
+    expect(pointInPolygon(55, 0, [unwrapped])).toBe(false);
+    expect(pointInPolygon(45, 175, [unwrapped])).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import EN from "../locales/en.json";
+
+// UI strings and marker translations, one bundle per locale in src/locales:
+//
+//   { ui: { "search.label": "…", "places.help_one": "…", … },
+//     markers: { <marker id>: { name, description, country, built } } }
+//
+// English is bundled; other locales load on demand, so switching at runtime
+// only swaps strings (textures and the scene stay). Missing keys fall back to
+// English, missing marker entries to the catalog's own text.
+
+export const LOCALES = {
+  en: { name: "English" },
+  es: { name: "Español" },
+  ar: { name: "العربية", dir: "rtl" },
+  hi: { name: "हिन्दी" },
+  zh: { name: "中文" },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+// marker fields a bundle may translate
+const MARKER_FIELDS = ["name", "description", "country", "built"];
+
+const BUNDLES = import.meta.glob(["../locales/*.json", "!../locales/en.json"], { import: "default" });
+
+export const localeDirection = (locale) => LOCALES[locale]?.dir ?? "ltr";
+
+/** Supported locale for a BCP 47 tag ("ar-EG" → "ar"), or null */
+export function matchLocale(tag) {
+  if (typeof tag !== "string" || !tag) return null;
+  const lower = tag.toLowerCase();
+  if (Object.hasOwn(LOCALES, lower)) return lower;
+  const base = lower.split(/[-_]/)[0];
+  return Object.hasOwn(LOCALES, base) ? base : null;
+}
+
+/** `?lang=` if supported, else the first supported browser language, else English */
+export function detectLocale(search = window.location.search, languages = navigator.languages ?? [navigator.language]) {
+  const fromUrl = matchLocale(new URLSearchParams(search).get("lang"));
+  if (fromUrl) return fromUrl;
+  for (const tag of languages ?? []) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/** The bundle for a supported locale (rejects for unknown ones) */
+export async function loadBundle(locale) {
+  if (locale === DEFAULT_LOCALE) return EN;
+  const load = BUNDLES[`../locales/${locale}.json`];
+  if (!load) throw new Error(`no bundle for locale "${locale}"`);
+  return load();
+}
+
+/**
+ * `t(key, params)` for a bundle: `{name}` placeholders are filled from
+ * params, and a numeric `params.count` picks `key_one`, `key_few`, … by the
+ * locale's plural rules (falling back to `key_other`).
+ */
+export function createTranslator(locale, bundle) {
+  const plural = new Intl.PluralRules(locale);
+  const lookup = (key) => bundle?.ui?.[key] ?? EN.ui[key];
+
+  return function t(key, params) {
+    let text;
+    if (typeof params?.count === "number") text = lookup(`${key}_${plural.select(params.count)}`) ?? lookup(`${key}_other`);
+    text ??= lookup(key);
+    if (text == null) return key;
+    return params ? text.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match)) : text;
+  };
+}
+
+/**
+ * Markers with their text from the bundle. Ids (and so React keys, images and
+ * URLs) are unchanged; a renamed marker keeps its catalog name in `aliases` so
+ * search still finds it.
+ */
+export function localizeMarkers(markers, bundle) {
+  const texts = bundle?.markers;
+  if (!texts) return markers;
+  return markers.map((m) => {
+    const text = texts[m.id];
+    if (!text) return m;
+    const localized = { ...m };
+    for (const field of MARKER_FIELDS) {
+      if (typeof text[field] === "string" && text[field]) localized[field] = text[field];
+    }
+    if (localized.name !== m.name) localized.aliases = [m.name];
+    return localized;
+  });
+}
+
+function createI18n(locale, bundle, options = {}) {
+  return { locale, dir: localeDirection(locale), bundle, t: createTranslator(locale, bundle), ...options };
+}
+
+const ENGLISH = createI18n(DEFAULT_LOCALE, EN);
+
+/** English `t`: the default for formatting helpers that take a translator */
+export const translateEnglish = ENGLISH.t;
+
+export const I18nContext = createContext(null);
+
+/** `{ locale, dir, t, unicodeFontsUrl }` for the current locale (English outside a provider) */
+export const useI18n = () => useContext(I18nContext) ?? ENGLISH;
+
+/**
+ * Loads the bundle for `locale` and returns the i18n value for the provider.
+ * Until a bundle is in (or if it fails) the previous locale stays active.
+ */
+export function useLocaleBundle(locale, { unicodeFontsUrl } = {}) {
+  const [loaded, setLoaded] = useState({ locale: DEFAULT_LOCALE, bundle: EN });
+
+  useEffect(() => {
+    if (loaded.locale === locale || !LOCALES[locale]) return;
+    let cancelled = false;
+    loadBundle(locale)
+      .then((bundle) => !cancelled && setLoaded({ locale, bundle }))
+      .catch((err) => console.warn(`[i18n] could not load "${locale}"`, err));
+    return () => {
+      cancelled = true;
+    };
+  }, [locale, loaded.locale]);
+
+  return useMemo(
+    () => createI18n(loaded.locale, loaded.bundle, { unicodeFontsUrl }),
+    [loaded, unicodeFontsUrl]
+  );
+}
@@ -0,0 +1,99 @@
+import { createContext, useContext, useEffect, useRef } from "react";
+
+// Screen-space layout for callouts. Labels register an entry with the nearest
+// <LabelLayout>; once per frame it decides for every entry:
+//
+//   visible  0/1   hidden behind the horizon or losing an overlap
+//   offset   [x,y] card displacement in world units (billboard plane)
+//   badge    n     number of cards collapsed into this one
+//
+// Labels animate towards those targets themselves.
+
+export const DECLUTTER_MODES = ["none", "priority", "displace", "collapse"];
+
+export const LabelLayoutContext = createContext(null);
+
+function overlaps(a, b, gap) {
+  return (
+    a.x - a.w / 2 - gap < b.x + b.w / 2 &&
+    a.x + a.w / 2 + gap > b.x - b.w / 2 &&
+    a.y - a.h / 2 - gap < b.y + b.h / 2 &&
+    a.y + a.h / 2 + gap > b.y - b.h / 2
+  );
+}
+
+/**
+ * Greedy overlap resolution. `items`: { id, priority, facing, rect: {x,y,w,h} px }
+ * (facing = how much the anchor faces the camera, -1..1). Higher priority wins,
+ * ties go to the label nearer the centre of the disc.
+ * Returns Map id → { visible, offset: [dx, dy] px, badge }.
+ */
+export function solveLabelLayout(items, { mode = "priority", gap = 4, horizon = 0.05, maxShift = 3 } = {}) {
+  const result = new Map();
+  const placed = []; // { rect, id }
+
+  const sorted = [...items].sort((a, b) => b.priority - a.priority || b.facing - a.facing);
+
+  for (const item of sorted) {
+    const out = { visible: 0, offset: [0, 0], badge: 0 };
+    result.set(item.id, out);
+    if (item.facing < horizon) continue;
+
+    if (mode === "none") {
+      out.visible = 1;
+      continue;
+    }
+
+    let rect = item.rect;
+    let hit = placed.find((p) => overlaps(rect, p.rect, gap));
+
+    if (hit && mode === "displace") {
+      // try stacking above/below the blocker, nearest first
+      for (let step = 1; step <= maxShift && hit; step++) {
+        for (const sign of [-1, 1]) {
+          const dy = sign * step * (rect.h + gap);
+          const moved = { ...item.rect, y: item.rect.y + dy };
+          if (!placed.some((p) => overlaps(moved, p.rect, gap))) {
+            rect = moved;
+            out.offset = [0, dy];
+            hit = null;
+            break;
+          }
+        }
+      }
+    }
+
+    if (hit) {
+      if (mode === "collapse") result.get(hit.id).badge += 1;
+      continue;
+    }
+
+    out.visible = 1;
+    placed.push({ id: item.id, rect });
+  }
+
+  return result;
+}
+
+/**
+ * Register a label with the surrounding <LabelLayout>. Returns a ref to the
+ * mutable entry (null without a provider). The caller keeps `entry.priority`,
+ * `entry.getRect` etc. current; layout results land on `entry.layout`.
+ */
+export function useLabelLayoutEntry(id) {
+  const registry = useContext(LabelLayoutContext);
+  const entryRef = useRef(null);
+  if (registry && !entryRef.current) {
+    entryRef.current = { id, priority: 0, layout: { visible: 1, offset: [0, 0], badge: 0 } };
+  }
+
+  useEffect(() => {
+    const entry = entryRef.current;
+    if (!registry || !entry) return;
+    entry.id = id;
+    registry.add(entry);
+    return () => registry.delete(entry);
+  }, [registry, id]);
+
+  return registry ? entryRef : null;
+}
@@ -0,0 +1,62 @@
+// Low-precision lunar ephemeris (Astronomical Almanac, "low precision
+// formulae"): about 0.3° in longitude and 0.2° in latitude, enough to put the
+// Moon in the right part of the sky and give it the right phase.
+
+import { DEG2RAD, RAD2DEG, normalizeLon } from "./geo";
+import { julianDay, siderealTime } from "./solar";
+
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+
+const sinDeg = (deg) => Math.sin(deg * DEG2RAD);
+const cosDeg = (deg) => Math.cos(deg * DEG2RAD);
+
+/**
+ * Geocentric Moon position for a UTC instant.
+ * - declination / rightAscension: degrees, +north / 0–360
+ * - sublunarLat / sublunarLon: the point on Earth with the Moon at zenith
+ * - distance: in Earth radii (about 56–64)
+ */
+export function lunarPosition(date) {
+  const d = julianDay(date) - J2000;
+  const T = d / DAYS_PER_CENTURY;
+
+  // ecliptic longitude, latitude and horizontal parallax
+  const lambda =
+    218.32 +
+    481267.881 * T +
+    6.29 * sinDeg(135.0 + 477198.87 * T) -
+    1.27 * sinDeg(259.3 - 413335.36 * T) +
+    0.66 * sinDeg(235.7 + 890534.22 * T) +
+    0.21 * sinDeg(269.9 + 954397.74 * T) -
+    0.19 * sinDeg(357.5 + 35999.05 * T) -
+    0.11 * sinDeg(186.5 + 966404.03 * T);
+  const beta =
+    5.13 * sinDeg(93.3 + 483202.02 * T) +
+    0.28 * sinDeg(228.2 + 960400.89 * T) -
+    0.28 * sinDeg(318.3 + 6003.15 * T) -
+    0.17 * sinDeg(217.6 - 407332.21 * T);
+  const parallax =
+    0.9508 +
+    0.0518 * cosDeg(135.0 + 477198.87 * T) +
+    0.0095 * cosDeg(259.3 - 413335.36 * T) +
+    0.0078 * cosDeg(235.7 + 890534.22 * T) +
+    0.0028 * cosDeg(269.9 + 954397.74 * T);
+
+  // ecliptic → equatorial
+  const epsilon = 23.439 - 0.0000004 * d;
+  const l = cosDeg(beta) * cosDeg(lambda);
+  const m = cosDeg(epsilon) * cosDeg(beta) * sinDeg(lambda) - sinDeg(epsilon) * sinDeg(beta);
+  const n = sinDeg(epsilon) * cosDeg(beta) * sinDeg(lambda) + cosDeg(epsilon) * sinDeg(beta);
+
+  const declination = Math.asin(n) * RAD2DEG;
+  const rightAscension = ((Math.atan2(m, l) * RAD2DEG) % 360 + 360) % 360;
+
+  return {
+    declination,
+    rightAscension,
+    sublunarLat: declination,
+    sublunarLon: normalizeLon(rightAscension - siderealTime(date)),
+    distance: 1 / sinDeg(parallax),
+  };
+}
@@ -0,0 +1,221 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Marker catalog: accepts a GeoJSON FeatureCollection of Points, a plain array
+// of entries, or `{ markers: [...] }`. Entries are normalised to
+//
+//   { id, name, lat, lon, image, description, priority, style,
+//     images, built, country, timezone, facts }
+//
+// The second line is detail-panel content (components/markerPanel): a gallery
+// (defaults to `image`), year built, country, IANA time zone for the local
+// clock, and any extra { label: value } facts.
+//
+// Invalid entries are dropped and reported instead of breaking the globe.
+
+// WonderLabel props a catalog entry may override
+const STYLE_KEYS = ["color", "lineColor", "boxOpacity", "cornerRadius", "labelDistance", "bow"];
+
+function slugify(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const optionalText = (v) => (typeof v === "string" && v.trim() ? v.trim() : typeof v === "number" ? String(v) : null);
+
+// Numbers or numeric strings only (Number(null) / Number("") would give 0)
+function toCoordinate(v) {
+  if (typeof v === "number") return v;
+  if (typeof v === "string" && v.trim() !== "") return Number(v);
+  return NaN;
+}
+
+// Flatten a GeoJSON feature into the same shape as a plain entry
+function fromFeature(feature) {
+  if (feature?.type !== "Feature") return { error: "not a GeoJSON Feature" };
+  if (feature.geometry?.type !== "Point") {
+    return { error: `unsupported geometry "${feature.geometry?.type}" (expected Point)` };
+  }
+  const [lon, lat] = feature.geometry.coordinates ?? [];
+  return { entry: { id: feature.id, ...feature.properties, lat, lon } };
+}
+
+function validateEntry(raw) {
+  if (!raw || typeof raw !== "object") return { error: "entry is not an object" };
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) return { error: "missing name" };
+
+  const lat = toCoordinate(raw.lat ?? raw.latitude);
+  const lon = toCoordinate(raw.lon ?? raw.lng ?? raw.longitude);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return { error: `invalid lat "${raw.lat}"` };
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) return { error: `invalid lon "${raw.lon}"` };
+
+  const id = raw.id != null && raw.id !== "" ? String(raw.id) : slugify(name);
+  if (!id) return { error: "could not derive an id" };
+
+  const priority = raw.priority == null ? 0 : Number(raw.priority);
+  if (!Number.isFinite(priority)) return { error: `invalid priority "${raw.priority}"` };
+
+  const style = {};
+  if (raw.style != null) {
+    if (typeof raw.style !== "object") return { error: "style must be an object" };
+    for (const key of STYLE_KEYS) {
+      if (raw.style[key] !== undefined) style[key] = raw.style[key];
+    }
+  }
+
+  if (raw.images != null && !Array.isArray(raw.images)) return { error: "images must be an array" };
+  const image = typeof raw.image === "string" && raw.image ? raw.image : null;
+  const gallery = (raw.images ?? []).filter((src) => typeof src === "string" && src);
+  const images = gallery.length ? gallery : image ? [image] : [];
+
+  const timezone = optionalText(raw.timezone);
+  if (timezone && !isTimeZone(timezone)) return { error: `unknown timezone "${raw.timezone}"` };
+
+  const facts = {};
+  if (raw.facts != null) {
+    if (typeof raw.facts !== "object" || Array.isArray(raw.facts)) return { error: "facts must be an object" };
+    for (const [label, value] of Object.entries(raw.facts)) {
+      const text = optionalText(value);
+      if (text) facts[label] = text;
+    }
+  }
+
+  return {
+    marker: {
+      id,
+      name,
+      lat,
+      lon,
+      image: image ?? images[0] ?? null,
+      description: typeof raw.description === "string" ? raw.description : "",
+      priority,
+      style,
+      images,
+      built: optionalText(raw.built),
+      country: optionalText(raw.country),
+      timezone,
+      facts,
+    },
+  };
+}
+
+/**
+ * Validate catalog data.
+ * Returns `{ markers, errors }`; each error is `{ index, id, message }`.
+ */
+export function parseMarkerCatalog(data) {
+  const markers = [];
+  const errors = [];
+
+  let entries;
+  let isGeoJSON = false;
+  if (Array.isArray(data)) entries = data;
+  else if (data?.type === "FeatureCollection" && Array.isArray(data.features)) {
+    entries = data.features;
+    isGeoJSON = true;
+  } else if (Array.isArray(data?.markers)) entries = data.markers;
+  else {
+    errors.push({ index: -1, id: null, message: "expected a FeatureCollection, an array or { markers: [] }" });
+    return { markers, errors };
+  }
+
+  const seen = new Set();
+  entries.forEach((item, index) => {
+    let raw = item;
+    if (isGeoJSON) {
+      const { entry, error } = fromFeature(item);
+      if (error) {
+        errors.push({ index, id: item?.properties?.id ?? null, message: error });
+        return;
+      }
+      raw = entry;
+    }
+
+    const { marker, error } = validateEntry(raw);
+    if (error) {
+      errors.push({ index, id: raw?.id ?? null, message: error });
+      return;
+    }
+    if (seen.has(marker.id)) {
+      errors.push({ index, id: marker.id, message: `duplicate id "${marker.id}"` });
+      return;
+    }
+    seen.add(marker.id);
+    markers.push(marker);
+  });
+
+  return { markers, errors };
+}
+
+/** Fetch + parse a catalog (path under public/ or absolute URL) */
+export async function loadMarkerCatalog(url, { signal } = {}) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Marker catalog ${url}: HTTP ${res.status}`);
+  return parseMarkerCatalog(await res.json());
+}
+
+/**
+ * Loads `src` and re-loads whenever it changes. `setMarkers(data)` swaps in
+ * raw catalog data at runtime (validated the same way).
+ */
+export function useMarkerCatalog(src, { onError } = {}) {
+  const [state, setState] = useState({ markers: [], errors: [], status: src ? "loading" : "idle" });
+
+  // latest callback without re-triggering the fetch effect
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  }, [onError]);
+
+  const report = useCallback((errors, source) => {
+    if (!errors.length) return;
+    console.warn(`[markers] ${errors.length} invalid entr${errors.length === 1 ? "y" : "ies"} in ${source}`, errors);
+    onErrorRef.current?.(errors);
+  }, []);
+
+  useEffect(() => {
+    if (!src) return;
+    const controller = new AbortController();
+    setState((s) => ({ ...s, status: "loading" }));
+
+    loadMarkerCatalog(src, { signal: controller.signal })
+      .then(({ markers, errors }) => {
+        report(errors, src);
+        setState({ markers, errors, status: "ready" });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        const errors = [{ index: -1, id: null, message: err.message }];
+        report(errors, src);
+        setState({ markers: [], errors, status: "error" });
+      });
+
+    return () => controller.abort();
+  }, [src, report]);
+
+  const setMarkers = useCallback(
+    (data) => {
+      const { markers, errors } = parseMarkerCatalog(data);
+      report(errors, "setMarkers()");
+      setState({ markers, errors, status: "ready" });
+      return { markers, errors };
+    },
+    [report]
+  );
+
+  return { ...state, setMarkers };
+}
@@ -0,0 +1,63 @@
+import * as THREE from "three";
+import { DEG2RAD, latLonToVec3, vec3ToLatLon } from "./geo";
+
+// Zoom-dependent clustering for large marker sets. Every level buckets the
+// markers into lat/lon cells of roughly equal area; the finest level (cell 0)
+// keeps one cluster per marker.
+
+export const CLUSTER_CELLS = [32, 16, 8, 4, 2, 1, 0.5, 0]; // degrees
+
+function clusterLevel(markers, dirs, cell) {
+  if (cell === 0) {
+    return markers.map((m, i) => ({ id: m.id, lat: m.lat, lon: m.lon, count: 1, members: [i], marker: m }));
+  }
+
+  const buckets = new Map();
+  markers.forEach((m, i) => {
+    const row = Math.floor((m.lat + 90) / cell);
+    // fewer, wider cells towards the poles
+    const rowLat = -90 + (row + 0.5) * cell;
+    const cols = Math.max(1, Math.floor((360 * Math.cos(rowLat * DEG2RAD)) / cell));
+    const col = Math.min(cols - 1, Math.floor(((m.lon + 180) / 360) * cols));
+    const key = row * 4096 + col;
+    let bucket = buckets.get(key);
+    if (!bucket) buckets.set(key, (bucket = { key, members: [], sum: new THREE.Vector3() }));
+    bucket.members.push(i);
+    bucket.sum.add(dirs[i]);
+  });
+
+  return [...buckets.values()].map(({ key, members, sum }) => {
+    if (members.length === 1) {
+      const m = markers[members[0]];
+      return { id: m.id, lat: m.lat, lon: m.lon, count: 1, members, marker: m };
+    }
+    const { lat, lon } = vec3ToLatLon(sum);
+    return { id: `cluster-${cell}-${key}`, lat, lon, count: members.length, members, marker: null };
+  });
+}
+
+/**
+ * Precompute every level for `markers` ({ id, lat, lon }).
+ * Returns [{ cell, clusters: [{ id, lat, lon, count, members, marker }] }],
+ * coarsest first. `marker` is set for single-member clusters.
+ */
+export function buildClusterLevels(markers, cells = CLUSTER_CELLS) {
+  const dirs = markers.map((m) => latLonToVec3(m.lat, m.lon, 1));
+  return cells.map((cell) => ({ cell, clusters: clusterLevel(markers, dirs, cell) }));
+}
+
+/**
+ * Pick the level whose cells are about `clusterPx` pixels across on screen.
+ * `altitude` is the camera height above the surface in globe radii.
+ */
+export function pickClusterLevel(levels, { altitude, fov = 50, viewportHeight = 800, clusterPx = 40 }) {
+  // degrees of surface per pixel near the centre of the view
+  const viewRad = 2 * altitude * Math.tan((fov * Math.PI) / 360);
+  const degPerPx = (viewRad * 180) / Math.PI / viewportHeight;
+  const target = clusterPx * degPerPx;
+
+  for (let i = 0; i < levels.length; i++) {
+    if (levels[i].cell <= target) return i;
+  }
+  return levels.length - 1;
+}
@@ -0,0 +1,149 @@
+import { RAD2DEG, angularDistance, haversineDistance, initialBearing, interpolateGreatCircle, normalizeLon } from "./geo";
+import { translateEnglish } from "./i18n";
+
+// Great-circle measurements along a path of clicked points (`{ lat, lon,
+// name? }`): per-leg distance, initial bearing and the difference in local
+// solar time, plus text and GeoJSON for the clipboard. The time difference is
+// by longitude (15° an hour), not by time zone, so it is only approximate.
+// Formatters take the locale's `t` (utils/i18n) and default to English.
+
+export const MEASURE_UNITS = { km: 1, mi: 0.621371 };
+
+/** Hours that local solar time at b is ahead of a (−12..12) */
+export const solarTimeDifference = (a, b) => normalizeLon(b.lon - a.lon) / 15;
+
+/** `{ legs: [{ from, to, km, bearing, hours }], km, hours }` for consecutive points */
+export function measurePath(points) {
+  const legs = [];
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    legs.push({
+      from,
+      to,
+      km: haversineDistance(from, to),
+      bearing: initialBearing(from, to),
+      hours: solarTimeDifference(from, to),
+    });
+  }
+  return {
+    legs,
+    km: legs.reduce((sum, leg) => sum + leg.km, 0),
+    hours: points.length > 1 ? solarTimeDifference(points[0], points[points.length - 1]) : 0,
+  };
+}
+
+/**
+ * Points along the great circle from a to b, at most `step` degrees apart
+ * (end points included). Split into runs where it crosses the antimeridian,
+ * with the crossing point closing one run and opening the next.
+ */
+export function geodesicRuns(a, b, step = 1) {
+  const count = Math.max(1, Math.ceil((angularDistance(a, b) * RAD2DEG) / step));
+  const runs = [[]];
+  let prev = null;
+  for (let i = 0; i <= count; i++) {
+    const end = i === 0 ? a : i === count ? b : null;
+    const p = end ? { lat: end.lat, lon: normalizeLon(end.lon) } : interpolateGreatCircle(a, b, i / count);
+    if (prev && Math.abs(p.lon - prev.lon) > 180) {
+      const edge = prev.lon > 0 ? 180 : -180;
+      const lon = p.lon + (edge > 0 ? 360 : -360);
+      const t = (edge - prev.lon) / (lon - prev.lon);
+      const lat = prev.lat + (p.lat - prev.lat) * t;
+      runs[runs.length - 1].push({ lat, lon: edge });
+      runs.push([{ lat, lon: -edge }]);
+    }
+    runs[runs.length - 1].push(p);
+    prev = p;
+  }
+  return runs;
+}
+
+/** "1,234 km", with one decimal below 10 */
+export function formatDistance(km, unit = "km") {
+  const value = km * (MEASURE_UNITS[unit] ?? 1);
+  const digits = value < 10 ? 1 : 0;
+  return `${value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })} ${unit}`;
+}
+
+/** "47° NE" (16 compass points, "N|NNE|…" in the bundle) */
+export function formatBearing(bearing, t = translateEnglish) {
+  const rounded = Math.round(bearing) % 360;
+  return `${rounded}° ${t("measure.compass").split("|")[Math.round(bearing / 22.5) % 16]}`;
+}
+
+/** "+3 h 20 min", "−45 min", "±0" */
+export function formatTimeDifference(hours, t = translateEnglish) {
+  const minutes = Math.round(hours * 60);
+  if (minutes === 0) return "±0";
+  const sign = minutes > 0 ? "+" : "−";
+  const h = Math.floor(Math.abs(minutes) / 60);
+  const m = Math.abs(minutes) % 60;
+  const parts = [h && t("measure.hours", { hours: h }), m && t("measure.minutes", { minutes: m })];
+  return sign + parts.filter(Boolean).join(" ");
+}
+
+const formatPoint = (p) => p.name ?? `${p.lat.toFixed(4)}, ${p.lon.toFixed(4)}`;
+
+/** Plain-text summary, one leg per line and the total */
+export function measureToText(points, unit = "km", t = translateEnglish) {
+  const { legs, km, hours } = measurePath(points);
+  const localTime = (h) => t("measure.localTime", { difference: formatTimeDifference(h, t) });
+  const lines = legs.map(
+    (leg, i) =>
+      `${i + 1}. ${formatPoint(leg.from)} → ${formatPoint(leg.to)}: ${formatDistance(leg.km, unit)}, ` +
+      `${t("measure.bearing", { bearing: formatBearing(leg.bearing, t) })}, ${localTime(leg.hours)}`
+  );
+  if (legs.length > 1) lines.push(`${t("measure.total", { distance: formatDistance(km, unit) })}, ${localTime(hours)}`);
+  return lines.join("\n");
+}
+
+/**
+ * GeoJSON FeatureCollection: the path as a (Multi)LineString following the
+ * great circles, cut at the antimeridian (RFC 7946 §3.1.9), and one Point per
+ * clicked point. Distances are in kilometres.
+ */
+export function measureToGeoJSON(points, { step = 1 } = {}) {
+  const { legs, km } = measurePath(points);
+  // consecutive runs that meet (not at a cut) are joined into one line
+  const lines = [];
+  for (const leg of legs) {
+    geodesicRuns(leg.from, leg.to, step).forEach((run, i) => {
+      const coords = run.map((p) => [round(p.lon), round(p.lat)]);
+      if (i === 0 && lines.length) lines[lines.length - 1].push(...coords.slice(1));
+      else lines.push(coords);
+    });
+  }
+  const geometry =
+    lines.length > 1
+      ? { type: "MultiLineString", coordinates: lines }
+      : { type: "LineString", coordinates: lines[0] ?? [] };
+
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry,
+        properties: {
+          distanceKm: round(km, 3),
+          legs: legs.map((leg) => ({
+            distanceKm: round(leg.km, 3),
+            bearing: round(leg.bearing, 2),
+            solarTimeHours: round(leg.hours, 3),
+          })),
+        },
+      },
+      ...points.map((p, i) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [round(p.lon), round(p.lat)] },
+        properties: { index: i, ...(p.name ? { name: p.name } : {}) },
+      })),
+    ],
+  };
+}
+
+function round(value, digits = 6) {
+  const k = 10 ** digits;
+  return Math.round(value * k) / k;
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatBearing,
+  formatDistance,
+  formatTimeDifference,
+  geodesicRuns,
+  measurePath,
+  measureToGeoJSON,
+  measureToText,
+} from "./measure";
+
+const LONDON = { lat: 51.5074, lon: -0.1278, name: "London" };
+const PARIS = { lat: 48.8566, lon: 2.3522, name: "Paris" };
+
+describe("geodesicRuns", () => {
+  it("keeps a route that doesn't cross the antimeridian in one run", () => {
+    const runs = geodesicRuns({ lat: 0, lon: 0 }, { lat: 0, lon: 10 }, 1);
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toHaveLength(11);
+    expect(runs[0][0]).toEqual({ lat: 0, lon: 0 });
+    expect(runs[0][10]).toEqual({ lat: 0, lon: 10 });
+  });
+
+  it("splits at the antimeridian with the crossing on both runs", () => {
+    const runs = geodesicRuns({ lat: 10, lon: 170 }, { lat: 10, lon: -170 }, 1);
+    expect(runs).toHaveLength(2);
+    const [east, west] = runs;
+    expect(east[east.length - 1].lon).toBe(180);
+    expect(west[0].lon).toBe(-180);
+    expect(west[0].lat).toBeCloseTo(east[east.length - 1].lat, 9);
+    expect(east.every((p) => p.lon >= 170)).toBe(true);
+    expect(west.every((p) => p.lon <= -170)).toBe(true);
+  });
+
+  it("normalizes end point longitudes", () => {
+    const [run] = geodesicRuns({ lat: 0, lon: 370 }, { lat: 0, lon: 15 }, 5);
+    expect(run[0].lon).toBe(10);
+  });
+});
+
+describe("measurePath", () => {
+  it("sums legs and compares solar time between the ends", () => {
+    const { legs, km, hours } = measurePath([LONDON, PARIS, { lat: 0, lon: 30 }]);
+    expect(legs).toHaveLength(2);
+    expect(legs[0].km).toBeCloseTo(343.5, 0);
+    expect(km).toBeCloseTo(legs[0].km + legs[1].km, 9);
+    expect(hours).toBeCloseTo((30 + 0.1278) / 15, 9);
+  });
+
+  it("takes the short way round for the time difference", () => {
+    expect(measurePath([{ lat: 0, lon: 170 }, { lat: 0, lon: -170 }]).hours).toBeCloseTo(20 / 15, 9);
+  });
+});
+
+describe("formatters", () => {
+  it("formats distances with a decimal below 10", () => {
+    expect(formatDistance(5.25)).toMatch(/^5[.,]3 km$/);
+    expect(formatDistance(100, "mi")).toBe("62 mi");
+  });
+
+  it("names the nearest of 16 compass points", () => {
+    expect(formatBearing(0)).toBe("0° N");
+    expect(formatBearing(47)).toBe("47° NE");
+    expect(formatBearing(115)).toBe("115° ESE");
+    expect(formatBearing(359.8)).toBe("0° N");
+  });
+
+  it("formats signed hours and minutes", () => {
+    expect(formatTimeDifference(0)).toBe("±0");
+    expect(formatTimeDifference(3 + 20 / 60)).toBe("+3 h 20 min");
+    expect(formatTimeDifference(-0.75)).toBe("−45 min");
+    expect(formatTimeDifference(2)).toBe("+2 h");
+  });
+
+  it("takes the translations from `t`", () => {
+    const t = (key, params) =>
+      ({
+        "measure.compass": "N|NNO|NO|ONO|O|OSO|SO|SSO|S|SSW|SW|WSW|W|WNW|NW|NNW",
+        "measure.hours": `${params?.hours} Std.`,
+        "measure.minutes": `${params?.minutes} Min.`,
+      })[key];
+    expect(formatBearing(90, t)).toBe("90° O");
+    expect(formatTimeDifference(1.5, t)).toBe("+1 Std. 30 Min.");
+  });
+});
+
+describe("measureToText / measureToGeoJSON", () => {
+  it("writes one line per leg and a total", () => {
+    const lines = measureToText([LONDON, PARIS, LONDON]).split("\n");
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^1\. London → Paris: 344 km, /);
+    expect(lines[2]).toMatch(/^Total/);
+  });
+
+  it("cuts the line at the antimeridian", () => {
+    const { features } = measureToGeoJSON([
+      { lat: 0, lon: 170 },
+      { lat: 0, lon: -170 },
+    ]);
+    expect(features[0].geometry.type).toBe("MultiLineString");
+    expect(features[0].geometry.coordinates).toHaveLength(2);
+    expect(features.filter((f) => f.geometry.type === "Point")).toHaveLength(2);
+  });
+
+  it("joins legs that meet into one line", () => {
+    const { features } = measureToGeoJSON([LONDON, PARIS, { lat: 52.52, lon: 13.405 }]);
+    expect(features[0].geometry.type).toBe("LineString");
+  });
+});
@@ -0,0 +1,157 @@
+// Offline place search: the loaded markers plus a bundled gazetteer of
+// countries and major cities (public/data/gazetteer.json). Pure functions;
+// they run inside the search worker (utils/searchWorker), off the render thread.
+//
+// A place is { id, name, kind: "marker" | "city" | "country", lat, lon,
+// detail, population, alternates }. Matching is accent- and case-insensitive
+// ("chichen itza" finds "Chichén Itzá") and tolerates a typo or two.
+
+export const DEFAULT_GAZETTEER = "/data/gazetteer.json";
+
+// letters NFKD doesn't split into base + accent
+const FOLD = { ß: "ss", æ: "ae", œ: "oe", ø: "o", ł: "l", đ: "d", ð: "d", þ: "th", ı: "i", ħ: "h" };
+
+/** Lowercase, accents stripped, punctuation collapsed to single spaces (other scripts keep their vowel signs) */
+export function foldText(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[ßæœøłđðþıħ]/g, (c) => FOLD[c])
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+const validRow = (lat, lon) =>
+  typeof lat === "number" && lat >= -90 && lat <= 90 && typeof lon === "number" && lon >= -180 && lon <= 180;
+
+/**
+ * Gazetteer rows → places. Countries are [code, name, lat, lon, population,
+ * alternates?], cities [name, countryCode, lat, lon, population, alternates?].
+ * Malformed rows are skipped.
+ */
+export function parseGazetteer(data) {
+  const places = [];
+  const countryNames = {};
+
+  for (const row of data?.countries ?? []) {
+    const [code, name, lat, lon, population = 0, alternates = []] = Array.isArray(row) ? row : [];
+    if (typeof name !== "string" || !validRow(lat, lon)) continue;
+    countryNames[code] = name;
+    places.push({ id: `country:${code}`, name, kind: "country", lat, lon, detail: "Country", population, alternates });
+  }
+
+  for (const row of data?.cities ?? []) {
+    const [name, code, lat, lon, population = 0, alternates = []] = Array.isArray(row) ? row : [];
+    if (typeof name !== "string" || !validRow(lat, lon)) continue;
+    places.push({
+      id: `city:${code}:${foldText(name).replace(/ /g, "-")}`,
+      name,
+      kind: "city",
+      lat,
+      lon,
+      detail: countryNames[code] ?? "",
+      population,
+      alternates,
+    });
+  }
+
+  return places;
+}
+
+/** Catalog markers → places (see utils/markerCatalog) */
+export function markerPlaces(markers) {
+  return markers.map((m) => ({
+    id: m.id,
+    name: m.name,
+    kind: "marker",
+    lat: m.lat,
+    lon: m.lon,
+    detail: m.country ?? "",
+    population: 0,
+    alternates: m.aliases ?? [],
+  }));
+}
+
+/** Pre-folds every name and alternate name once */
+export function createSearchIndex(places) {
+  return places.map((place) => ({
+    place,
+    keys: [place.name, ...place.alternates].map((name) => {
+      const text = foldText(name);
+      return { text, compact: text.replace(/ /g, ""), words: text.split(" ") };
+    }),
+  }));
+}
+
+// Edit distance (with adjacent swaps) from `query` to the closest prefix of
+// `target`: "pari" → "paris" is 0, "pairs" → "paris" is 1. Infinity once past `max`.
+function prefixDistance(query, target, max) {
+  let before = null;
+  let prev = Array.from({ length: target.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= query.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= target.length; j++) {
+      const cost = query[i - 1] === target[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (before && query[i - 1] === target[j - 2] && query[i - 2] === target[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return Infinity;
+    before = prev;
+    prev = row;
+  }
+  return Math.min(...prev);
+}
+
+// typos allowed for a query of this many letters
+const typoBudget = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// 0 for no match, higher is better
+function scoreKey(key, query) {
+  if (key.text === query.text) return 100;
+  if (key.text.startsWith(query.text)) return 85;
+  if (` ${key.text}`.includes(` ${query.text}`)) return 70;
+  if (key.compact.startsWith(query.compact)) return 65;
+  if (query.words.every((w) => key.words.some((k) => k.startsWith(w)))) return 60;
+  if (query.compact.length < 3) return 0;
+  if (key.text.includes(query.text) || key.compact.includes(query.compact)) return 50;
+
+  // every query word is a (slightly misspelt) start of some word in the name
+  let budget = typoBudget(query.compact.length);
+  if (!budget) return 0;
+  for (const word of query.words) {
+    const max = word.length < 3 ? 0 : budget;
+    const errors = Math.min(...key.words.map((k) => prefixDistance(word, k, max)));
+    if (errors > max) return 0;
+    budget -= errors;
+  }
+  return 40 - 10 * (typoBudget(query.compact.length) - budget);
+}
+
+// markers first, then countries; bigger places win ties
+const KIND_BOOST = { marker: 12, country: 4, city: 0 };
+
+/** Best matches for `query` across one or more indexes */
+export function searchPlaces(indexes, query, { limit = 8 } = {}) {
+  const text = foldText(query);
+  if (!text) return [];
+  const folded = { text, compact: text.replace(/ /g, ""), words: text.split(" ") };
+
+  const hits = [];
+  for (const index of indexes) {
+    for (const { place, keys } of index) {
+      let score = 0;
+      for (const key of keys) score = Math.max(score, scoreKey(key, folded));
+      if (!score) continue;
+      score += KIND_BOOST[place.kind] + Math.log10(place.population + 1) * 0.8;
+      hits.push({ place, score });
+    }
+  }
+
+  hits.sort((a, b) => b.score - a.score || a.place.name.length - b.place.name.length);
+  return hits.slice(0, limit).map(({ place, score }) => ({ ...place, score }));
+}
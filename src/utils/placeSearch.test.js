@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { createSearchIndex, foldText, markerPlaces, parseGazetteer, searchPlaces } from "./placeSearch";
+
+const gazetteer = parseGazetteer({
+  countries: [
+    ["MX", "Mexico", 23.6, -102.5, 126000000, ["México"]],
+    ["FR", "France", 46.2, 2.2, 68000000],
+  ],
+  cities: [
+    ["Paris", "FR", 48.8566, 2.3522, 2100000],
+    ["Mérida", "MX", 20.97, -89.62, 900000],
+    ["São Paulo", "BR", -23.55, -46.63, 12300000],
+    ["Nowhere", "FR", 120, 0, 1],
+  ],
+});
+const markers = markerPlaces([
+  { id: "chichen-itza", name: "Chichén Itzá", lat: 20.68, lon: -88.57, country: "Mexico", aliases: ["Chichen Itza"] },
+  { id: "taj-mahal", name: "Taj Mahal", lat: 27.17, lon: 78.04, country: "India" },
+]);
+const indexes = [createSearchIndex(markers), createSearchIndex(gazetteer)];
+const search = (query, options) => searchPlaces(indexes, query, options).map((p) => p.id);
+
+describe("foldText", () => {
+  it("drops accents, case and punctuation", () => {
+    expect(foldText("Chichén Itzá")).toBe("chichen itza");
+    expect(foldText("  São-Paulo! ")).toBe("sao paulo");
+    expect(foldText("Straße Øresund")).toBe("strasse oresund");
+  });
+
+  it("keeps other scripts readable", () => {
+    expect(foldText("ताज महल")).toBe("ताज महल");
+    expect(foldText("故宫")).toBe("故宫");
+  });
+});
+
+describe("parseGazetteer", () => {
+  it("names the country of each city and skips bad rows", () => {
+    expect(gazetteer.map((p) => p.id)).toEqual(["country:MX", "country:FR", "city:FR:paris", "city:MX:merida", "city:BR:sao-paulo"]);
+    expect(gazetteer.find((p) => p.name === "Paris").detail).toBe("France");
+    expect(gazetteer.find((p) => p.name === "São Paulo").detail).toBe("");
+  });
+});
+
+describe("searchPlaces", () => {
+  it("matches without accents", () => {
+    expect(search("chichen itza")[0]).toBe("chichen-itza");
+    expect(search("CHICHÉN")[0]).toBe("chichen-itza");
+    expect(search("merida")[0]).toBe("city:MX:merida");
+    expect(search("sao paulo")[0]).toBe("city:BR:sao-paulo");
+  });
+
+  it("matches prefixes and later words", () => {
+    expect(search("pari")[0]).toBe("city:FR:paris");
+    expect(search("mahal")[0]).toBe("taj-mahal");
+    expect(search("itza")[0]).toBe("chichen-itza");
+  });
+
+  it("tolerates typos in longer queries only", () => {
+    expect(search("pairs")[0]).toBe("city:FR:paris");
+    expect(search("chichen itsa")[0]).toBe("chichen-itza");
+    expect(search("pqr")).toEqual([]);
+  });
+
+  it("matches alternate names", () => {
+    expect(search("méxico")[0]).toBe("country:MX");
+  });
+
+  it("returns nothing for an empty query and honours the limit", () => {
+    expect(search("  ")).toEqual([]);
+    expect(search("m")).toHaveLength(3);
+    expect(search("m", { limit: 2 })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,226 @@
+import { createContext, useContext } from "react";
+import * as THREE from "three";
+import { DEG2RAD, RAD2DEG, latLonToVec3, normalizeLon, vec3ToLatLon } from "./geo";
+import { createTransition } from "./transition";
+
+// Globe ↔ flat map morph. The earth shader (shaders/includes/projection.glsl)
+// and everything placed on the surface (labels, pins, picking, the camera)
+// read the same state, so they move together.
+//
+// Flat maps lie in the planet-frame plane x = 0, centred on lon 0 with north
+// up: map x (east) is planet −Z, map y is planet +Y, and things above the
+// surface stand out along +X. With the planet turned to FLAT_ROTATION that
+// plane faces the default camera (+Z). Map units are the globe radius.
+
+export const PROJECTIONS = ["globe", "equirectangular", "mercator", "robinson"];
+
+// shader ids (uProjectionFrom / uProjectionTo)
+export const PROJECTION_IDS = { globe: 0, equirectangular: 1, mercator: 2, robinson: 3 };
+
+export const FLAT_ROTATION = -Math.PI / 2;
+export const MERCATOR_MAX_LAT = 85.0511; // square map
+
+// Robinson's table (Snyder 1993), every 5° of latitude
+const ROBINSON_X = [
+  1.0, 0.9986, 0.9954, 0.99, 0.9822, 0.973, 0.96, 0.9427, 0.9216, 0.8962, 0.8679, 0.835, 0.7986, 0.7597, 0.7186,
+  0.6732, 0.6213, 0.5722, 0.5322,
+];
+const ROBINSON_Y = [
+  0.0, 0.062, 0.124, 0.186, 0.248, 0.31, 0.372, 0.434, 0.4958, 0.5571, 0.6176, 0.6769, 0.7346, 0.7903, 0.8435,
+  0.8936, 0.9394, 0.9761, 1.0,
+];
+const ROBINSON_XK = 0.8487;
+const ROBINSON_YK = 1.3523;
+
+function robinsonFactors(lat) {
+  const i = Math.min(Math.abs(lat) / 5, 18);
+  const i0 = Math.min(Math.floor(i), 17);
+  const f = i - i0;
+  return [
+    ROBINSON_X[i0] + (ROBINSON_X[i0 + 1] - ROBINSON_X[i0]) * f,
+    ROBINSON_Y[i0] + (ROBINSON_Y[i0 + 1] - ROBINSON_Y[i0]) * f,
+  ];
+}
+
+export const isFlatProjection = (name) => name !== "globe" && PROJECTIONS.includes(name);
+
+/** Map coordinates of lat/lon (degrees) in globe radii, `{ x, y }` */
+export function projectFlat(lat, lon, name) {
+  const lambda = normalizeLon(lon) * DEG2RAD;
+  switch (name) {
+    case "mercator": {
+      const phi = Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat)) * DEG2RAD;
+      return { x: lambda, y: Math.log(Math.tan(Math.PI / 4 + phi / 2)) };
+    }
+    case "robinson": {
+      const [kx, ky] = robinsonFactors(lat);
+      return { x: ROBINSON_XK * kx * lambda, y: ROBINSON_YK * ky * Math.sign(lat) };
+    }
+    default:
+      return { x: lambda, y: lat * DEG2RAD };
+  }
+}
+
+/** Inverse of projectFlat; null off the map */
+export function unprojectFlat(x, y, name) {
+  let lat;
+  let lambda = x;
+  switch (name) {
+    case "mercator":
+      if (Math.abs(y) > Math.PI) return null;
+      lat = (2 * Math.atan(Math.exp(y)) - Math.PI / 2) * RAD2DEG;
+      break;
+    case "robinson": {
+      const target = Math.abs(y) / ROBINSON_YK;
+      if (target > 1) return null;
+      // Y grows monotonically with latitude: find the 5° band, then interpolate
+      let i = 0;
+      while (i < 17 && ROBINSON_Y[i + 1] < target) i++;
+      const f = (target - ROBINSON_Y[i]) / (ROBINSON_Y[i + 1] - ROBINSON_Y[i]);
+      lat = Math.sign(y) * (i + Math.min(1, f)) * 5;
+      lambda = x / (ROBINSON_XK * robinsonFactors(lat)[0]);
+      break;
+    }
+    default:
+      lat = y * RAD2DEG;
+  }
+  if (Math.abs(lambda) > Math.PI || Math.abs(lat) > 90) return null;
+  return { lat, lon: normalizeLon(lambda * RAD2DEG) };
+}
+
+/** Map size in globe radii, `{ width, height }` */
+export function flatBounds(name) {
+  switch (name) {
+    case "mercator":
+      return { width: 2 * Math.PI, height: 2 * Math.PI };
+    case "robinson":
+      return { width: 2 * Math.PI * ROBINSON_XK, height: 2 * ROBINSON_YK };
+    default:
+      return { width: 2 * Math.PI, height: Math.PI };
+  }
+}
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+
+function placeIn(name, lat, lon, radius, altitude, target) {
+  if (!isFlatProjection(name)) return latLonToVec3(lat, lon, radius, altitude, target);
+  const { x, y } = projectFlat(lat, lon, name);
+  return target.set(altitude, y * radius, -x * radius);
+}
+
+function upIn(name, lat, lon, target) {
+  return isFlatProjection(name) ? target.set(1, 0, 0) : latLonToVec3(lat, lon, 1, 0, target);
+}
+
+/**
+ * Shared projection state: `from` → `to` at `t` (eased 0..1). Stepped once a
+ * frame by the owner (EarthSystem); readers compare `version` to know when to
+ * re-place things.
+ */
+export function createProjectionController(initial = "globe") {
+  const state = { from: initial, to: initial, t: 1 };
+  let version = 0;
+  let transition = null;
+
+  const controller = {
+    get name() {
+      return state.to;
+    },
+    get state() {
+      return state;
+    },
+    get version() {
+      return version;
+    },
+    /** 0 on the globe, 1 on a flat map */
+    get flatness() {
+      return (isFlatProjection(state.from) ? 1 - state.t : 0) + (isFlatProjection(state.to) ? state.t : 0);
+    },
+    /** The map the state is closest to (for picking and the camera), or null on the globe */
+    get flatName() {
+      const name = state.t < 0.5 ? state.from : state.to;
+      return isFlatProjection(name) ? name : null;
+    },
+
+    /** Morph to `name`; a switch mid-morph starts from whichever end is nearer */
+    set(name, { duration = 1.2, easing = "easeInOutSine" } = {}) {
+      if (!PROJECTIONS.includes(name)) throw new Error(`unknown projection "${name}"`);
+      if (name === state.to) return;
+      transition?.cancel();
+      state.from = state.t < 0.5 ? state.from : state.to;
+      state.to = name;
+      state.t = 0;
+      transition = createTransition({
+        duration,
+        easing,
+        onUpdate: (k) => {
+          state.t = k;
+          version++;
+        },
+      });
+      version++;
+    },
+
+    /** Advance the morph; true when the state changed */
+    step(dt) {
+      if (!transition) return false;
+      const before = version;
+      if (!transition.step(dt)) transition = null;
+      return version !== before;
+    },
+
+    /** Planet-frame position of lat/lon at `altitude` above a globe of `radius` */
+    point(lat, lon, radius = 1, altitude = 0, target = new THREE.Vector3()) {
+      placeIn(state.from, lat, lon, radius, altitude, _a);
+      placeIn(state.to, lat, lon, radius, altitude, _b);
+      return target.lerpVectors(_a, _b, state.t);
+    },
+
+    /** Planet-frame "up" at lat/lon (the surface normal, unit length) */
+    up(lat, lon, target = new THREE.Vector3()) {
+      upIn(state.from, lat, lon, _a);
+      upIn(state.to, lat, lon, _b);
+      target.lerpVectors(_a, _b, state.t);
+      return target.lengthSq() > 1e-8 ? target.normalize() : target.copy(_b);
+    },
+
+    /** lat/lon under a planet-frame point on the surface; null off the map */
+    toLatLon(local, radius = 1) {
+      const flat = controller.flatName;
+      if (!flat) return vec3ToLatLon(local);
+      return unprojectFlat(-local.z / radius, local.y / radius, flat);
+    },
+  };
+  return controller;
+}
+
+/**
+ * Raycast for a globe mesh that may be morphed: on a flat map the ray hits
+ * the map plane (the CPU geometry is still the sphere). Assign as the mesh's
+ * `raycast`.
+ */
+export function createMorphRaycast(controller, radius) {
+  const inverse = new THREE.Matrix4();
+  const ray = new THREE.Ray();
+  const plane = new THREE.Plane(new THREE.Vector3(1, 0, 0), 0);
+  const hit = new THREE.Vector3();
+
+  return function raycast(raycaster, intersects) {
+    if (!controller.flatName) return THREE.Mesh.prototype.raycast.call(this, raycaster, intersects);
+    inverse.copy(this.matrixWorld).invert();
+    ray.copy(raycaster.ray).applyMatrix4(inverse);
+    if (!ray.intersectPlane(plane, hit) || !controller.toLatLon(hit, radius)) return;
+    const point = hit.clone().applyMatrix4(this.matrixWorld);
+    const distance = raycaster.ray.origin.distanceTo(point);
+    if (distance < raycaster.near || distance > raycaster.far) return;
+    intersects.push({ distance, point, object: this });
+  };
+}
+
+const GLOBE = createProjectionController();
+
+export const ProjectionContext = createContext(null);
+
+/** The scene's projection controller (a fixed globe outside a provider) */
+export const useProjection = () => useContext(ProjectionContext) ?? GLOBE;
@@ -0,0 +1,63 @@
+import { useEffect, useState } from "react";
+
+// Render quality tiers. "auto" starts at high and lets a frame-time monitor
+// move between tiers; the others are fixed.
+//
+//   dpr             Canvas device pixel ratio range
+//   segments        sphere segments for the earth, cloud and atmosphere shells
+//   textures        "high" (4k) or "low" (1k) earth textures
+//   anisotropy      texture anisotropy cap
+//   instancedAbove  marker count above which pins replace cards
+//   maxCards        full cards kept in instanced mode
+//   starLimit       faintest star magnitude in the sky (lower = fewer stars)
+//   milkyWay        draw the Milky Way band (a full-screen noise shader)
+
+export const QUALITY_TIERS = {
+  low: {
+    dpr: [1, 1], segments: 32, textures: "low", anisotropy: 1, instancedAbove: 50, maxCards: 2,
+    starLimit: 4.5, milkyWay: false,
+  },
+  medium: {
+    dpr: [1, 1.5], segments: 48, textures: "high", anisotropy: 4, instancedAbove: 100, maxCards: 4,
+    starLimit: 5.5, milkyWay: true,
+  },
+  high: {
+    dpr: [1, 2], segments: 64, textures: "high", anisotropy: 8, instancedAbove: 200, maxCards: 5,
+    starLimit: 6, milkyWay: true,
+  },
+};
+
+export const QUALITY_MODES = ["auto", "low", "medium", "high"];
+
+const ORDER = ["low", "medium", "high"];
+
+/** Neighbouring tier, `step` = +1 (better) or -1 (cheaper); clamps at the ends */
+export function stepQuality(tier, step) {
+  const i = ORDER.indexOf(tier);
+  return ORDER[Math.min(ORDER.length - 1, Math.max(0, (i < 0 ? ORDER.length - 1 : i) + step))];
+}
+
+/**
+ * False while the page is hidden (Page Visibility) or `ref`'s element is
+ * scrolled out of view (IntersectionObserver), e.g. an offscreen embed.
+ */
+export function useRenderVisibility(ref) {
+  const [pageVisible, setPageVisible] = useState(() => typeof document === "undefined" || !document.hidden);
+  const [inView, setInView] = useState(true);
+
+  useEffect(() => {
+    const onChange = () => setPageVisible(!document.hidden);
+    document.addEventListener("visibilitychange", onChange);
+    return () => document.removeEventListener("visibilitychange", onChange);
+  }, []);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver(([entry]) => setInView(entry.isIntersecting));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return pageVisible && inView;
+}
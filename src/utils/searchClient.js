@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { DEFAULT_GAZETTEER, markerPlaces } from "./placeSearch";
+
+/**
+ * Place search over `markers` plus the bundled gazetteer, answered by a Web
+ * Worker (utils/searchWorker). `search(query)` is fire-and-forget; `results`
+ * always belong to the latest query, older answers are dropped.
+ * `status` is "loading" until the gazetteer is indexed, then "ready", or
+ * "error" if it couldn't be loaded (markers are still searched).
+ */
+export function usePlaceSearch(markers, { gazetteerSrc = DEFAULT_GAZETTEER, limit = 8 } = {}) {
+  const workerRef = useRef(null);
+  const latest = useRef({ id: 0, query: "" });
+  const [results, setResults] = useState([]);
+  const [status, setStatus] = useState(gazetteerSrc ? "loading" : "ready");
+
+  useEffect(() => {
+    const worker = new Worker(new URL("./searchWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.type === "status") {
+        if (data.error) console.warn("[search]", data.error);
+        setStatus(data.status);
+      } else if (data.type === "results" && data.id === latest.current.id) {
+        setResults(data.results);
+      }
+    };
+    worker.onerror = (e) => {
+      console.warn("[search] worker failed", e.message);
+      setStatus("error");
+    };
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  const post = useCallback(
+    (query) => {
+      const id = latest.current.id + 1;
+      latest.current = { id, query };
+      if (!query.trim()) setResults([]);
+      else workerRef.current?.postMessage({ type: "search", id, query, limit });
+    },
+    [limit]
+  );
+
+  useEffect(() => {
+    if (!gazetteerSrc) return;
+    setStatus("loading");
+    workerRef.current?.postMessage({ type: "gazetteer", url: new URL(gazetteerSrc, window.location.href).href });
+  }, [gazetteerSrc]);
+
+  // a new catalog re-runs whatever is in the box, as does the gazetteer coming in
+  useEffect(() => {
+    workerRef.current?.postMessage({ type: "markers", places: markerPlaces(markers) });
+    if (latest.current.query) post(latest.current.query);
+  }, [markers, post]);
+  useEffect(() => {
+    if (status !== "loading" && latest.current.query) post(latest.current.query);
+  }, [status, post]);
+
+  return { results, status, search: post };
+}
@@ -0,0 +1,44 @@
+import { createSearchIndex, parseGazetteer, searchPlaces } from "./placeSearch";
+
+// Place search off the main thread, so typing never stalls rendering
+// (see usePlaceSearch in utils/searchClient). Messages:
+//
+//   → { type: "gazetteer", url }          fetch and index the bundled place list
+//   → { type: "markers", places }         re-index the catalog markers
+//   → { type: "search", id, query, limit }
+//   ← { type: "status", status: "ready" | "error", count, error? }
+//   ← { type: "results", id, results }
+
+let markerIndex = [];
+let gazetteerIndex = [];
+
+async function loadGazetteer(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Gazetteer ${url}: HTTP ${res.status}`);
+    gazetteerIndex = createSearchIndex(parseGazetteer(await res.json()));
+    self.postMessage({ type: "status", status: "ready", count: gazetteerIndex.length });
+  } catch (err) {
+    // markers stay searchable without it
+    gazetteerIndex = [];
+    self.postMessage({ type: "status", status: "error", count: 0, error: err.message });
+  }
+}
+
+self.onmessage = ({ data }) => {
+  switch (data?.type) {
+    case "gazetteer":
+      loadGazetteer(data.url);
+      break;
+    case "markers":
+      markerIndex = createSearchIndex(data.places);
+      break;
+    case "search":
+      self.postMessage({
+        type: "results",
+        id: data.id,
+        results: searchPlaces([markerIndex, gazetteerIndex], data.query, { limit: data.limit }),
+      });
+      break;
+  }
+};
@@ -0,0 +1,81 @@
+// Low-precision solar ephemeris (Astronomical Almanac / NOAA approximation).
+// Good to ~0.01° for declination and a few seconds for the equation of time
+// between 1950 and 2050, which is plenty for placing the terminator.
+
+import { DEG2RAD, RAD2DEG, angularDistance, normalizeLon } from "./geo";
+
+const MS_PER_DAY = 86400000;
+const J2000 = 2451545.0;
+
+function normalizeDegrees(deg) {
+  const d = deg % 360;
+  return d < 0 ? d + 360 : d;
+}
+
+export function julianDay(date) {
+  return date.getTime() / MS_PER_DAY + 2440587.5;
+}
+
+/**
+ * Sun position for a UTC instant.
+ * - declination / rightAscension: degrees, +north / 0–360
+ * - equationOfTime: minutes (apparent − mean solar time)
+ * - subsolarLat / subsolarLon: the point on Earth where the sun is at zenith
+ */
+export function solarPosition(date) {
+  const n = julianDay(date) - J2000;
+
+  // mean longitude & mean anomaly
+  const L = normalizeDegrees(280.46 + 0.9856474 * n);
+  const g = normalizeDegrees(357.528 + 0.9856003 * n) * DEG2RAD;
+
+  // ecliptic longitude & obliquity
+  const lambda = (L + 1.915 * Math.sin(g) + 0.02 * Math.sin(2 * g)) * DEG2RAD;
+  const epsilon = (23.439 - 0.0000004 * n) * DEG2RAD;
+
+  const declination = Math.asin(Math.sin(epsilon) * Math.sin(lambda)) * RAD2DEG;
+  const rightAscension = normalizeDegrees(
+    Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda)) * RAD2DEG
+  );
+
+  // L − α, folded into ±180°, then 4 minutes per degree
+  let eotDeg = L - rightAscension;
+  eotDeg = normalizeDegrees(eotDeg + 180) - 180;
+  const equationOfTime = eotDeg * 4;
+
+  // sun is overhead where local apparent solar time is 12:00
+  const msOfDay = ((date.getTime() % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY;
+  const utcHours = msOfDay / 3600000;
+  const subsolarLon = normalizeLon(-15 * (utcHours - 12 + equationOfTime / 60));
+
+  return {
+    declination,
+    rightAscension,
+    equationOfTime,
+    subsolarLat: declination,
+    subsolarLon,
+  };
+}
+
+/**
+ * Greenwich mean sidereal time in degrees (0–360): the right ascension on the
+ * meridian at longitude 0, so a sky object at RA α stands over α − GMST.
+ */
+export function siderealTime(date) {
+  return normalizeDegrees(280.46061837 + 360.98564736629 * (julianDay(date) - J2000));
+}
+
+/**
+ * Sun elevation above the horizon at lat/lon (degrees, negative at night).
+ * Geometric only: no refraction, so sunrise/sunset are off by a few minutes.
+ */
+export function sunElevation(date, lat, lon) {
+  const { subsolarLat, subsolarLon } = solarPosition(date);
+  return 90 - angularDistance({ lat, lon }, { lat: subsolarLat, lon: subsolarLon }) * RAD2DEG;
+}
+
+/** "day", "twilight" (civil, sun less than 6° below the horizon) or "night" */
+export function daylightState(elevation) {
+  if (elevation > 0) return "day";
+  return elevation > -6 ? "twilight" : "night";
+}
@@ -0,0 +1,61 @@
+import * as THREE from "three";
+import { latLonToVec3 } from "./geo";
+
+// Bright-star catalog for the sky background: `public/data/stars.json` is
+// `{ columns: ["ra", "dec", "mag", "bv"], stars: [[...]] }`, sorted by
+// magnitude. Stars are laid out on the unit sphere in the celestial frame,
+// with RA standing in for longitude (see SkyLayer for the sidereal spin).
+
+export const DEFAULT_STARS = "/data/stars.json";
+
+// Galactic pole and centre (J2000), for the Milky Way band
+export const GALACTIC_POLE = { ra: 192.8595, dec: 27.1283 };
+export const GALACTIC_CENTER = { ra: 266.405, dec: -28.936 };
+
+/** Direction of an RA/Dec on the unit sphere, in the celestial frame */
+export const celestialToVec3 = ({ ra, dec }, target) => latLonToVec3(dec, ra, 1, 0, target);
+
+// B−V colour index → tint (blue-white O/B stars to orange M stars)
+const BV_STOPS = [
+  [-0.4, new THREE.Color("#9bb0ff")],
+  [0.0, new THREE.Color("#cad7ff")],
+  [0.6, new THREE.Color("#fff4ea")],
+  [1.0, new THREE.Color("#ffd2a1")],
+  [1.6, new THREE.Color("#ffad51")],
+];
+
+export function bvToColor(bv, target = new THREE.Color()) {
+  if (!(bv > BV_STOPS[0][0])) return target.copy(BV_STOPS[0][1]);
+  for (let i = 1; i < BV_STOPS.length; i++) {
+    const [b, color] = BV_STOPS[i];
+    if (bv <= b) {
+      const [a, from] = BV_STOPS[i - 1];
+      return target.lerpColors(from, color, (bv - a) / (b - a));
+    }
+  }
+  return target.copy(BV_STOPS[BV_STOPS.length - 1][1]);
+}
+
+/**
+ * Point attributes for the stars brighter than `magLimit`: `positions` (unit
+ * vectors), `colors` and `magnitudes`, ready for a BufferGeometry.
+ */
+export function buildStarAttributes(data, { magLimit = 6 } = {}) {
+  const columns = data?.columns ?? ["ra", "dec", "mag", "bv"];
+  const [ra, dec, mag, bv] = ["ra", "dec", "mag", "bv"].map((c) => columns.indexOf(c));
+  if (ra < 0 || dec < 0 || mag < 0 || !Array.isArray(data?.stars)) throw new Error("Star catalog: expected { columns, stars }");
+
+  const rows = data.stars.filter((row) => row[mag] <= magLimit);
+  const positions = new Float32Array(rows.length * 3);
+  const colors = new Float32Array(rows.length * 3);
+  const magnitudes = new Float32Array(rows.length);
+  const v = new THREE.Vector3();
+  const c = new THREE.Color();
+
+  rows.forEach((row, i) => {
+    celestialToVec3({ ra: row[ra], dec: row[dec] }, v).toArray(positions, i * 3);
+    bvToColor(bv < 0 ? 0.6 : row[bv], c).toArray(colors, i * 3);
+    magnitudes[i] = row[mag];
+  });
+  return { positions, colors, magnitudes, count: rows.length };
+}
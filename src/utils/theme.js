@@ -0,0 +1,161 @@
+import { useEffect, useState } from "react";
+import * as THREE from "three";
+
+// The look of the globe in one typed config: atmosphere colours, scene
+// exposure and the label cards. Any of it can change at runtime (Leva →
+// Theme / Presets, embed `setTheme`, ?theme=); colour and exposure changes
+// crossfade in the scene.
+
+// field → type (numbers carry their range and Leva step)
+export const THEME_FIELDS = {
+  atmosphereDayColor: { type: "color" },
+  atmosphereTwilightColor: { type: "color" },
+  labelColor: { type: "color" },
+  lineColor: { type: "color" },
+  boxOpacity: { type: "number", min: 0, max: 1, step: 0.01 }, // label card background
+  exposure: { type: "number", min: 0.5, max: 6, step: 0.1 }, // renderer tone mapping exposure
+};
+
+export const DEFAULT_THEME = {
+  atmosphereDayColor: "#00aaff",
+  atmosphereTwilightColor: "#ff6600",
+  labelColor: "#e8faff",
+  lineColor: "#00e5ff",
+  boxOpacity: 0.65,
+  exposure: 3,
+};
+
+// Built-in presets, addressable from the URL (?theme=neon)
+export const THEMES = {
+  realistic: DEFAULT_THEME,
+  neon: {
+    atmosphereDayColor: "#7a5cff",
+    atmosphereTwilightColor: "#ff2bd6",
+    labelColor: "#fdf6ff",
+    lineColor: "#ff2bd6",
+    boxOpacity: 0.8,
+    exposure: 3.4,
+  },
+  print: {
+    atmosphereDayColor: "#9ec9e8",
+    atmosphereTwilightColor: "#e8b48a",
+    labelColor: "#ffffff",
+    lineColor: "#ffffff",
+    boxOpacity: 0.5,
+    exposure: 2.4,
+  },
+};
+
+export const DEFAULT_THEME_NAME = "realistic";
+
+// links from before the presets were renamed
+const THEME_ALIASES = { default: "realistic" };
+
+export const resolveThemeName = (name) => THEME_ALIASES[name] ?? name;
+
+function sameValue(field, a, b) {
+  if (THEME_FIELDS[field].type === "number") return Math.abs(Number(a) - Number(b)) < 1e-6;
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/** Name of the preset in `presets` that `theme` matches exactly, or null */
+export function findThemeName(theme, presets = THEMES) {
+  const entry = Object.entries(presets).find(([, t]) =>
+    Object.keys(THEME_FIELDS).every((key) => sameValue(key, theme[key], t[key]))
+  );
+  return entry ? entry[0] : null;
+}
+
+// Color#setStyle only warns on bad input, so check the formats it accepts
+function isColor(value) {
+  if (typeof value !== "string") return false;
+  const v = value.trim().toLowerCase();
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(v) || /^(rgb|hsl)a?\(.+\)$/.test(v) || v in THREE.Color.NAMES;
+}
+
+/** Keep known keys with usable values; throws on anything else */
+export function sanitizeTheme(partial) {
+  if (!partial || typeof partial !== "object") throw new Error("theme must be an object");
+  const out = {};
+  for (const [key, value] of Object.entries(partial)) {
+    const field = THEME_FIELDS[key];
+    if (!field) throw new Error(`unknown theme key "${key}"`);
+    if (field.type === "number") {
+      if (typeof value !== "number" || !(value >= field.min && value <= field.max)) {
+        throw new Error(`"${key}" must be a number from ${field.min} to ${field.max}`);
+      }
+    } else if (!isColor(value)) {
+      throw new Error(`invalid colour for "${key}": ${value}`);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+/** A full theme from a partial one; missing fields come from DEFAULT_THEME */
+export const completeTheme = (partial) => ({ ...DEFAULT_THEME, ...sanitizeTheme(partial) });
+
+// Preset files: { format, version, presets: { name: theme } }
+const PRESET_FORMAT = "earth-diagram-presets";
+const STORAGE_KEY = "earth-diagram:presets";
+
+/**
+ * Validate presets from a file or storage. Accepts an exported file, a bare
+ * `{ name: theme }` map, or a single `{ name, theme }`. Returns
+ * `{ presets, errors }`; each error is `{ name, message }`.
+ */
+export function parsePresets(data) {
+  let entries;
+  if (data?.presets && typeof data.presets === "object") entries = Object.entries(data.presets);
+  else if (typeof data?.name === "string" && data.theme) entries = [[data.name, data.theme]];
+  else if (data && typeof data === "object" && !Array.isArray(data)) entries = Object.entries(data);
+  else return { presets: {}, errors: [{ name: null, message: "expected { presets: { name: theme } }" }] };
+
+  const presets = {};
+  const errors = [];
+  for (const [rawName, theme] of entries) {
+    const name = rawName.trim();
+    try {
+      if (!name) throw new Error("missing name");
+      if (Object.hasOwn(THEMES, name)) throw new Error(`"${name}" is a built-in preset`);
+      presets[name] = completeTheme(theme);
+    } catch (err) {
+      errors.push({ name: rawName, message: err.message });
+    }
+  }
+  return { presets, errors };
+}
+
+/** JSON text for a preset file (see parsePresets) */
+export function exportPresets(presets) {
+  return JSON.stringify({ format: PRESET_FORMAT, version: 1, presets }, null, 2);
+}
+
+function readStoredPresets() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+    const { presets, errors } = parsePresets(JSON.parse(raw));
+    if (errors.length) console.warn("[theme] dropped invalid saved presets", errors);
+    return presets;
+  } catch (err) {
+    console.warn("[theme] could not read saved presets", err);
+    return {};
+  }
+}
+
+/**
+ * Presets saved in this browser (localStorage), as `[saved, setSaved]`.
+ * Storage failures (private mode, quota) keep them in memory only.
+ */
+export function useSavedPresets() {
+  const [saved, setSaved] = useState(readStoredPresets);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, exportPresets(saved));
+    } catch (err) {
+      console.warn("[theme] could not save presets", err);
+    }
+  }, [saved]);
+  return [saved, setSaved];
+}
@@ -0,0 +1,64 @@
+// Simulation clock for the sun. Plain mutable object so it can be read every
+// frame (useFrame) and driven from outside React (controls, embed API).
+//
+//   mode 'now'   → follows the wall clock, `speed` fast-forwards from there
+//   mode 'fixed' → starts at `date`, advances at `speed` (0 = frozen)
+
+function toDate(value) {
+  const d = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export default function createTimeController({ mode = "now", date = null, speed = 1 } = {}) {
+  // sim time = anchorSim + (wall − anchorReal) * speed
+  let anchorSim = Date.now();
+  let anchorReal = performance.now();
+  let currentMode = "now";
+  let currentSpeed = speed;
+
+  const simNow = () => anchorSim + (performance.now() - anchorReal) * currentSpeed;
+
+  const reanchor = (simMs) => {
+    anchorSim = simMs;
+    anchorReal = performance.now();
+  };
+
+  const controller = {
+    get mode() {
+      return currentMode;
+    },
+    get speed() {
+      return currentSpeed;
+    },
+
+    /** Current simulated instant */
+    now() {
+      return new Date(simNow());
+    },
+
+    /** Follow the wall clock again */
+    setNow() {
+      currentMode = "now";
+      reanchor(Date.now());
+    },
+
+    /** Jump to a fixed instant (Date | ISO string | ms). Returns false if unparseable. */
+    setDate(value) {
+      const d = toDate(value);
+      if (!d) return false;
+      currentMode = "fixed";
+      reanchor(d.getTime());
+      return true;
+    },
+
+    /** Speed multiplier relative to real time; keeps the current sim instant */
+    setSpeed(multiplier) {
+      if (!Number.isFinite(multiplier)) return;
+      reanchor(simNow());
+      currentSpeed = multiplier;
+    },
+  };
+
+  if (mode === "fixed" && date != null) controller.setDate(date);
+  return controller;
+}
@@ -0,0 +1,225 @@
+// Guided tour: plays an ordered list of steps (fly to a marker, dwell, next).
+// Framework-free like the time controller; the app supplies `goTo(step)`,
+// which moves the camera / opens the card and resolves once it has arrived.
+//
+//   status 'idle'    → not started or stopped
+//          'playing' → flying to or dwelling on steps[index]
+//          'paused'  → stays on steps[index] until play()
+//          'ended'   → ran past the last step without `loop`
+
+const DEFAULT_DWELL = 6; // seconds
+
+/**
+ * Normalise raw steps against the marker list.
+ * Step: { marker, distance?, dwell? (s), caption?, time? (ISO) }. Without a
+ * caption the UI falls back to the marker's description, in the current language.
+ * Returns { steps, errors: [{ index, message }] }.
+ */
+export function parseTourSteps(raw, markers) {
+  const steps = [];
+  const errors = [];
+  if (!Array.isArray(raw)) return { steps, errors: [{ index: -1, message: "expected an array of steps" }] };
+
+  const byId = new Map(markers.map((m) => [m.id, m]));
+  raw.forEach((step, index) => {
+    const id = typeof step === "string" ? step : step?.marker;
+    const marker = byId.get(id);
+    if (!marker) {
+      errors.push({ index, message: `unknown marker "${id}"` });
+      return;
+    }
+    const dwell = step.dwell == null ? DEFAULT_DWELL : Number(step.dwell);
+    if (!Number.isFinite(dwell) || dwell < 0) {
+      errors.push({ index, message: `invalid dwell "${step.dwell}"` });
+      return;
+    }
+    const distance = step.distance == null ? undefined : Number(step.distance);
+    if (distance !== undefined && !(distance > 0)) {
+      errors.push({ index, message: `invalid distance "${step.distance}"` });
+      return;
+    }
+    const time = step.time && !Number.isNaN(new Date(step.time).getTime()) ? step.time : undefined;
+    steps.push({
+      marker,
+      distance,
+      dwell,
+      caption: typeof step.caption === "string" ? step.caption : undefined,
+      time,
+    });
+  });
+  return { steps, errors };
+}
+
+/** One step per marker, in catalog order */
+export function tourFromMarkers(markers, { dwell = DEFAULT_DWELL } = {}) {
+  return markers.map((marker) => ({ marker, dwell }));
+}
+
+/**
+ * @param goTo     (step, index) => Promise<boolean>; false = interrupted (pauses the tour)
+ * @param onChange ({ status, index, step }) => void, on every state change
+ */
+export default function createTourEngine({ steps = [], loop = false, goTo, onChange } = {}) {
+  let currentSteps = steps;
+  let status = "idle";
+  let index = 0;
+  let looping = loop;
+
+  // dwell timer (remaining time survives pause/resume)
+  let timer = null;
+  let dwellLeft = 0;
+  let dwellStartedAt = 0;
+  let arrived = false;
+  // bumped on every jump so stale goTo() promises are ignored
+  let generation = 0;
+
+  const snapshot = () => ({ status, index, step: currentSteps[index] ?? null, loop: looping, length: currentSteps.length });
+  const emit = () => onChange?.(snapshot());
+
+  const clearTimer = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  const startDwell = () => {
+    dwellStartedAt = performance.now();
+    timer = setTimeout(() => {
+      timer = null;
+      advance(1);
+    }, dwellLeft * 1000);
+  };
+
+  const visit = (i) => {
+    clearTimer();
+    index = i;
+    arrived = false;
+    dwellLeft = currentSteps[i].dwell;
+    const gen = ++generation;
+    emit();
+
+    Promise.resolve(goTo?.(currentSteps[i], i)).then((ok) => {
+      if (gen !== generation) return;
+      if (ok === false) {
+        // flight interrupted (e.g. the user grabbed the camera)
+        if (status === "playing") {
+          status = "paused";
+          emit();
+        }
+        return;
+      }
+      arrived = true;
+      if (status === "playing") startDwell();
+    });
+  };
+
+  function advance(step) {
+    if (!currentSteps.length) return;
+    let next = index + step;
+    if (next >= currentSteps.length || next < 0) {
+      if (!looping) {
+        if (step > 0 && status === "playing") {
+          clearTimer();
+          status = "ended";
+          emit();
+        }
+        return;
+      }
+      next = (next + currentSteps.length) % currentSteps.length;
+    }
+    visit(next);
+  }
+
+  return {
+    get status() {
+      return status;
+    },
+    get index() {
+      return index;
+    },
+    get steps() {
+      return currentSteps;
+    },
+    get state() {
+      return snapshot();
+    },
+
+    /** Start, or resume where it was paused */
+    play() {
+      if (!currentSteps.length || status === "playing") return;
+      const resume = status === "paused";
+      if (status === "ended") index = 0;
+      status = "playing";
+      if (resume && arrived) {
+        startDwell();
+        emit();
+      } else {
+        visit(Math.min(index, currentSteps.length - 1));
+      }
+    },
+
+    pause() {
+      if (status !== "playing") return;
+      if (timer) {
+        dwellLeft = Math.max(0, dwellLeft - (performance.now() - dwellStartedAt) / 1000);
+        clearTimer();
+      }
+      status = "paused";
+      emit();
+    },
+
+    /** Pause because the user took over the camera; play() flies back first */
+    interrupt() {
+      if (status !== "playing" && status !== "paused") return;
+      this.pause();
+      arrived = false;
+      generation++;
+    },
+
+    toggle() {
+      if (status === "playing") this.pause();
+      else this.play();
+    },
+
+    next() {
+      if (status === "idle" || status === "ended") status = "paused";
+      advance(1);
+    },
+
+    prev() {
+      if (status === "idle" || status === "ended") status = "paused";
+      advance(-1);
+    },
+
+    goTo(i) {
+      if (i < 0 || i >= currentSteps.length) return;
+      if (status === "idle" || status === "ended") status = "paused";
+      visit(i);
+    },
+
+    /** Back to idle (the camera stays where it is) */
+    stop() {
+      clearTimer();
+      generation++;
+      status = "idle";
+      index = 0;
+      arrived = false;
+      emit();
+    },
+
+    setLoop(value) {
+      looping = Boolean(value);
+      emit();
+    },
+
+    /** Replace the steps; a running tour stops */
+    setSteps(next) {
+      currentSteps = next;
+      if (status !== "idle") this.stop();
+    },
+
+    dispose() {
+      clearTimer();
+      generation++;
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// Frame-driven tween: call `step(dt)` from useFrame. Shared by camera moves
+// and anything else that needs duration + easing + lifecycle callbacks.
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
+
+export function resolveEasing(easing) {
+  if (typeof easing === "function") return easing;
+  return EASINGS[easing] ?? EASINGS.easeInOutCubic;
+}
+
+/**
+ * @param duration seconds (0 = jump on the first step)
+ * @param easing   name from EASINGS or (t) => t'
+ * @param onUpdate (eased, raw) => void, every step
+ */
+export function createTransition({
+  duration = 1.5,
+  easing = "easeInOutCubic",
+  onStart,
+  onUpdate,
+  onComplete,
+  onCancel,
+} = {}) {
+  const ease = resolveEasing(easing);
+  let elapsed = 0;
+  let state = "idle"; // 'idle' | 'running' | 'done' | 'cancelled'
+
+  return {
+    get state() {
+      return state;
+    },
+    get progress() {
+      return duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+    },
+
+    /** Advance by dt seconds; returns true while still running */
+    step(dt) {
+      if (state === "done" || state === "cancelled") return false;
+      if (state === "idle") {
+        state = "running";
+        onStart?.();
+      }
+      elapsed += dt;
+      const t = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+      onUpdate?.(ease(t), t);
+      if (t >= 1) {
+        state = "done";
+        onComplete?.();
+        return false;
+      }
+      return true;
+    },
+
+    cancel() {
+      if (state === "done" || state === "cancelled") return;
+      state = "cancelled";
+      onCancel?.();
+    },
+  };
+}
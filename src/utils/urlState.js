@@ -0,0 +1,143 @@
+// Shareable view state in the query string:
+//
+//   ?lat=30.33&lon=35.44&zoom=1.5&marker=petra&time=2025-03-20T15:50Z&autorotate=0&ui=0&theme=neon&projection=robinson&lang=ar
+//
+// lat/lon   point on Earth under the camera
+// zoom      default camera distance / current distance (1 = default, 2 = twice as close)
+// marker    selected marker id
+// time      ISO instant for the sun (omitted = live clock)
+// autorotate, ui   0/1
+// theme     named theme (utils/theme THEMES)
+// projection  flat map (utils/projection PROJECTIONS; omitted = globe)
+// lang      UI and marker language (utils/i18n LOCALES; omitted = browser language)
+//
+// Other query params (not ours) are preserved when writing.
+//
+// The marker detail panel lives in the hash so it can be linked on its own:
+//
+//   #place=petra
+
+const KEYS = ["lat", "lon", "zoom", "marker", "time", "autorotate", "ui", "theme", "projection", "lang"];
+
+function num(params, key, min, max) {
+  if (!params.has(key)) return undefined;
+  const v = Number(params.get(key));
+  return Number.isFinite(v) && v >= min && v <= max ? v : undefined;
+}
+
+function bool(params, key) {
+  if (!params.has(key)) return undefined;
+  const v = params.get(key).toLowerCase();
+  if (v === "1" || v === "true") return true;
+  if (v === "0" || v === "false") return false;
+  return undefined;
+}
+
+/** Parsed, validated state; anything missing or malformed is `undefined` */
+export function parseUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+
+  const time = params.get("time");
+  const validTime = time && !Number.isNaN(new Date(time).getTime()) ? time : undefined;
+
+  return {
+    lat: num(params, "lat", -90, 90),
+    lon: num(params, "lon", -180, 180),
+    zoom: num(params, "zoom", 0.05, 50),
+    marker: params.get("marker") || undefined,
+    time: validTime,
+    autoRotate: bool(params, "autorotate"),
+    ui: bool(params, "ui"),
+    theme: params.get("theme") || undefined,
+    projection: params.get("projection") || undefined,
+    lang: params.get("lang") || undefined,
+    // read-only: render quality / power saving for embeds, tour autoplay, benchmark marker count
+    quality: params.get("quality") || undefined,
+    powerSave: bool(params, "powersave"),
+    tour: bool(params, "tour"),
+    bench: params.has("bench") ? Math.floor(num(params, "bench", 1, 100000) ?? 0) || undefined : undefined,
+  };
+}
+
+function format(key, value) {
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (typeof value === "number") return String(Number(value.toFixed(key === "zoom" ? 2 : 4)));
+  return String(value);
+}
+
+/** Merge into the current URL without adding history entries (null/undefined removes) */
+export function writeUrlState(partial) {
+  const url = new URL(window.location.href);
+  for (const [key, value] of Object.entries(partial)) {
+    if (!KEYS.includes(key)) continue;
+    if (value == null || value === "") url.searchParams.delete(key);
+    else url.searchParams.set(key, format(key, value));
+  }
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, "", url);
+  }
+}
+
+/**
+ * Batches updates and writes them after `wait` ms of quiet, but at least every
+ * `maxWait` ms while changes keep coming (e.g. auto-rotating camera).
+ */
+export function createUrlWriter({ wait = 400, maxWait = 2000 } = {}) {
+  let pending = {};
+  let timer = null;
+  let firstAt = 0;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    firstAt = 0;
+    if (Object.keys(pending).length) writeUrlState(pending);
+    pending = {};
+  };
+
+  return {
+    update(partial) {
+      Object.assign(pending, partial);
+      const now = performance.now();
+      if (!firstAt) firstAt = now;
+      clearTimeout(timer);
+      const delay = Math.max(0, Math.min(wait, firstAt + maxWait - now));
+      timer = setTimeout(flush, delay);
+    },
+    flush,
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      firstAt = 0;
+      pending = {};
+    },
+  };
+}
+
+const PANEL_HASH = /^#place=(.+)$/;
+
+/** Marker id of the open detail panel in the hash, or undefined (also for a malformed one) */
+export function parsePanelHash(hash = window.location.hash) {
+  const match = PANEL_HASH.exec(hash);
+  if (!match) return undefined;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return undefined;
+  }
+}
+
+/** Open (id) or clear (null) the panel hash, without adding history entries */
+export function writePanelHash(id) {
+  const url = new URL(window.location.href);
+  const current = parsePanelHash(url.hash);
+  if (id == null) {
+    if (current === undefined) return;
+    url.hash = "";
+  } else {
+    url.hash = `place=${encodeURIComponent(id)}`;
+  }
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, "", url);
+  }
+}
@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { parsePanelHash, parseUrlState, writePanelHash, writeUrlState } from "./urlState";
+
+// just enough of window.location / history for the writers
+function stubWindow(href) {
+  const location = { href };
+  const history = {
+    state: null,
+    replaceState: vi.fn((state, title, url) => {
+      location.href = String(url);
+    }),
+  };
+  vi.stubGlobal("window", { location, history });
+  return history;
+}
+
+describe("parseUrlState", () => {
+  it("reads and validates the view", () => {
+    expect(
+      parseUrlState("?lat=30.33&lon=35.44&zoom=1.5&marker=petra&time=2025-03-20T15:50Z&autorotate=0&ui=true&lang=ar")
+    ).toMatchObject({
+      lat: 30.33,
+      lon: 35.44,
+      zoom: 1.5,
+      marker: "petra",
+      time: "2025-03-20T15:50Z",
+      autoRotate: false,
+      ui: true,
+      lang: "ar",
+    });
+  });
+
+  it("drops out-of-range and malformed values", () => {
+    const state = parseUrlState("?lat=91&lon=abc&zoom=0&time=yesterday&autorotate=maybe&marker=");
+    expect(state.lat).toBeUndefined();
+    expect(state.lon).toBeUndefined();
+    expect(state.zoom).toBeUndefined();
+    expect(state.time).toBeUndefined();
+    expect(state.autoRotate).toBeUndefined();
+    expect(state.marker).toBeUndefined();
+  });
+
+  it("reads the embed-only flags", () => {
+    expect(parseUrlState("?powersave=1&tour=1&bench=5000.7")).toMatchObject({ powerSave: true, tour: true, bench: 5000 });
+    expect(parseUrlState("?bench=0").bench).toBeUndefined();
+  });
+});
+
+describe("parsePanelHash", () => {
+  it("reads the marker id", () => {
+    expect(parsePanelHash("#place=petra")).toBe("petra");
+    expect(parsePanelHash("#place=machu%20picchu")).toBe("machu picchu");
+  });
+
+  it("ignores other and malformed hashes", () => {
+    expect(parsePanelHash("")).toBeUndefined();
+    expect(parsePanelHash("#section")).toBeUndefined();
+    expect(parsePanelHash("#place=")).toBeUndefined();
+    expect(parsePanelHash("#place=%E0%A4%A")).toBeUndefined();
+  });
+});
+
+describe("writeUrlState / writePanelHash", () => {
+  let history;
+  beforeEach(() => {
+    history = stubWindow("https://example.com/globe?utm=mail#place=petra");
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("round-trips the view and keeps other params and the hash", () => {
+    writeUrlState({ lat: 12.345678, lon: -45.5, zoom: 1.234, autoRotate: false, marker: "petra", bogus: 1 });
+    const url = new URL(window.location.href);
+    expect(url.searchParams.get("utm")).toBe("mail");
+    expect(url.searchParams.has("bogus")).toBe(false);
+    expect(url.hash).toBe("#place=petra");
+    expect(parseUrlState(url.search)).toMatchObject({ lat: 12.3457, lon: -45.5, zoom: 1.23, marker: "petra" });
+
+    writeUrlState({ marker: null });
+    expect(parseUrlState(new URL(window.location.href).search).marker).toBeUndefined();
+  });
+
+  it("skips writes that change nothing", () => {
+    writeUrlState({ lang: undefined });
+    expect(history.replaceState).not.toHaveBeenCalled();
+  });
+
+  it("round-trips ids through the hash", () => {
+    writePanelHash("chichén itzá/2");
+    expect(parsePanelHash(new URL(window.location.href).hash)).toBe("chichén itzá/2");
+    expect(new URL(window.location.href).searchParams.get("utm")).toBe("mail");
+
+    writePanelHash(null);
+    expect(new URL(window.location.href).hash).toBe("");
+    writePanelHash(null);
+    expect(history.replaceState).toHaveBeenCalledTimes(2);
+  });
+});
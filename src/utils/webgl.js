@@ -0,0 +1,49 @@
+// WebGL capability checks and context-loss plumbing for <App>.
+
+/**
+ * Try to create a throwaway WebGL 2 context (three.js and the earth shaders
+ * need WebGL 2). Returns { supported, version: 2 | 1 | 0, reason }; a browser
+ * with only WebGL 1 reports version 1 and is not supported. `reason` is an
+ * i18n key (`fallback.*`), translated where it is shown.
+ */
+export function detectWebGL() {
+  if (typeof document === "undefined") return { supported: false, version: 0, reason: "fallback.noWebgl" };
+  if (typeof window !== "undefined" && !window.WebGLRenderingContext) {
+    return { supported: false, version: 0, reason: "fallback.noWebgl" };
+  }
+
+  // a fresh canvas per attempt: a canvas keeps the first context type it gave out
+  const tryContext = (name) => {
+    let gl = null;
+    try {
+      gl = document.createElement("canvas").getContext(name, { failIfMajorPerformanceCaveat: false });
+    } catch {
+      gl = null;
+    }
+    // don't hold on to a context slot, browsers only allow a handful
+    gl?.getExtension("WEBGL_lose_context")?.loseContext();
+    return gl != null;
+  };
+
+  if (window.WebGL2RenderingContext && tryContext("webgl2")) return { supported: true, version: 2, reason: null };
+  const webgl1 = tryContext("webgl") || tryContext("experimental-webgl");
+  return webgl1
+    ? { supported: false, version: 1, reason: "fallback.noWebgl2" }
+    : { supported: false, version: 0, reason: "fallback.webglBlocked" };
+}
+
+/**
+ * Listen for `webglcontextlost` / `webglcontextrestored` on a canvas.
+ * The renderer already calls preventDefault() on loss so the browser may
+ * restore the context; this only reports it. Returns an unsubscribe function.
+ */
+export function watchContextLoss(canvas, { onLost, onRestored } = {}) {
+  const lost = (e) => onLost?.(e);
+  const restored = (e) => onRestored?.(e);
+  canvas.addEventListener("webglcontextlost", lost);
+  canvas.addEventListener("webglcontextrestored", restored);
+  return () => {
+    canvas.removeEventListener("webglcontextlost", lost);
+    canvas.removeEventListener("webglcontextrestored", restored);
+  };
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { ZIP_MAX_ENTRIES, crc32, createZip } from "./zip";
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+// walk the archive from the end of central directory record back to the entries
+async function readZip(blob) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  const end = buffer.byteLength - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  const centralSize = view.getUint32(end + 12, true);
+  const centralOffset = view.getUint32(end + 16, true);
+  expect(centralOffset + centralSize).toBe(end);
+
+  const entries = [];
+  let p = centralOffset;
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(p, true)).toBe(0x02014b50);
+    const crc = view.getUint32(p + 16, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const offset = view.getUint32(p + 42, true);
+    const name = new TextDecoder().decode(new Uint8Array(buffer, p + 46, nameLength));
+
+    // the local header agrees with the central one and the data follows it
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    expect(view.getUint32(offset + 14, true)).toBe(crc);
+    expect(view.getUint32(offset + 18, true)).toBe(size);
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    entries.push({ name, crc, data: new Uint8Array(buffer, start, size) });
+    p += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe("crc32", () => {
+  it("matches reference checksums", () => {
+    expect(crc32(new Uint8Array())).toBe(0);
+    expect(crc32(bytes("123456789"))).toBe(0xcbf43926);
+    expect(crc32(bytes("The quick brown fox jumps over the lazy dog"))).toBe(0x414fa339);
+  });
+});
+
+describe("createZip", () => {
+  it("stores files with matching checksums and offsets", async () => {
+    const files = [
+      { name: "frame-00000.png", data: bytes("first") },
+      { name: "frame-00001.png", data: bytes("a somewhat longer second file") },
+      { name: "empty.txt", data: new Uint8Array() },
+    ];
+    const entries = await readZip(createZip(files));
+    expect(entries.map((e) => e.name)).toEqual(files.map((f) => f.name));
+    entries.forEach((entry, i) => {
+      expect([...entry.data]).toEqual([...files[i].data]);
+      expect(entry.crc).toBe(crc32(files[i].data));
+    });
+  });
+
+  it("writes UTF-8 names", async () => {
+    const [entry] = await readZip(createZip([{ name: "Chichén Itzá.txt", data: bytes("x") }]));
+    expect(entry.name).toBe("Chichén Itzá.txt");
+  });
+
+  it("writes an empty archive", async () => {
+    const blob = createZip([]);
+    expect(blob.size).toBe(22);
+    expect(await readZip(blob)).toEqual([]);
+  });
+
+  it("refuses more entries than the format can count", () => {
+    const files = Array.from({ length: ZIP_MAX_ENTRIES + 1 }, (_, i) => ({ name: `${i}`, data: new Uint8Array() }));
+    expect(() => createZip(files)).toThrow(RangeError);
+  });
+});